@@ -0,0 +1,518 @@
+/*
+ * ==========================================================================
+ * BUILD.JS - Single-File Portfolio & Production Build
+ * ==========================================================================
+ *
+ * A small Node.js script with NO dependencies (only built-in modules),
+ * like server.js. index.html, styles.css, script.js and js/ are the
+ * sources; everything this script writes is generated from them:
+ *
+ * 1. portfolio.html - the whole site in ONE file: index.html with
+ *    styles.css, the JavaScript (script.js plus every module it imports)
+ *    and profile.json written into the page. It can be emailed, or
+ *    opened straight from disk.
+ * 2. dist/ - the site ready to upload, minified, with file names that
+ *    include a hash of their contents:
+ *
+ *        dist/index.html
+ *        dist/styles.1a2b3c4d.css
+ *        dist/script.5e6f7a8b.js
+ *        dist/profile.json, dist/disposable-domains.json, dist/CNAME
+ *
+ *    Change styles.css and its name changes too, so browsers can't keep
+ *    using an old cached copy - no "styles.css?v=15" to bump by hand. (The
+ *    pages in the repo root still use ?v=, which the build drops.)
+ *
+ * Usage:
+ *      node build.js
+ *
+ * Run it after changing any of the sources, and commit the new
+ * portfolio.html (dist/ is git-ignored). Don't edit portfolio.html
+ * itself - the next build overwrites it.
+ *
+ * Still loaded from the internet, in both: Google Fonts and the EmailJS
+ * SDK. portfolio.html also leaves out disposable-domains.json - opened
+ * from disk, the disposable email check is skipped (see validation.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = __dirname;
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+const BUILD_CONFIG = {
+    page: 'index.html',
+    styles: 'styles.css',
+    entry: 'script.js',
+    singleFile: 'portfolio.html',
+    builtInData: ['profile.json'],                                  // Written into portfolio.html
+    distCopies: ['profile.json', 'disposable-domains.json', 'CNAME'], // Copied to dist/ as they are
+    hashLength: 8
+};
+
+
+/* ==========================================================================
+   HELPERS
+   ========================================================================== */
+
+/**
+ * Read a source file
+ * @param {string} relativePath - Relative to the project folder
+ * @returns {string}
+ */
+function readSource(relativePath) {
+    return fs.readFileSync(path.join(ROOT_DIR, relativePath), 'utf8');
+}
+
+/**
+ * A short fingerprint of a file's contents, for its dist/ name
+ * @param {string} content
+ * @returns {string} - e.g. '1a2b3c4d'
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, BUILD_CONFIG.hashLength);
+}
+
+/**
+ * Replace exactly one piece of the page
+ * @param {string} html
+ * @param {RegExp} pattern - What to replace
+ * @param {string} replacement - Inserted as-is ($ has no special meaning)
+ * @returns {string}
+ *
+ * Throws if the pattern isn't found - better a failed build than a page
+ * that quietly still points at the old file.
+ */
+function replaceOnce(html, pattern, replacement) {
+    if (!pattern.test(html)) {
+        throw new Error(`${BUILD_CONFIG.page}: could not find ${pattern}`);
+    }
+    return html.replace(pattern, () => replacement);
+}
+
+
+/* ==========================================================================
+   1. BUNDLING - script.js and js/ as One Script
+   ==========================================================================
+   The browser loads script.js as an ES module, which imports the rest.
+   For a single file, all modules have to become one script. Because the
+   modules follow a few simple rules, that only takes:
+
+   1. Putting them in the order the browser would run them (a module's
+      imports first - see orderModules)
+   2. Deleting the import lines and the `export { ... };` at the end -
+      all the code now shares one scope, so the names are simply there
+
+   The rules (the build stops with an error if one is broken):
+   - imports are always `import { a, b } from './file.js';` (no "as")
+   - each module has ONE `export { ... };`, at the end
+   - no two modules declare the same top-level name
+*/
+
+const IMPORT_PATTERN = /^import\s*\{([^}]*)\}\s*from\s*'([^']+)';[ \t]*\n?/gm;
+const EXPORT_PATTERN = /^export\s*\{([^}]*)\};[ \t]*\n?/gm;
+const DECLARATION_PATTERN = /^(?:async\s+)?(?:function\*?|const|let|var|class)\s+([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * Split "a, b,\n c" into ['a', 'b', 'c']
+ * @param {string} list
+ * @returns {string[]}
+ */
+function parseNameList(list) {
+    return list.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Read a module and what it imports and exports
+ * @param {string} file - Relative to the project folder, e.g. 'js/menu.js'
+ * @returns {object} - { file, source, imports: [{ file, names }], exports }
+ */
+function readModule(file) {
+    const source = readSource(file);
+
+    const imports = Array.from(source.matchAll(IMPORT_PATTERN), match => ({
+        file: path.posix.join(path.posix.dirname(file), match[2]),
+        names: parseNameList(match[1])
+    }));
+    const exportLists = Array.from(source.matchAll(EXPORT_PATTERN), match => parseNameList(match[1]));
+
+    // Anything the two patterns above didn't recognise
+    const leftover = source.replace(IMPORT_PATTERN, '').replace(EXPORT_PATTERN, '');
+    const unsupported = leftover.match(/^(?:import|export)\b.*$/m);
+    if (unsupported) {
+        throw new Error(`${file}: unsupported statement "${unsupported[0]}"`);
+    }
+    if (exportLists.length > 1) {
+        throw new Error(`${file}: more than one export statement`);
+    }
+    imports.forEach(entry => entry.names.forEach(name => {
+        if (/\sas\s/.test(name)) {
+            throw new Error(`${file}: renamed import "${name}" isn't supported`);
+        }
+    }));
+
+    return { file, source, imports, exports: exportLists[0] || [] };
+}
+
+/**
+ * Load every module the entry needs, in the order the browser runs them
+ * @param {string} entry - e.g. 'script.js'
+ * @returns {object[]} - Modules from readModule(), entry last
+ *
+ * Depth-first: a module comes after everything it imports - except in
+ * an import circle, where (like in the browser) the module we started
+ * from comes last.
+ */
+function orderModules(entry) {
+    const modules = new Map();
+    const ordered = [];
+
+    function visit(file) {
+        if (modules.has(file)) {
+            return;
+        }
+        const module = readModule(file);
+        modules.set(file, module);
+        module.imports.forEach(entry => visit(entry.file));
+        ordered.push(module);
+    }
+
+    visit(entry);
+
+    // Every imported name must really be exported
+    ordered.forEach(module => module.imports.forEach(entry => {
+        const missing = entry.names.filter(name => !modules.get(entry.file).exports.includes(name));
+        if (missing.length > 0) {
+            throw new Error(`${module.file}: ${entry.file} doesn't export ${missing.join(', ')}`);
+        }
+    }));
+
+    return ordered;
+}
+
+/**
+ * Bundle the entry and its imports into one script
+ * @param {string} entry - e.g. 'script.js'
+ * @returns {string} - Runs as a <script type="module">
+ */
+function bundleModules(entry) {
+    const modules = orderModules(entry);
+
+    // Sharing one scope means no two modules may use the same name
+    const declaredIn = new Map();
+    modules.forEach(module => {
+        for (const match of module.source.matchAll(DECLARATION_PATTERN)) {
+            if (declaredIn.has(match[1])) {
+                throw new Error(`"${match[1]}" is declared in both ${declaredIn.get(match[1])} and ${module.file}`);
+            }
+            declaredIn.set(match[1], module.file);
+        }
+    });
+
+    return modules.map(module => {
+        const code = module.source
+            .replace(IMPORT_PATTERN, '')
+            .replace(EXPORT_PATTERN, '')
+            // import.meta.url is now the bundle's address, not the module's.
+            // The bundle sits next to index.html, so that's fixed easily.
+            .replace(/\bimport\.meta\.url\b/g, `new URL('${module.file}', import.meta.url).href`)
+            .trim();
+        return `// ---- ${module.file} ----\n\n${code}\n`;
+    }).join('\n');
+}
+
+
+/* ==========================================================================
+   2. MINIFYING - Smaller Files for dist/
+   ==========================================================================
+   Not a full minifier (those need a real parser), just the safe part:
+   comments and indentation go, everything else stays. Strings, template
+   literals and regular expressions are copied exactly as they are.
+*/
+
+// Characters that never need a space next to them in JavaScript.
+// (Not + - / . or *: "a + +b", "a / /re/" and "1 .toFixed()" need theirs.)
+const JS_PUNCTUATION = '{}()[];,:=<>?!&|';
+
+// After these, a "/" starts a regular expression rather than a division
+const REGEX_AFTER_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_AFTER_WORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await'];
+
+/**
+ * Remove comments and indentation from JavaScript
+ * @param {string} source
+ * @returns {string}
+ *
+ * Line breaks are kept (one per line), so code that relies on automatic
+ * semicolon insertion still works.
+ */
+function minifyJs(source) {
+    let output = '';
+    let index = 0;
+    let lastChar = '';            // Last character written outside a literal
+    let lastWord = '';            // Last identifier/keyword written
+    let pendingSpace = false;
+    let pendingNewline = false;
+    let braceDepth = 0;
+    const templateBraces = [];    // braceDepth at each open `${` in a template
+
+    function write(text, isWord) {
+        if (pendingNewline && output !== '') {
+            output += '\n';
+        } else if (pendingSpace && output !== '' &&
+            !JS_PUNCTUATION.includes(lastChar) && !JS_PUNCTUATION.includes(text[0])) {
+            output += ' ';
+        }
+        pendingSpace = false;
+        pendingNewline = false;
+        output += text;
+        lastChar = text[text.length - 1];
+        lastWord = isWord ? text : '';
+    }
+
+    // Copies a template literal - from its opening ` (or the } that ends
+    // a ${...} inside it) up to its closing `, or up to the next ${ (the
+    // code inside that is then minified as normal)
+    function copyTemplate() {
+        const start = index++;
+        while (index < source.length) {
+            const char = source[index];
+            if (char === '\\') {
+                index += 2;
+            } else if (char === '`') {
+                index++;
+                break;
+            } else if (char === '$' && source[index + 1] === '{') {
+                index += 2;
+                templateBraces.push(braceDepth);
+                break;
+            } else {
+                index++;
+            }
+        }
+        write(source.slice(start, index));
+    }
+
+    while (index < source.length) {
+        const char = source[index];
+        const next = source[index + 1];
+
+        if (char === '\n') {
+            pendingNewline = true;
+            index++;
+        } else if (/\s/.test(char)) {
+            pendingSpace = true;
+            index++;
+        } else if (char === '/' && next === '/') {
+            index = source.indexOf('\n', index);
+            if (index === -1) {
+                index = source.length;
+            }
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', index + 2);
+            if (end === -1) {
+                throw new Error('Unclosed /* comment');
+            }
+            index = end + 2;
+            pendingSpace = true;
+        } else if (char === '\'' || char === '"') {
+            const start = index++;
+            while (source[index] !== char) {
+                if (index >= source.length || source[index] === '\n') {
+                    throw new Error(`Unclosed string starting with: ${source.slice(start, start + 40)}`);
+                }
+                index += source[index] === '\\' ? 2 : 1;
+            }
+            index++;
+            write(source.slice(start, index));
+        } else if (char === '`') {
+            copyTemplate();
+        } else if (char === '/' && (lastChar === '' || REGEX_AFTER_CHARS.includes(lastChar) || REGEX_AFTER_WORDS.includes(lastWord))) {
+            // A regular expression: up to the closing / (not one inside [...])
+            const start = index++;
+            let inClass = false;
+            while (source[index] !== '/' || inClass) {
+                if (index >= source.length || source[index] === '\n') {
+                    throw new Error(`Unclosed regular expression starting with: ${source.slice(start, start + 40)}`);
+                }
+                if (source[index] === '\\') {
+                    index++;
+                } else if (source[index] === '[') {
+                    inClass = true;
+                } else if (source[index] === ']') {
+                    inClass = false;
+                }
+                index++;
+            }
+            index++;
+            while (/[a-z]/i.test(source[index] || '')) {
+                index++;   // Flags, e.g. /.../gi
+            }
+            write(source.slice(start, index));
+        } else if (/[\w$]/.test(char)) {
+            const start = index;
+            while (/[\w$]/.test(source[index] || '')) {
+                index++;
+            }
+            write(source.slice(start, index), true);
+        } else if (char === '}' && templateBraces.length > 0 && templateBraces[templateBraces.length - 1] === braceDepth) {
+            // The end of a ${...} - back into the template literal
+            templateBraces.pop();
+            copyTemplate();
+        } else {
+            if (char === '{') {
+                braceDepth++;
+            } else if (char === '}') {
+                braceDepth--;
+            }
+            write(char);
+            index++;
+        }
+    }
+
+    return output + '\n';
+}
+
+/**
+ * Remove comments and extra whitespace from CSS
+ * @param {string} source
+ * @returns {string}
+ */
+function minifyCss(source) {
+    // Keep strings (like the data: URLs) out of harm's way first
+    const strings = [];
+    const withoutStrings = source
+        .replace(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g, string => `"${strings.push(string) - 1}"`)
+        .replace(/\/\*[\s\S]*?\*\//g, '');
+
+    return withoutStrings
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([{};,>])\s*/g, '$1')
+        .replace(/:\s+/g, ':')
+        .replace(/;}/g, '}')
+        .replace(/"(\d+)"/g, (match, index) => strings[index])
+        .trim() + '\n';
+}
+
+/**
+ * Remove comments and indentation from HTML
+ * @param {string} source
+ * @returns {string}
+ *
+ * Whitespace inside <pre> and <textarea> matters, so those are left
+ * alone. (The page's own <script> and <style> were replaced before this
+ * runs. The only code left in a <script> tag is the little theme script
+ * at the top of <body>, and trimming its lines doesn't change it.)
+ */
+function minifyHtml(source) {
+    return source
+        .split(/(<(?:pre|textarea)\b[\s\S]*?<\/(?:pre|textarea)>)/i)
+        .map((part, index) => (index % 2 === 1 ? part : part
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/^\s+/gm, '')
+            .replace(/\s+$/gm, '')
+            .replace(/\n{2,}/g, '\n')))
+        .join('');
+}
+
+
+/* ==========================================================================
+   3. OUTPUTS - portfolio.html and dist/
+   ========================================================================== */
+
+// The page's <link> to styles.css and <script> for script.js
+const STYLES_TAG = /<link rel="stylesheet" href="styles\.css(?:\?[^"]*)?">/;
+const SCRIPT_TAG = /<script type="module" src="script\.js(?:\?[^"]*)?"><\/script>/;
+
+/**
+ * Make text safe to put inside a <script> or <style> element
+ * @param {string} text - JavaScript, JSON or CSS
+ * @returns {string}
+ *
+ * The HTML parser ends the element at the first "</script" (or
+ * "</style"), even inside a JavaScript string. "<\/" means the same in
+ * JavaScript strings and JSON, and the parser doesn't see it as a tag.
+ * "<!--" gets the same treatment: inside a script it can confuse the
+ * parser too.
+ */
+function escapeInlineText(text) {
+    return text.replace(/<\/(script|style)/gi, '<\\/$1').replace(/<!--/g, '<\\!--');
+}
+
+/**
+ * Build portfolio.html - the whole site in one file
+ * @returns {string} - The path written
+ */
+function buildSingleFile() {
+    const dataTags = BUILD_CONFIG.builtInData.map(file => {
+        // Re-serialise: checks the JSON is valid, and "<" can't end the tag
+        const json = JSON.stringify(JSON.parse(readSource(file))).replace(/</g, '\\u003c');
+        return `<script type="application/json" data-file="${file}">${json}</script>`;
+    });
+
+    let html = readSource(BUILD_CONFIG.page);
+    html = replaceOnce(html, STYLES_TAG, `<style>\n${escapeInlineText(readSource(BUILD_CONFIG.styles))}</style>`);
+    html = replaceOnce(html, SCRIPT_TAG, dataTags.concat(
+        `<script type="module">\n${escapeInlineText(bundleModules(BUILD_CONFIG.entry))}</script>`
+    ).join('\n    '));
+    html = html.replace(/^<!DOCTYPE html>\n/i, match => match +
+        `<!--\n    GENERATED by build.js from ${BUILD_CONFIG.page}, ${BUILD_CONFIG.styles} and ${BUILD_CONFIG.entry} - don't edit\n    this file, edit those and run "node build.js" again.\n-->\n`);
+
+    const outputPath = path.join(ROOT_DIR, BUILD_CONFIG.singleFile);
+    fs.writeFileSync(outputPath, html);
+    return outputPath;
+}
+
+/**
+ * Build dist/ - minified, with content-hashed file names
+ * @returns {string[]} - The paths written
+ */
+function buildDist() {
+    const css = minifyCss(readSource(BUILD_CONFIG.styles));
+    const js = minifyJs(bundleModules(BUILD_CONFIG.entry));
+    const cssName = `styles.${contentHash(css)}.css`;
+    const jsName = `script.${contentHash(js)}.js`;
+
+    let html = readSource(BUILD_CONFIG.page);
+    html = replaceOnce(html, STYLES_TAG, `<link rel="stylesheet" href="${cssName}">`);
+    html = replaceOnce(html, SCRIPT_TAG, `<script type="module" src="${jsName}"></script>`);
+
+    // Start from an empty folder, so old hashed files don't pile up
+    fs.rmSync(DIST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(DIST_DIR);
+
+    const files = {
+        'index.html': minifyHtml(html),
+        [cssName]: css,
+        [jsName]: js
+    };
+    BUILD_CONFIG.distCopies
+        .filter(file => fs.existsSync(path.join(ROOT_DIR, file)))
+        .forEach(file => {
+            files[file] = readSource(file);
+        });
+
+    return Object.keys(files).map(name => {
+        const outputPath = path.join(DIST_DIR, name);
+        fs.writeFileSync(outputPath, files[name]);
+        return outputPath;
+    });
+}
+
+
+/* ==========================================================================
+   RUN THE BUILD
+   ========================================================================== */
+
+try {
+    [buildSingleFile()].concat(buildDist()).forEach(outputPath => {
+        const size = (fs.statSync(outputPath).size / 1024).toFixed(1);
+        console.log(`  ${path.relative(ROOT_DIR, outputPath)}  (${size} KB)`);
+    });
+    console.log('Build complete.');
+} catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    process.exitCode = 1;
+}
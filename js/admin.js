@@ -0,0 +1,362 @@
+/*
+ * ==========================================================================
+ * ADMIN.JS - Passphrase-Protected Messages
+ * ==========================================================================
+ *
+ * ==========================================================================
+ * The stored messages are for the site owner, not for visitors. There is
+ * no visible link to them: the owner opens the admin view by going to
+ * index.html#admin or pressing Alt+Shift+A, and must enter a passphrase.
+ *
+ * How the passphrase is checked:
+ * - The page never contains the passphrase itself. Anyone can read
+ *   this file, so that matters!
+ * - Instead it ships the owner's keys (ENCRYPTION_CONFIG.ownerKeys in
+ *   encryption.js), with the private key encrypted by a key made from
+ *   the passphrase with PBKDF2 (via WebCrypto, built into browsers). That
+ *   runs SHA-256 many thousands of times, which makes guessing
+ *   passphrases one by one very slow.
+ * - When someone types a passphrase, we try to decrypt the private key
+ *   with it. AES-GCM notices a wrong key, so only the right passphrase
+ *   works - and the same key then decrypts the messages.
+ *
+ * There is NO default passphrase: a default would be published along
+ * with this file, so anyone could unlock a site that never changed it.
+ * Until ENCRYPTION_CONFIG.ownerKeys is filled in (see encryption.js for
+ * how), the admin view can't be unlocked. The passphrase can be changed
+ * with the "Passphrase" button in the messages view.
+ *
+ * Once unlocked, the session lasts until 15 minutes pass without any
+ * activity in the messages view, the Lock button is pressed, or the page
+ * is reloaded (the session only lives in memory).
+ *
+ * Honest caveat: this is a lock on the UI. Someone with the browser's
+ * developer tools can still read localStorage directly.
+ *
+ * Only the site owner ever sees the admin view, so its text is
+ * English-only - it isn't in the i18n.js catalog like the rest of the
+ * page.
+ */
+
+import { onStorageChange } from './storage.js';
+import { registerModal, isModalOpen, showModal, hideModal } from './modal.js';
+import { showFieldError, clearFieldError } from './form-fields.js';
+import { showToast } from './toast.js';
+import {
+    ENCRYPTION_CONFIG,
+    getKeyring,
+    hasWebCrypto,
+    unwrapPrivateKey,
+    setOwnerPrivateKey,
+    forgetOwnerKey,
+    decryptAllMessages,
+    encryptPlaintextMessages,
+    changeAdminPassphrase
+} from './encryption.js';
+import { openMessagesModal, closeMessagesModal } from './inbox.js';
+
+const ADMIN_CONFIG = {
+    sessionTimeout: 15 * 60 * 1000,  // Lock after 15 minutes of inactivity
+    hash: '#admin'
+};
+
+// When the admin session ends (0 = locked), and the timer that ends it
+let adminSessionExpiresAt = 0;
+let adminSessionTimer = null;
+
+/**
+ * Is the admin view unlocked right now?
+ * ======================================
+ * @returns {boolean}
+ */
+function isAdminUnlocked() {
+    return Date.now() < adminSessionExpiresAt;
+}
+
+/**
+ * Start (or extend) the admin session
+ * ====================================
+ * Called on unlock and on every bit of activity in the messages view,
+ * so the timeout counts from the LAST thing the owner did.
+ */
+function touchAdminSession() {
+    adminSessionExpiresAt = Date.now() + ADMIN_CONFIG.sessionTimeout;
+
+    clearTimeout(adminSessionTimer);
+    adminSessionTimer = setTimeout(() => lockAdmin(true), ADMIN_CONFIG.sessionTimeout);
+}
+
+/**
+ * Check a passphrase and unlock the admin view
+ * =============================================
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} - Was the passphrase correct?
+ *
+ * Unlocking also decrypts the stored messages (encryption.js), so they're
+ * ready by the time the list is shown. Rejects if the owner's keys
+ * haven't been set up at all.
+ */
+function unlockAdmin(passphrase) {
+    const keyring = getKeyring();
+
+    if (!keyring) {
+        return Promise.reject(new Error('No admin passphrase is set yet - see "Admin Passphrase" in the README'));
+    }
+    if (!hasWebCrypto()) {
+        return Promise.reject(new Error('WebCrypto is not available - open the page over https or from localhost'));
+    }
+
+    // The passphrase is right if it decrypts the owner's key
+    return unwrapPrivateKey(passphrase, keyring).catch(() => null).then(privateKey => {
+        if (!privateKey) {
+            return false;
+        }
+        setOwnerPrivateKey(privateKey);
+        touchAdminSession();
+        return encryptPlaintextMessages()
+            .then(decryptAllMessages)
+            .then(() => true)
+            .catch(error => {
+                // Don't leave a half-unlocked session behind
+                lockAdmin();
+                throw error;
+            });
+    });
+}
+
+/**
+ * Lock the admin view
+ * ====================
+ * @param {boolean} expired - True when the session timed out
+ *
+ * Closes the messages modal and wipes the rendered list and the
+ * decrypted messages, so nothing is left on screen (or in memory).
+ */
+function lockAdmin(expired = false) {
+    adminSessionExpiresAt = 0;
+    clearTimeout(adminSessionTimer);
+
+    // Forget the key and everything decrypted with it (encryption.js)
+    forgetOwnerKey();
+
+    const wasOpen = isModalOpen('messagesModal');
+    closePassphraseModal();
+    closeMessagesModal();
+    document.getElementById('messagesList').innerHTML = '';
+
+    if (expired && wasOpen) {
+        showToast('Admin session expired - messages locked');
+    }
+}
+
+/**
+ * Open the admin view
+ * ====================
+ * Straight to the messages when unlocked, otherwise ask for the
+ * passphrase first.
+ */
+function openAdminView() {
+    if (isAdminUnlocked()) {
+        openMessagesModal();
+    } else {
+        openAdminLoginModal();
+    }
+}
+
+/**
+ * Open / close the passphrase prompt
+ * ===================================
+ */
+function openAdminLoginModal() {
+    const input = document.getElementById('adminPassphrase');
+    input.value = '';
+    clearFieldError(input, false);
+
+    showModal('adminLoginModal', 'adminPassphrase');
+}
+
+function closeAdminLoginModal() {
+    hideModal('adminLoginModal');
+}
+
+/**
+ * Handle the passphrase form
+ * ===========================
+ * @param {Event} event - The form submit event
+ */
+function handleAdminLogin(event) {
+    event.preventDefault();
+
+    const input = document.getElementById('adminPassphrase');
+    const unlockBtn = document.getElementById('adminUnlockBtn');
+
+    // Hashing takes a moment (that's the point of PBKDF2)
+    unlockBtn.disabled = true;
+    unlockBtn.textContent = 'Checking...';
+
+    unlockAdmin(input.value)
+    .then(unlocked => {
+        if (unlocked) {
+            closeAdminLoginModal();
+            openMessagesModal();
+        } else {
+            input.value = '';
+            showFieldError(input, 'Wrong passphrase');
+            input.focus();
+        }
+    })
+    .catch(error => {
+        console.error('Unlocking failed:', error);
+        showFieldError(input, `Could not unlock: ${error.message}`);
+    })
+    .finally(() => {
+        unlockBtn.disabled = false;
+        unlockBtn.textContent = 'Unlock';
+    });
+}
+
+/**
+ * Open the admin view when the URL ends with #admin
+ * ==================================================
+ * The hash is removed again straight away, so it isn't left in the
+ * address bar (or the history) for the next person to see.
+ */
+function checkAdminHash() {
+    if (window.location.hash !== ADMIN_CONFIG.hash) {
+        return;
+    }
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    openAdminView();
+}
+
+
+/**
+ * Open / close the "Change passphrase" dialog
+ * ============================================
+ * It opens on top of the messages modal: Escape closes just this
+ * dialog, and focus goes back to the messages' Passphrase button.
+ */
+function openPassphraseModal() {
+    const form = document.getElementById('passphraseForm');
+    form.reset();
+    form.querySelectorAll('input').forEach(input => clearFieldError(input, false));
+    document.getElementById('passphraseStatus').className = 'form-status';
+
+    showModal('passphraseModal', 'currentPassphrase');
+}
+
+function closePassphraseModal() {
+    hideModal('passphraseModal');
+}
+
+/**
+ * Handle the "Change passphrase" form
+ * ====================================
+ * @param {Event} event - The form submit event
+ */
+function handlePassphraseChange(event) {
+    event.preventDefault();
+
+    const currentInput = document.getElementById('currentPassphrase');
+    const newInput = document.getElementById('newPassphrase');
+    const confirmInput = document.getElementById('confirmPassphrase');
+    const saveBtn = document.getElementById('passphraseSaveBtn');
+    const status = document.getElementById('passphraseStatus');
+
+    [currentInput, newInput, confirmInput].forEach(input => clearFieldError(input, false));
+    status.className = 'form-status';
+
+    if (newInput.value.length < 8) {
+        showFieldError(newInput, 'Use at least 8 characters');
+        return;
+    }
+    if (confirmInput.value !== newInput.value) {
+        showFieldError(confirmInput, 'The passphrases don\'t match');
+        return;
+    }
+
+    // Re-encrypting every message can take a few seconds
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Re-encrypting...';
+
+    changeAdminPassphrase(currentInput.value, newInput.value)
+    .then(ownerKeys => {
+        closePassphraseModal();
+        // Other browsers still use the old keys until the new ones are shipped
+        console.info('New owner keys - paste them into ENCRYPTION_CONFIG.ownerKeys in js/encryption.js:\n' + ownerKeys);
+        showToast('Passphrase changed - copy the new keys from the console into js/encryption.js');
+    })
+    .catch(error => {
+        console.error('Passphrase change failed:', error);
+        status.className = 'form-status error';
+        status.textContent = error.message;
+    })
+    .finally(() => {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Change Passphrase';
+    });
+}
+
+/**
+ * Keep the admin session alive while the owner is busy
+ * =====================================================
+ */
+function handleAdminActivity() {
+    if (isAdminUnlocked()) {
+        touchAdminSession();
+    }
+}
+
+/**
+ * Wire up the admin view
+ * =======================
+ * Only index.html has the passphrase prompt - other pages skip this.
+ */
+function initAdmin() {
+    if (!document.getElementById('adminLoginModal')) {
+        return;
+    }
+
+    // Close the prompts when clicking their overlay or pressing Escape
+    registerModal('adminLoginModal', closeAdminLoginModal);
+    registerModal('passphraseModal', closePassphraseModal);
+
+    document.getElementById('adminLoginForm').addEventListener('submit', handleAdminLogin);
+    document.getElementById('passphraseForm').addEventListener('submit', handlePassphraseChange);
+    document.getElementById('changePassphraseBtn').addEventListener('click', openPassphraseModal);
+    document.getElementById('lockAdminBtn').addEventListener('click', () => lockAdmin());
+
+    window.addEventListener('hashchange', checkAdminHash);
+    checkAdminHash();
+
+    // Keyboard shortcut: Alt+Shift+A
+    document.addEventListener('keydown', function(e) {
+        if (e.altKey && e.shiftKey && e.code === 'KeyA') {
+            e.preventDefault();
+            openAdminView();
+        }
+    });
+
+    // Any activity in the messages view (or the passphrase dialog on top
+    // of it) keeps the session alive
+    ['click', 'keydown', 'input'].forEach(eventName => {
+        document.getElementById('messagesModal').addEventListener(eventName, handleAdminActivity);
+    });
+    document.getElementById('passphraseModal').addEventListener('input', handleAdminActivity);
+
+    // The passphrase was changed in another tab: our copy of the key is now
+    // out of date, so lock and ask for the new passphrase
+    onStorageChange(ENCRYPTION_CONFIG.keyringKey, () => {
+        if (isAdminUnlocked()) {
+            lockAdmin();
+            showToast('The admin passphrase was changed in another tab - please unlock again.');
+        }
+    });
+}
+
+export {
+    isAdminUnlocked,
+    lockAdmin,
+    openAdminLoginModal,
+    initAdmin
+};
@@ -0,0 +1,808 @@
+/*
+ * ==========================================================================
+ * CONTACT.JS - Contact Modal, Form Validation & Submission
+ * ==========================================================================
+ *
+ * This file handles:
+ * - Opening and closing the contact modal
+ * - Real-time form validation
+ * - Visual feedback for errors (red borders, error messages)
+ * - Form drafts and spam protection
+ * - Sending messages through a pluggable transport (transports.js)
+ * - Storing submitted messages (messages.js), or queueing them in the
+ *   outbox when delivery fails (outbox.js)
+ * - Success/error status messages
+ *
+ * Form Validation Approach:
+ * =========================
+ * We use custom JavaScript validation instead of HTML5 validation because:
+ * 1. Better control over error message styling
+ * 2. Consistent experience across browsers
+ * 3. Can add complex validation rules (like email format checking)
+ * 4. Real-time feedback as user types
+ *
+ * The 'novalidate' attribute on the form disables browser validation.
+ *
+ * The validation rules themselves (validationRules, validateField,
+ * validateFieldAsync and validateMessage) live in validation.js. The
+ * server (server.js) uses the same file, so both sides always agree on
+ * what counts as a valid message. How each result looks is up to
+ * form-fields.js.
+ *
+ * Pages only need the fields they want to ask for - a field that isn't
+ * on the page is simply skipped. index.html (and portfolio.html, which
+ * build.js makes from it) asks for everything. The optional extras (the
+ * draft prompt, the honeypot and the maths challenge) are used when
+ * they're on the page.
+ */
+
+import { messageFieldMap, validateField, validateFieldAsync } from './validation.js';
+import { getFromStorage, setInStorage, removeFromStorage } from './storage.js';
+import { t, formatDate, onLanguageChange } from './i18n.js';
+import { registerModal, isModalOpen, showModal, hideModal } from './modal.js';
+import { showFieldError, clearFieldError, showFieldResult } from './form-fields.js';
+import { getContactTransport, setContactTransport, detectContactTransport, initTransports } from './transports.js';
+import { saveMessageToStorage } from './messages.js';
+import { queueMessage } from './outbox.js';
+
+// The contact form field IDs on this page, in form order (senderName,
+// senderEmail, ...) - set by initContact()
+let contactFields = [];
+
+/*
+    Contact Modal
+    =============
+*/
+
+/**
+ * Opens the contact modal
+ * Called when user clicks email link or "Send a Message" button
+ */
+function openModal() {
+    // Show the modal and put the cursor in the first field
+    showModal('contactModal', contactFields[0]);
+
+    // Offer to bring back anything typed last time (see "Form Drafts")
+    showDraftPrompt();
+
+    // Time-to-submit is measured from here (see "Spam Protection")
+    startSpamTimer();
+}
+
+/**
+ * Closes the contact modal
+ * Called when user clicks X button, clicks outside, or presses Escape
+ */
+function closeModal() {
+    // Save what was typed right away (don't wait for the debounce timer),
+    // so the draft survives even if the modal closes mid-sentence.
+    // Only when the modal is actually open - the success timer calls this
+    // even if the visitor already closed it.
+    if (isModalOpen('contactModal')) {
+        saveDraft();
+    }
+
+    // Hide the modal (also unlocks the page scroll and returns focus)
+    hideModal('contactModal');
+
+    // Reset the form fields
+    document.getElementById('contactForm').reset();
+
+    // Clear any status messages
+    const formStatus = document.getElementById('formStatus');
+    formStatus.className = 'form-status';
+    formStatus.textContent = '';
+}
+
+/**
+ * Read every contact form field
+ * ==============================
+ * @returns {object} - { senderName: '...', senderEmail: '...', ... }
+ *
+ * Cross-field rules (e.g. "the message shouldn't just repeat the
+ * subject") need to see the other fields' values too. Fields this page
+ * doesn't have count as empty.
+ */
+function getContactFieldValues() {
+    const values = {};
+    Object.keys(messageFieldMap).forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+        values[fieldId] = input ? input.value : '';
+    });
+    return values;
+}
+
+/*
+    Async checks can finish out of order: if the visitor edits the email
+    while the first check is still running, the OLD result must not
+    overwrite the new one. Each check gets a number, and only the most
+    recent check for a field is allowed to update it.
+*/
+const fieldCheckIds = {};
+
+/**
+ * Validate one field and show the result
+ * =======================================
+ * @param {string} fieldId - The ID of the input field
+ * @param {boolean} showValid - Show the green border if everything passed?
+ * @returns {Promise<object>} - The final result (async rules included)
+ *
+ * Sync rules show their result straight away; if async rules remain,
+ * the field shows "Checking..." until they finish.
+ */
+function checkField(fieldId, showValid = true) {
+    const input = document.getElementById(fieldId);
+    const values = getContactFieldValues();
+    const checkId = (fieldCheckIds[fieldId] || 0) + 1;
+    fieldCheckIds[fieldId] = checkId;
+
+    const syncResult = validateField(fieldId, values[fieldId], values);
+    showFieldResult(input, syncResult, showValid);
+
+    if (!syncResult.isValid || !syncResult.pending) {
+        return Promise.resolve(syncResult);
+    }
+
+    return validateFieldAsync(fieldId, values[fieldId], values).then(result => {
+        // Ignore results for a value that has changed since
+        if (fieldCheckIds[fieldId] === checkId) {
+            showFieldResult(input, result, showValid);
+        }
+        return result;
+    });
+}
+
+/**
+ * Validate the entire form
+ * =========================
+ * @returns {Promise<boolean>} - Resolves true if all fields are valid
+ *
+ * Validates every field (async rules included). Resolves false if ANY
+ * field has an error - warnings don't stop the form being sent.
+ */
+function validateForm() {
+    return Promise.all(contactFields.map(fieldId => checkField(fieldId)))
+    .then(results => {
+        const firstInvalidIndex = results.findIndex(result => !result.isValid);
+
+        // Focus the first invalid field so user knows where to start fixing
+        if (firstInvalidIndex !== -1) {
+            document.getElementById(contactFields[firstInvalidIndex]).focus();
+        }
+
+        return firstInvalidIndex === -1;
+    });
+}
+
+/*
+    Form Drafts
+    ============
+    Whatever the visitor types is saved to localStorage as a draft (a
+    moment after they stop typing), so closing the modal - with the X, an
+    overlay click or Escape - doesn't lose their work. Next time the modal
+    opens, a prompt offers to restore the draft or discard it.
+
+    The draft is only cleared once the message is safely delivered (or
+    stored in the outbox to be retried), or when the user discards it.
+
+    "Debouncing" means waiting until the user pauses before saving:
+    each keystroke restarts a short timer, and only when the timer
+    finishes do we write to localStorage. That way we save once per
+    pause instead of once per keystroke.
+*/
+const DRAFT_CONFIG = {
+    storageKey: 'draft',
+    debounceDelay: 500   // Save 0.5s after the last keystroke
+};
+
+// Pending debounced save (see scheduleDraftSave)
+let draftSaveTimer = null;
+
+/**
+ * Get the saved draft, if any
+ * ============================
+ * @returns {object|null} - { senderName, senderEmail, subject, message, savedAt }
+ */
+function getDraft() {
+    return getFromStorage(DRAFT_CONFIG.storageKey);
+}
+
+/**
+ * Save the current form contents as a draft
+ * ==========================================
+ * An empty form removes the draft instead of saving blank fields.
+ */
+function saveDraft() {
+    clearTimeout(draftSaveTimer);
+
+    const draft = { savedAt: new Date().toISOString() };
+    let hasContent = false;
+
+    contactFields.forEach(fieldId => {
+        draft[fieldId] = document.getElementById(fieldId).value;
+        if (draft[fieldId].trim() !== '') {
+            hasContent = true;
+        }
+    });
+
+    if (hasContent) {
+        setInStorage(DRAFT_CONFIG.storageKey, draft);
+    } else {
+        removeFromStorage(DRAFT_CONFIG.storageKey);
+    }
+}
+
+/**
+ * Save the draft after the user pauses typing (debounced)
+ * ========================================================
+ */
+function scheduleDraftSave() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveDraft, DRAFT_CONFIG.debounceDelay);
+}
+
+/**
+ * Delete the saved draft
+ * =======================
+ */
+function clearDraft() {
+    clearTimeout(draftSaveTimer);
+    removeFromStorage(DRAFT_CONFIG.storageKey);
+    hideDraftPrompt();
+}
+
+/**
+ * Offer to restore a saved draft
+ * ===============================
+ * Called from openModal(). Shows the prompt above the form if a draft
+ * exists.
+ */
+function showDraftPrompt() {
+    const draft = getDraft();
+    if (!draft) {
+        hideDraftPrompt();
+        return;
+    }
+
+    // No prompt on this page - the draft is still kept for later
+    if (!document.getElementById('draftPrompt')) {
+        return;
+    }
+
+    document.getElementById('draftPromptText').textContent =
+        t('draft.promptWithDate', { date: formatDate(draft.savedAt) });
+    document.getElementById('draftPrompt').classList.add('visible');
+}
+
+/**
+ * Hide the restore-draft prompt
+ * ==============================
+ */
+function hideDraftPrompt() {
+    const prompt = document.getElementById('draftPrompt');
+    if (prompt) {
+        prompt.classList.remove('visible');
+    }
+}
+
+/**
+ * Fill the form with the saved draft
+ * ===================================
+ * Called when user clicks "Restore" in the draft prompt.
+ */
+function restoreDraft() {
+    const draft = getDraft();
+    hideDraftPrompt();
+
+    if (!draft) {
+        return;
+    }
+
+    contactFields.forEach(fieldId => {
+        document.getElementById(fieldId).value = draft[fieldId] || '';
+    });
+
+    // Put the cursor at the end of the message so they can carry on typing
+    const messageInput = document.getElementById('message');
+    messageInput.focus();
+    messageInput.setSelectionRange(messageInput.value.length, messageInput.value.length);
+}
+
+/**
+ * Throw away the saved draft
+ * ===========================
+ * Called when user clicks "Discard" in the draft prompt.
+ */
+function discardDraft() {
+    clearDraft();
+}
+
+/**
+ * Set up real-time validation on input fields
+ * =============================================
+ * Add event listeners to validate fields as user types.
+ * This provides immediate feedback without waiting for form submission.
+ */
+function setupRealtimeValidation() {
+    contactFields.forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+
+        // Validate on blur (when user leaves the field)
+        input.addEventListener('blur', () => {
+            if (input.value.trim() !== '') {
+                checkField(fieldId);
+            } else if (!input.classList.contains('error')) {
+                // An emptied optional field has nothing to complain about
+                clearFieldError(input, false);
+            }
+        });
+
+        // Clear error styling when user starts typing
+        input.addEventListener('input', () => {
+            // Typing something new replaces the old draft, so stop offering it
+            hideDraftPrompt();
+            // Auto-save a draft once the user pauses
+            scheduleDraftSave();
+
+            // Only re-check if there was an error or warning showing
+            // (async rules wait until the user leaves the field)
+            if (input.classList.contains('error') || input.classList.contains('warning')) {
+                const values = getContactFieldValues();
+                const result = validateField(fieldId, values[fieldId], values);
+                if (result.isValid && result.warnings.length > 0) {
+                    showFieldError(input, result.warnings[0], 'warning');
+                } else if (result.isValid) {
+                    // Green only once any async rules have had their say
+                    clearFieldError(input, !result.pending);
+                }
+            }
+        });
+    });
+}
+
+
+/*
+    Spam Protection
+    ================
+    Bots love contact forms. Without relying on any outside service
+    (like reCAPTCHA), we use four cheap tricks:
+
+    1. Honeypot - a hidden "website" field. People never see it, but bots
+       fill in every field they find. If it has a value, we pretend the
+       message was sent and quietly drop it.
+    2. Time to submit - nobody types a real message within a couple of
+       seconds of opening the form. Too fast = suspicious.
+    3. Rate limit - at most a few messages per hour from this browser
+       (timestamps are kept in localStorage).
+    4. Challenge - a small maths question, shown ONLY when something looks
+       suspicious, so normal visitors never see it.
+
+    None of this stops a determined attacker (they can call EmailJS
+    directly), but it keeps out the automated form-fillers.
+*/
+const SPAM_CONFIG = {
+    storageKey: 'submissions',
+    minFillTime: 3000,          // Faster than 3s after opening = suspicious
+    maxPerHour: 3,              // Hard limit per browser
+    burstWindow: 10 * 60 * 1000 // Another message within 10 minutes = suspicious
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// When the contact modal was last opened (set in openModal())
+let modalOpenedAt = 0;
+
+// The current challenge ({ a, b, answer }), or null if none is showing
+let activeChallenge = null;
+
+// Passed the challenge? Then don't ask again until the modal is reopened
+let challengePassed = false;
+
+/**
+ * Get the times of recent submissions (last hour only)
+ * =====================================================
+ * @returns {array} - Timestamps in milliseconds
+ */
+function getRecentSubmissions() {
+    const submissions = getFromStorage(SPAM_CONFIG.storageKey, []);
+    return submissions.filter(time => Date.now() - time < HOUR_MS);
+}
+
+/**
+ * Remember that a message was submitted now
+ * ==========================================
+ * Old timestamps are dropped, so the list never grows past maxPerHour.
+ */
+function recordSubmission() {
+    const submissions = getRecentSubmissions();
+    submissions.push(Date.now());
+    setInStorage(SPAM_CONFIG.storageKey, submissions);
+}
+
+/**
+ * Start the time-to-submit clock
+ * ===============================
+ * Called by openModal(). A new visit to the form also forgets any
+ * challenge from last time.
+ */
+function startSpamTimer() {
+    modalOpenedAt = Date.now();
+    challengePassed = false;
+    hideChallenge();
+}
+
+/**
+ * Show a new maths challenge
+ * ===========================
+ * Two small random numbers - easy for people, and a generic bot won't
+ * know it has to read the question.
+ */
+function showChallenge() {
+    const a = Math.floor(Math.random() * 9) + 1;
+    const b = Math.floor(Math.random() * 9) + 1;
+    activeChallenge = { a, b, answer: a + b };
+
+    const answerInput = document.getElementById('challengeAnswer');
+    document.getElementById('challengeQuestion').textContent = t('spam.question', { a, b });
+    answerInput.value = '';
+    clearFieldError(answerInput, false);
+    document.getElementById('spamChallenge').classList.add('visible');
+    answerInput.focus();
+}
+
+/**
+ * Hide the challenge
+ * ===================
+ */
+function hideChallenge() {
+    activeChallenge = null;
+    const challenge = document.getElementById('spamChallenge');
+    if (challenge) {
+        challenge.classList.remove('visible');
+    }
+}
+
+/**
+ * Decide what to do with a (valid) submission
+ * ============================================
+ * @returns {object} - { verdict, message }
+ *   verdict is one of:
+ *   - 'send'      - looks fine, go ahead
+ *   - 'drop'      - the honeypot was filled in: pretend to send
+ *   - 'blocked'   - too many messages this hour
+ *   - 'challenge' - suspicious: the challenge must be answered first
+ */
+function checkForSpam() {
+    // 1. Honeypot
+    const honeypot = document.getElementById('website');
+    if (honeypot && honeypot.value !== '') {
+        return { verdict: 'drop' };
+    }
+
+    // 3. Rate limit (checked before the challenge - answering it won't help)
+    const recent = getRecentSubmissions();
+    if (recent.length >= SPAM_CONFIG.maxPerHour) {
+        const minutesLeft = Math.ceil((recent[0] + HOUR_MS - Date.now()) / 60000);
+        return {
+            verdict: 'blocked',
+            message: t('spam.blocked', { sent: recent.length, count: minutesLeft })
+        };
+    }
+
+    // 4. A challenge is showing - is the answer right?
+    if (activeChallenge) {
+        const answerInput = document.getElementById('challengeAnswer');
+        if (Number(answerInput.value.trim()) === activeChallenge.answer) {
+            challengePassed = true;
+            hideChallenge();
+            return { verdict: 'send' };
+        }
+        showChallenge();
+        showFieldError(document.getElementById('challengeAnswer'), t('spam.wrongAnswer'));
+        return { verdict: 'challenge', message: t('spam.answerPrompt') };
+    }
+
+    // 2. Heuristics: filled in too quickly, or a burst of messages.
+    // (Only worth checking when the page has a challenge to show.)
+    if (!document.getElementById('spamChallenge')) {
+        return { verdict: 'send' };
+    }
+    const tooFast = Date.now() - modalOpenedAt < SPAM_CONFIG.minFillTime;
+    const burst = recent.some(time => Date.now() - time < SPAM_CONFIG.burstWindow);
+    if ((tooFast || burst) && !challengePassed) {
+        showChallenge();
+        return { verdict: 'challenge', message: t('spam.humanCheck') };
+    }
+
+    return { verdict: 'send' };
+}
+
+/**
+ * Pretend a bot's message was sent
+ * =================================
+ * Looking exactly like a real success gives the bot no hint that it
+ * was caught (and nothing to adapt to).
+ */
+function fakeSuccessfulSubmission() {
+    const formStatus = document.getElementById('formStatus');
+    formStatus.className = 'form-status success';
+    formStatus.textContent = t('status.sent');
+    document.getElementById('contactForm').reset();
+
+    setTimeout(() => {
+        closeModal();
+    }, 2500);
+}
+
+/**
+ * Show field errors returned by a transport
+ * ==========================================
+ * @param {object} fieldErrors - { fieldId: errorMessage }
+ */
+function showServerFieldErrors(fieldErrors) {
+    let firstInvalidField = null;
+
+    Object.keys(fieldErrors).forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+        if (input) {
+            showFieldError(input, fieldErrors[fieldId]);
+            firstInvalidField = firstInvalidField || input;
+        }
+    });
+
+    if (firstInvalidField) {
+        firstInvalidField.focus();
+    }
+}
+
+/**
+ * Handle form submission
+ * =======================
+ * @param {Event} event - The form submit event
+ *
+ * This function:
+ * 1. Prevents default form submission
+ * 2. Validates all fields (async checks included)
+ * 3. Runs the spam checks (see "Spam Protection")
+ * 4. If all is well, sends the message via the active transport
+ * 5. Also saves message to localStorage for backup
+ * 6. Shows success/error message
+ */
+function handleSubmit(event) {
+    // Prevent the default form submission (would reload the page)
+    event.preventDefault();
+
+    // Get references to UI elements
+    const submitBtn = document.getElementById('submitBtn');
+    const formStatus = document.getElementById('formStatus');
+
+    // Clear any previous status message
+    formStatus.className = 'form-status';
+    formStatus.textContent = '';
+
+    // Async checks may take a moment - don't allow a second click meanwhile
+    submitBtn.disabled = true;
+    submitBtn.textContent = t('form.checking');
+
+    validateForm().then(isValid => {
+        submitBtn.textContent = t('form.send');
+        submitBtn.disabled = false;
+
+        if (!isValid) {
+            // Validation failed - show error status
+            formStatus.className = 'form-status error';
+            formStatus.textContent = t('status.fixErrors');
+            return;  // Stop here, don't submit
+        }
+
+        const spamCheck = checkForSpam();
+        if (spamCheck.verdict === 'drop') {
+            fakeSuccessfulSubmission();
+        } else if (spamCheck.verdict === 'blocked') {
+            formStatus.className = 'form-status error';
+            formStatus.textContent = spamCheck.message;
+        } else if (spamCheck.verdict === 'challenge') {
+            formStatus.className = 'form-status warning';
+            formStatus.textContent = spamCheck.message;
+        } else {
+            sendContactForm();
+        }
+    }).catch(error => {
+        // A bug, not a problem with the form - let the user try again
+        console.error('Contact form error:', error);
+
+        submitBtn.textContent = t('form.send');
+        submitBtn.disabled = false;
+        formStatus.className = 'form-status error';
+        formStatus.textContent = t('status.failed');
+    });
+}
+
+/**
+ * Send the (already validated) contact form
+ * ==========================================
+ * Called by handleSubmit() once validateForm() has passed.
+ */
+function sendContactForm() {
+    const submitBtn = document.getElementById('submitBtn');
+    const formStatus = document.getElementById('formStatus');
+
+    // Collect form data for localStorage
+    const values = getContactFieldValues();
+    const formData = {
+        id: Date.now(),
+        name: values.senderName.trim(),
+        email: values.senderEmail.trim(),
+        phone: values.senderPhone.trim(),
+        subject: values.subject.trim(),
+        message: values.message.trim(),
+        date: new Date().toISOString()
+    };
+
+    // Offline? Don't even try - put the message in the outbox (outbox.js)
+    if (!navigator.onLine) {
+        queueMessage(formData);
+        finishQueuedSubmission(t('status.offline'));
+        return;
+    }
+
+    // Show loading state
+    submitBtn.disabled = true;
+    submitBtn.textContent = t('form.sending');
+
+    /*
+        Send via the active transport
+        ==============================
+        send() returns a Promise:
+        - .then() runs if the message was delivered
+        - .catch() runs if there's an error
+    */
+    getContactTransport().send(formData)
+    .then(function() {
+        // SUCCESS - Message was delivered
+        recordSubmission();
+
+        // Also save to localStorage as backup
+        saveMessageToStorage({ ...formData, status: 'sent' });
+
+        // Show success message
+        formStatus.className = 'form-status success';
+        formStatus.textContent = t('status.sent');
+
+        // Reset button state
+        submitBtn.textContent = t('form.send');
+        submitBtn.disabled = false;
+
+        // Clear the form, the saved draft and validation states
+        document.getElementById('contactForm').reset();
+        clearDraft();
+        contactFields.forEach(fieldId => {
+            clearFieldError(document.getElementById(fieldId), false);
+        });
+
+        // Auto-close modal after showing success
+        setTimeout(() => {
+            closeModal();
+        }, 2500);
+    })
+    .catch(function(error) {
+        // ERROR - Something went wrong
+        console.error('Contact transport error:', error);
+
+        // Reset button state
+        submitBtn.textContent = t('form.send');
+        submitBtn.disabled = false;
+
+        if (error.fieldErrors) {
+            // The server rejected specific fields - point the user at them
+            showServerFieldErrors(error.fieldErrors);
+            formStatus.className = 'form-status error';
+            formStatus.textContent = t('status.fixErrors');
+            return;
+        }
+
+        // Delivery failed - keep the message in the outbox instead of losing it
+        queueMessage(formData, error);
+        finishQueuedSubmission(t('status.queued'));
+    });
+}
+
+/**
+ * Wrap up a submission that went into the outbox
+ * ===============================================
+ * @param {string} statusText - Explanation shown to the user
+ *
+ * The message is safe in the outbox, so we clear the form just like
+ * after a successful send, but show a warning instead of a success.
+ * It will be sent, so it counts towards the hourly limit too - a
+ * message the server rejected doesn't.
+ */
+function finishQueuedSubmission(statusText) {
+    recordSubmission();
+
+    const formStatus = document.getElementById('formStatus');
+    formStatus.className = 'form-status warning';
+    formStatus.textContent = statusText;
+
+    // The outbox has its own copy now, so the draft is no longer needed
+    document.getElementById('contactForm').reset();
+    clearDraft();
+    contactFields.forEach(fieldId => {
+        clearFieldError(document.getElementById(fieldId), false);
+    });
+
+    setTimeout(() => {
+        closeModal();
+    }, 4000);
+}
+
+/**
+ * Re-translate the text this file put on the page
+ * ================================================
+ * applyTranslations() (i18n.js) already handled every data-i18n
+ * element. What's left is text built with t() and parameters.
+ */
+function refreshContactText() {
+    // The draft prompt includes the draft's date
+    const draftPrompt = document.getElementById('draftPrompt');
+    if (draftPrompt && draftPrompt.classList.contains('visible')) {
+        showDraftPrompt();
+    }
+
+    if (activeChallenge) {
+        document.getElementById('challengeQuestion').textContent =
+            t('spam.question', { a: activeChallenge.a, b: activeChallenge.b });
+    }
+
+    // Messages already showing under fields: check again, in the new language
+    contactFields.forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+        if (input.classList.contains('error') || input.classList.contains('warning')) {
+            checkField(fieldId, false);
+        }
+    });
+}
+
+/**
+ * Set up the contact form
+ * ========================
+ * Does nothing on pages without one (todo.html). The form's
+ * data-transport attribute picks the transport ('auto' if missing).
+ */
+function initContact() {
+    const form = document.getElementById('contactForm');
+    if (!form || !document.getElementById('contactModal')) {
+        return;
+    }
+
+    contactFields = Object.keys(messageFieldMap).filter(fieldId => document.getElementById(fieldId));
+
+    const transport = form.dataset.transport || 'auto';
+    if (transport === 'auto') {
+        detectContactTransport();
+    } else {
+        setContactTransport(transport);
+    }
+    initTransports();
+
+    // Overlay clicks, the X button and Escape close it (see modal.js), and
+    // #contact/form opens it (see navigation.js)
+    registerModal('contactModal', closeModal, { route: '#contact/form', open: openModal });
+
+    form.addEventListener('submit', handleSubmit);
+
+    // The "Restore" / "Discard" buttons in the draft prompt
+    const restoreButton = document.querySelector('.draft-restore');
+    const discardButton = document.querySelector('.draft-discard');
+    if (restoreButton && discardButton) {
+        restoreButton.addEventListener('click', restoreDraft);
+        discardButton.addEventListener('click', discardDraft);
+    }
+
+    // Initialize real-time validation
+    setupRealtimeValidation();
+
+    onLanguageChange(refreshContactText);
+}
+
+export { openModal, closeModal, initContact };
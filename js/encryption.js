@@ -0,0 +1,475 @@
+/*
+ * ==========================================================================
+ * ENCRYPTION.JS - Messages Encrypted at Rest
+ * ==========================================================================
+ *
+ * localStorage is plain text: any script or browser extension running on
+ * this page can read it. So the personal parts of each saved message
+ * (name, email, phone, subject and message) are stored ENCRYPTED. Only
+ * the bookkeeping (id, date, read/starred/... flags) stays readable, so
+ * the unread badge and the trash timer work while the admin view is
+ * locked.
+ *
+ * The catch: visitors save messages, but only the owner knows the
+ * passphrase. So we use two kinds of keys (all with WebCrypto):
+ *
+ * 1. A key PAIR for the owner (ECDH, curve P-256), shipped with the site
+ *    in ENCRYPTION_CONFIG.ownerKeys (below):
+ *    - the PUBLIC key as-is - anyone can encrypt with it
+ *    - the PRIVATE key encrypted with AES-GCM, using a key derived from
+ *      the admin passphrase with PBKDF2. That's safe to publish: without
+ *      the passphrase it's just random bytes.
+ * 2. For every message, a one-off key pair is generated. Combining its
+ *    private half with the owner's public key (ECDH) gives an AES-GCM
+ *    key that encrypts the message. Only the one-off PUBLIC half is
+ *    stored with the message - combining it with the owner's private
+ *    key gives the same AES key back.
+ *
+ * So every browser encrypts the messages it saves, and reading one
+ * always needs the passphrase. Once unlocked, messages are decrypted
+ * into memory (messageContentCache) so the rest of the code can use
+ * them as normal.
+ *
+ * To make the keys, run this in the browser console and paste the
+ * result into ENCRYPTION_CONFIG.ownerKeys:
+ *     kp.createOwnerKeys('your passphrase').then(console.log)
+ *
+ * Changing the passphrase (the "Passphrase" button in the messages
+ * view) makes new keys. They're kept in this browser's localStorage,
+ * which wins over ENCRYPTION_CONFIG - and they're printed to the console,
+ * to be pasted into ENCRYPTION_CONFIG so other browsers use them too.
+ *
+ * Not encrypted: the outbox (outbox.js) and form drafts - they must be
+ * readable to be sent or restored. An outbox entry only waits there
+ * until it's delivered; then it's saved (encrypted) with the others.
+ *
+ * localStorage:
+ *     kp:keyring  = { version, publicKey, privateKey: { salt, iv, data } }
+ *                   (only after a passphrase change in this browser)
+ *     kp:messages = [{ id, date, read, ..., encrypted: { epk, iv, data } }]
+ */
+
+import { getFromStorage, setInStorage } from './storage.js';
+import { getMessagesFromStorage, setMessagesInStorage, getTrash, saveTrash, runInMessageSaveQueue } from './messages.js';
+
+const ENCRYPTION_CONFIG = {
+    // The owner's keys, from kp.createOwnerKeys() - null until you make
+    // them, and until then messages are saved unencrypted
+    ownerKeys: null,
+    keyringKey: 'keyring',
+    iterations: 250000,  // PBKDF2 rounds for the passphrase
+    contentFields: ['name', 'email', 'phone', 'subject', 'message']
+};
+
+// Algorithm settings used with WebCrypto below
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const AES_PARAMS = { name: 'AES-GCM', length: 256 };
+
+// The owner's private key (only while the admin view is unlocked - see
+// setOwnerPrivateKey and forgetOwnerKey below)
+let ownerPrivateKey = null;
+
+// Decrypted message content by message id (only while unlocked)
+const messageContentCache = new Map();
+
+/**
+ * Convert bytes to/from Base64 text
+ * ==================================
+ * Encrypted data is raw bytes; localStorage can only hold strings.
+ */
+function bytesToBase64(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Get the owner's keys
+ * =====================
+ * @returns {object|null} - This browser's keys (after a passphrase
+ *   change), else ENCRYPTION_CONFIG.ownerKeys - null if neither is set
+ */
+function getKeyring() {
+    return getFromStorage(ENCRYPTION_CONFIG.keyringKey) || ENCRYPTION_CONFIG.ownerKeys;
+}
+
+/**
+ * Is WebCrypto available?
+ * ========================
+ * Browsers only provide it on https:// pages (and localhost).
+ */
+function hasWebCrypto() {
+    return Boolean(window.crypto && window.crypto.subtle);
+}
+
+/**
+ * Turn a passphrase into an AES-GCM key (PBKDF2)
+ * ===============================================
+ * @param {string} passphrase
+ * @param {Uint8Array} salt - Random bytes stored next to the encrypted key
+ * @returns {Promise<CryptoKey>}
+ */
+function derivePassphraseKey(passphrase, salt) {
+    const subtle = window.crypto.subtle;
+    return subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+        .then(baseKey => subtle.deriveKey({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt,
+            iterations: ENCRYPTION_CONFIG.iterations
+        }, baseKey, AES_PARAMS, false, ['encrypt', 'decrypt']));
+}
+
+/**
+ * Create a new key pair for the owner
+ * ====================================
+ * @param {string} passphrase - Protects the private key
+ * @returns {Promise<object>} - { keyring, privateKey }
+ *
+ * Nothing is saved here - the caller decides when to store the keyring.
+ */
+function createKeyring(passphrase) {
+    const subtle = window.crypto.subtle;
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+
+    return subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']).then(keyPair => Promise.all([
+        subtle.exportKey('jwk', keyPair.publicKey),
+        subtle.exportKey('pkcs8', keyPair.privateKey),
+        derivePassphraseKey(passphrase, salt)
+    ]).then(([publicKey, privateKeyBytes, passphraseKey]) =>
+        subtle.encrypt({ name: 'AES-GCM', iv }, passphraseKey, privateKeyBytes).then(wrapped => ({
+            keyring: {
+                version: 1,
+                publicKey,
+                privateKey: { salt: bytesToBase64(salt), iv: bytesToBase64(iv), data: bytesToBase64(wrapped) }
+            },
+            privateKey: keyPair.privateKey
+        }))
+    ));
+}
+
+/**
+ * Decrypt the owner's private key with a passphrase
+ * ==================================================
+ * @param {string} passphrase
+ * @param {object} keyring - From getKeyring()
+ * @returns {Promise<CryptoKey>} - Rejects if the passphrase is wrong
+ *                                 (AES-GCM notices the wrong key)
+ */
+function unwrapPrivateKey(passphrase, keyring) {
+    const subtle = window.crypto.subtle;
+    const wrapped = keyring.privateKey;
+
+    return derivePassphraseKey(passphrase, base64ToBytes(wrapped.salt))
+        .then(passphraseKey => subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(wrapped.iv) }, passphraseKey, base64ToBytes(wrapped.data)
+        ))
+        .then(privateKeyBytes => subtle.importKey('pkcs8', privateKeyBytes, ECDH_PARAMS, false, ['deriveKey']));
+}
+
+/**
+ * Pick the fields that get encrypted
+ * ===================================
+ * @param {object} message
+ * @returns {object} - { name, email, phone, subject, message }
+ */
+function pickMessageContent(message) {
+    const content = {};
+    ENCRYPTION_CONFIG.contentFields.forEach(field => {
+        if (field in message) {
+            content[field] = message[field];
+        }
+    });
+    return content;
+}
+
+/**
+ * Encrypt a message's content for the owner
+ * ==========================================
+ * @param {object} message - A message with its content fields
+ * @param {object} keyring - Whose public key to encrypt for
+ * @returns {Promise<object>} - The message plus { encrypted: { epk, iv, data } }
+ *
+ * The content fields stay on the returned object (handy in memory);
+ * setMessagesInStorage() strips them before anything is written.
+ */
+function sealMessage(message, keyring) {
+    const subtle = window.crypto.subtle;
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(pickMessageContent(message)));
+
+    return Promise.all([
+        subtle.importKey('jwk', keyring.publicKey, ECDH_PARAMS, false, []),
+        subtle.generateKey(ECDH_PARAMS, true, ['deriveKey'])
+    ]).then(([ownerPublicKey, oneOffKeys]) =>
+        subtle.deriveKey({ name: 'ECDH', public: ownerPublicKey }, oneOffKeys.privateKey, AES_PARAMS, false, ['encrypt'])
+            .then(aesKey => Promise.all([
+                subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, plaintext),
+                subtle.exportKey('jwk', oneOffKeys.publicKey)
+            ]))
+    ).then(([ciphertext, epk]) => ({
+        ...message,
+        encrypted: { epk, iv: bytesToBase64(iv), data: bytesToBase64(ciphertext) }
+    }));
+}
+
+/**
+ * Decrypt a message's content
+ * ============================
+ * @param {object} encrypted - The message's { epk, iv, data }
+ * @param {CryptoKey} privateKey - The owner's private key
+ * @returns {Promise<object>} - { name, email, phone, subject, message }
+ */
+function openSealedContent(encrypted, privateKey) {
+    const subtle = window.crypto.subtle;
+
+    return subtle.importKey('jwk', encrypted.epk, ECDH_PARAMS, false, [])
+        .then(oneOffPublicKey => subtle.deriveKey(
+            { name: 'ECDH', public: oneOffPublicKey }, privateKey, AES_PARAMS, false, ['decrypt']
+        ))
+        .then(aesKey => subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(encrypted.iv) }, aesKey, base64ToBytes(encrypted.data)))
+        .then(plaintext => JSON.parse(new TextDecoder().decode(plaintext)));
+}
+
+/**
+ * Prepare a message for localStorage
+ * ===================================
+ * Encrypted messages lose their readable content fields.
+ */
+function toStoredMessage(message) {
+    if (!message.encrypted) {
+        return message;
+    }
+    const stored = { ...message };
+    ENCRYPTION_CONFIG.contentFields.forEach(field => delete stored[field]);
+    return stored;
+}
+
+/**
+ * Fill in a stored message's content from the cache
+ * ==================================================
+ * While locked, encrypted messages come back without their content.
+ */
+function openStoredMessage(message) {
+    if (!message.encrypted) {
+        return message;
+    }
+    return { ...message, ...messageContentCache.get(message.id) };
+}
+
+/**
+ * Encrypt a new message, if the owner has set up encryption
+ * ==========================================================
+ * @param {object} message
+ * @returns {Promise<object>} - Never rejects: if encryption fails, the
+ *   message is kept readable rather than lost (the next page load
+ *   encrypts it - see encryptPlaintextMessages())
+ */
+function encryptIfPossible(message) {
+    const keyring = getKeyring();
+    if (!keyring || !hasWebCrypto()) {
+        return Promise.resolve(message);
+    }
+
+    return sealMessage(message, keyring).catch(error => {
+        console.warn('Could not encrypt message, storing it unencrypted for now:', error);
+        return message;
+    });
+}
+
+/**
+ * Decrypt every stored message into the cache
+ * ============================================
+ * Called after unlocking, and when another tab saves messages. A
+ * message that can't be decrypted (damaged data) is skipped and shows
+ * up without content.
+ */
+function decryptAllMessages() {
+    // Only what isn't decrypted yet (e.g. messages saved in another tab)
+    const sealed = getMessagesFromStorage().concat(getTrash())
+        .filter(msg => msg.encrypted && !messageContentCache.has(msg.id));
+
+    return Promise.all(sealed.map(msg =>
+        openSealedContent(msg.encrypted, ownerPrivateKey)
+            .then(content => messageContentCache.set(msg.id, content))
+            .catch(error => console.warn(`Could not decrypt message ${msg.id}:`, error))
+    ));
+}
+
+/**
+ * Encrypt any messages still stored as plain text
+ * ================================================
+ * This is the one-time migration for messages saved before encryption
+ * existed. It runs on every page load (see initMessages) and unlock, but
+ * only does work when it finds unencrypted messages (e.g. one saved
+ * where WebCrypto wasn't available). Only the public key is needed.
+ */
+function encryptPlaintextMessages() {
+    const keyring = getKeyring();
+    const isPlaintext = msg => !msg.encrypted && ENCRYPTION_CONFIG.contentFields.some(field => field in msg);
+    const sealAll = list => Promise.all(list.map(msg => (isPlaintext(msg) ? sealMessage(msg, keyring) : msg)));
+
+    if (!keyring || !hasWebCrypto() || !getMessagesFromStorage().concat(getTrash()).some(isPlaintext)) {
+        return Promise.resolve();
+    }
+
+    return Promise.all([sealAll(getMessagesFromStorage()), sealAll(getTrash())])
+        .then(([messages, trash]) => {
+            // Re-read before writing: the flags may have changed meanwhile
+            const sealedById = new Map(messages.concat(trash).map(msg => [msg.id, msg]));
+            const merge = msg => (isPlaintext(msg) && sealedById.has(msg.id) ? { ...msg, encrypted: sealedById.get(msg.id).encrypted } : msg);
+
+            setMessagesInStorage(getMessagesFromStorage().map(merge));
+            saveTrash(getTrash().map(merge));
+        });
+}
+
+/**
+ * Make the owner's keys, for ENCRYPTION_CONFIG.ownerKeys
+ * =======================================================
+ * @param {string} passphrase - The admin passphrase
+ * @returns {Promise<string>} - The keys as JSON, ready to paste
+ *
+ * Run it from the browser console (see the top of this file).
+ */
+function createOwnerKeys(passphrase) {
+    if (!hasWebCrypto()) {
+        return Promise.reject(new Error('WebCrypto is not available - open the page over https or from localhost'));
+    }
+    return createKeyring(passphrase).then(({ keyring }) => JSON.stringify(keyring));
+}
+
+/**
+ * Change the admin passphrase
+ * ============================
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<string>} - The new keys as JSON, for
+ *   ENCRYPTION_CONFIG.ownerKeys. Rejects with a readable message on failure.
+ *
+ * Rather than only re-protecting the private key, this creates a brand
+ * new key pair and re-encrypts EVERY message with it. Anyone who had
+ * the old passphrase (or a copy of the old key) can't read anything
+ * stored from now on.
+ *
+ * Everything is prepared in memory first and written in one go at the
+ * end, so a failure halfway leaves the old data untouched. It runs in
+ * the message save queue (messages.js): a message saved meanwhile waits,
+ * then is encrypted with the NEW key. And if any message can't be
+ * decrypted, the passphrase isn't changed - that message would
+ * otherwise stay locked under a key that no longer exists.
+ */
+function changeAdminPassphrase(currentPassphrase, newPassphrase) {
+    const keyring = getKeyring();
+    if (!keyring) {
+        return Promise.reject(new Error('There are no owner keys yet - see "Admin Passphrase" in the README'));
+    }
+
+    return runInMessageSaveQueue(() => unwrapPrivateKey(currentPassphrase, keyring)
+        .catch(() => {
+            throw new Error('The current passphrase is wrong');
+        })
+        .then(privateKey => {
+            ownerPrivateKey = privateKey;
+            // Make sure every message is readable before re-encrypting
+            return encryptPlaintextMessages().then(decryptAllMessages);
+        })
+        .then(() => {
+            const unreadable = getMessagesFromStorage().concat(getTrash())
+                .filter(msg => msg.encrypted && !messageContentCache.has(msg.id));
+            if (unreadable.length > 0) {
+                throw new Error(`${unreadable.length} message(s) could not be decrypted, so the passphrase was not changed`);
+            }
+            return createKeyring(newPassphrase);
+        })
+        .then(({ keyring: newKeyring, privateKey }) => {
+            const reseal = msg => (msg.encrypted ? sealMessage(msg, newKeyring) : msg);
+
+            return Promise.all([
+                Promise.all(getMessagesFromStorage().map(reseal)),
+                Promise.all(getTrash().map(reseal))
+            ]).then(([messages, trash]) => {
+                // Re-read before writing, so flags changed meanwhile are kept.
+                // A message we haven't re-encrypted (saved by another tab just
+                // now) would be lost with the old key - so stop instead.
+                const resealedById = new Map(messages.concat(trash).map(msg => [msg.id, msg.encrypted]));
+                const swap = msg => {
+                    if (!msg.encrypted) {
+                        return msg;
+                    }
+                    if (!resealedById.has(msg.id)) {
+                        throw new Error('New messages arrived while re-encrypting - please try again');
+                    }
+                    return { ...msg, encrypted: resealedById.get(msg.id) };
+                };
+                const newMessages = getMessagesFromStorage().map(swap);
+                const newTrash = getTrash().map(swap);
+
+                setInStorage(ENCRYPTION_CONFIG.keyringKey, newKeyring);
+                setMessagesInStorage(newMessages);
+                saveTrash(newTrash);
+                ownerPrivateKey = privateKey;
+                return JSON.stringify(newKeyring);
+            });
+        }));
+}
+
+/**
+ * Use the owner's private key from now on
+ * ========================================
+ * @param {CryptoKey} privateKey - From unwrapPrivateKey()
+ *
+ * Called by admin.js once the admin view is unlocked.
+ */
+function setOwnerPrivateKey(privateKey) {
+    ownerPrivateKey = privateKey;
+}
+
+/**
+ * Forget the key and everything decrypted with it
+ * ================================================
+ * Called by admin.js when the admin view is locked.
+ */
+function forgetOwnerKey() {
+    ownerPrivateKey = null;
+    messageContentCache.clear();
+}
+
+/**
+ * Keep a just-saved message readable
+ * ===================================
+ * @param {object} message - A message as saveMessageToStorage() stored it,
+ *                           content fields included
+ *
+ * While the admin view is unlocked, the owner can read a new message
+ * straight away without decrypting it again.
+ */
+function rememberMessageContent(message) {
+    if (message.encrypted && ownerPrivateKey) {
+        messageContentCache.set(message.id, pickMessageContent(message));
+    }
+}
+
+export {
+    ENCRYPTION_CONFIG,
+    getKeyring,
+    hasWebCrypto,
+    unwrapPrivateKey,
+    createOwnerKeys,
+    setOwnerPrivateKey,
+    forgetOwnerKey,
+    rememberMessageContent,
+    toStoredMessage,
+    openStoredMessage,
+    encryptIfPossible,
+    decryptAllMessages,
+    encryptPlaintextMessages,
+    changeAdminPassphrase
+};
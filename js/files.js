@@ -0,0 +1,53 @@
+/*
+ * ==========================================================================
+ * FILES.JS - Downloading Files & Built-In Data
+ * ==========================================================================
+ *
+ * Exports are built in the browser - there's no server to download them
+ * from - so they're handed to the visitor as in-memory files.
+ *
+ * The other way round, the single-file portfolio.html (made by build.js)
+ * carries its data files inside the page, because a page opened from
+ * disk isn't allowed to fetch() them.
+ */
+
+/**
+ * Download text as a file
+ * ========================
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ *
+ * Creates a temporary link to a Blob (an in-memory file) and clicks it.
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Free the memory once the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Get a data file that was built into the page
+ * =============================================
+ * @param {string} fileName - e.g. 'profile.json'
+ * @returns {*} - The parsed contents, or null on a normal page
+ *
+ * build.js puts each file in a <script type="application/json"
+ * data-file="profile.json"> element - the browser doesn't run those, it
+ * just keeps the text.
+ */
+function getBuiltInData(fileName) {
+    const element = document.querySelector(`script[type="application/json"][data-file="${fileName}"]`);
+    return element ? JSON.parse(element.textContent) : null;
+}
+
+export { downloadFile, getBuiltInData };
@@ -0,0 +1,132 @@
+/*
+ * ==========================================================================
+ * FORM-FIELDS.JS - Showing Errors Next to Form Fields
+ * ==========================================================================
+ *
+ * Every form on the site (contact, admin login, change passphrase) shows
+ * its problems the same way, using the .error-message span after each
+ * input (see the form validation styles in styles.css).
+ *
+ * A field can be in one of four states, each with its own look:
+ * - error:   red border + message, shake - the form can't be sent
+ * - warning: amber border + hint - the form can still be sent
+ * - pending: "Checking..." while an async rule (like the disposable
+ *            email check) is still running
+ * - valid:   green border
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Show validation error for a field
+ * ==================================
+ * @param {HTMLElement} input - The input element
+ * @param {string} message - The error message to display
+ * @param {string} severity - 'error' (default) or 'warning'
+ *
+ * This function:
+ * 1. Adds error styling to the input (red border, or amber for warnings)
+ * 2. Shows the error message below the field
+ * 3. Triggers a shake animation for emphasis (errors only)
+ */
+function showFieldError(input, message, severity = 'error') {
+    const isWarning = severity === 'warning';
+
+    // Add error (red) or warning (amber) class to input
+    input.classList.toggle('error', !isWarning);
+    input.classList.toggle('warning', isWarning);
+    input.classList.remove('valid', 'pending');
+    input.removeAttribute('aria-busy');
+
+    // Find the error message element (sibling span)
+    const errorSpan = input.parentElement.querySelector('.error-message');
+    if (errorSpan) {
+        errorSpan.textContent = message;
+        errorSpan.classList.toggle('warning', isWarning);
+        errorSpan.classList.remove('pending');
+        errorSpan.classList.add('visible');
+    }
+
+    // A warning is only a hint - don't shake
+    if (isWarning) {
+        return;
+    }
+
+    // Trigger shake animation
+    input.classList.add('shake');
+    // Remove shake class after animation completes
+    setTimeout(() => input.classList.remove('shake'), 500);
+}
+
+/**
+ * Clear validation error for a field
+ * ====================================
+ * @param {HTMLElement} input - The input element
+ * @param {boolean} showValid - Whether to show valid styling (green border)
+ */
+function clearFieldError(input, showValid = false) {
+    // Remove error, warning and pending styling
+    input.classList.remove('error', 'warning', 'pending');
+    input.removeAttribute('aria-busy');
+
+    // Optionally add valid styling
+    if (showValid) {
+        input.classList.add('valid');
+    } else {
+        input.classList.remove('valid');
+    }
+
+    // Hide the error message
+    const errorSpan = input.parentElement.querySelector('.error-message');
+    if (errorSpan) {
+        errorSpan.classList.remove('visible', 'warning', 'pending');
+        // Clear text after fade out
+        setTimeout(() => {
+            if (!errorSpan.classList.contains('visible')) {
+                errorSpan.textContent = '';
+            }
+        }, 200);
+    }
+}
+
+/**
+ * Show that a field is being checked
+ * ===================================
+ * @param {HTMLElement} input - The input element
+ *
+ * Used while an async rule runs, so the visitor knows why the green
+ * border hasn't appeared yet.
+ */
+function showFieldPending(input) {
+    input.classList.remove('error', 'warning', 'valid');
+    input.classList.add('pending');
+    input.setAttribute('aria-busy', 'true');
+
+    const errorSpan = input.parentElement.querySelector('.error-message');
+    if (errorSpan) {
+        errorSpan.textContent = t('form.checking');
+        errorSpan.classList.remove('warning');
+        errorSpan.classList.add('visible', 'pending');
+    }
+}
+
+/**
+ * Show a validation result on its field
+ * ======================================
+ * @param {HTMLElement} input - The input element
+ * @param {object} result - From validateField() / validateFieldAsync()
+ * @param {boolean} showValid - Show the green border if everything passed?
+ */
+function showFieldResult(input, result, showValid) {
+    if (!result.isValid) {
+        showFieldError(input, result.errorMessage);
+    } else if (result.warnings.length > 0) {
+        showFieldError(input, result.warnings[0], 'warning');
+    } else if (result.pending) {
+        showFieldPending(input);
+    } else {
+        clearFieldError(input, showValid);
+    }
+}
+
+export { showFieldError, clearFieldError, showFieldPending, showFieldResult };
@@ -0,0 +1,61 @@
+/*
+ * ==========================================================================
+ * HTML.JS - Building HTML Safely
+ * ==========================================================================
+ *
+ * Anything a visitor typed (messages, tasks, ...) must be escaped before
+ * it goes into innerHTML. Every page builds its lists with these helpers.
+ */
+
+/**
+ * Escape HTML to prevent XSS attacks
+ * ====================================
+ * @param {string} text - Raw text that might contain HTML
+ * @returns {string} - Safe text with HTML entities escaped
+ *
+ * IMPORTANT: Always escape user input before displaying it!
+ * This prevents Cross-Site Scripting (XSS) attacks where
+ * malicious users could inject JavaScript into their message.
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * ================================================
+ * @param {string} text - e.g. "a+b"
+ * @returns {string} - e.g. "a\+b"
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text and wrap search matches in <mark>
+ * ==============================================
+ * @param {string} text - Raw user text
+ * @param {string} query - The search query (may be empty)
+ * @returns {string} - Safe HTML
+ *
+ * SAFETY: we never insert the raw text. The text is split into pieces
+ * around each match, EVERY piece goes through escapeHtml(), and only
+ * then do we add our own <mark> tags around the matching pieces.
+ */
+function highlightMatches(text, query) {
+    const value = String(text == null ? '' : text);
+    if (!query) {
+        return escapeHtml(value);
+    }
+
+    // With a capturing group, split() keeps the matches: odd indexes are matches
+    const parts = value.split(new RegExp(`(${escapeRegExp(query)})`, 'gi'));
+
+    return parts.map((part, index) => (
+        index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )).join('');
+}
+
+export { escapeHtml, escapeRegExp, highlightMatches };
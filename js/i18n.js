@@ -0,0 +1,700 @@
+/*
+ * ==========================================================================
+ * I18N.JS - Translations (English, Hindi, Marathi)
+ * ==========================================================================
+ *
+ * Every piece of text a visitor reads is looked up here by an id
+ * (e.g. 'nav.about') instead of being typed straight into the page:
+ *
+ * 1. The catalog - I18N_MESSAGES holds one list of texts per language
+ * 2. HTML text - elements say which text they show with data-i18n
+ *    attributes, and applyTranslations() fills them in:
+ *
+ *        <h2 data-i18n="about.heading">About Me</h2>
+ *        <input data-i18n-placeholder="form.subjectPlaceholder">
+ *
+ *    Also available: data-i18n-aria-label and data-i18n-title.
+ *    The English text stays in the HTML too, so the page still reads
+ *    fine if this file fails to load.
+ * 3. Text built by JavaScript - t('status.sent') returns the text in the
+ *    current language; {placeholders} are filled in from a params object
+ * 4. Validation messages - the English texts live in validation.js (the
+ *    server shares them); the Hindi and Marathi ones are here, under
+ *    'validation.<fieldId>.<rule>'
+ *
+ * A text missing from a language falls back to English, so a new
+ * string never shows up blank - it just isn't translated yet.
+ *
+ * The admin views (stored messages, passphrase) are only used by the site
+ * owner, so they stay in English. Experience details come from
+ * profile.json and are English only as well.
+ *
+ * script.js calls initI18n() right after initStorage() (the chosen
+ * language is saved with setInStorage); the language picker itself
+ * lives in js/language.js.
+ */
+
+import { getFromStorage, setInStorage } from './storage.js';
+import { setMessageTranslator } from './validation.js';
+
+const I18N_CONFIG = {
+    storageKey: 'language',
+    defaultLanguage: 'en'
+};
+
+/*
+    Supported Languages
+    ===================
+    - label:  the language's name in that language - people looking for
+              their language recognize it faster than a translated name
+    - locale: used for dates and numbers (Indian conventions in all three)
+*/
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-IN' },
+    hi: { label: 'हिन्दी', locale: 'hi-IN' },
+    mr: { label: 'मराठी', locale: 'mr-IN' }
+};
+
+
+/* ==========================================================================
+   THE CATALOG
+   ==========================================================================
+   Ids are grouped by where the text appears (nav., hero., form., ...).
+   Texts with a count have one version per plural form, picked with
+   Intl.PluralRules: 'spam.blocked_one' / 'spam.blocked_other'.
+*/
+const I18N_MESSAGES = {
+    en: {
+        'meta.title': 'Kedar Phadke, PhD | Academic Leader & Project Management Expert',
+
+        'nav.about': 'About',
+        'nav.skills': 'Skills',
+        'nav.experience': 'Experience',
+        'nav.education': 'Education',
+        'nav.contact': 'Contact',
+        'nav.theme': 'Color theme',
+        'nav.language': 'Language',
+        'nav.menu': 'Menu',
+
+        'theme.system': 'System',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.high-contrast': 'High contrast',
+        'theme.sepia': 'Sepia',
+
+        'hero.title': 'Academic Leader | Project Management Expert',
+        'hero.location': 'Pune, Maharashtra, India',
+        'hero.intro': 'Advocate for technology-driven education in management and analytics. With over 30 years in consulting and academia, I equip tomorrow\'s professionals with the skills they need to excel in technology-driven environments.',
+        'hero.getInTouch': 'Get In Touch',
+        'hero.consultancy': 'Mapletree (Consultancy)',
+        'hero.statYears': 'Years Experience',
+        'hero.statStudents': 'Students Mentored',
+        'hero.statPapers': 'Research Papers',
+        'hero.statEfficiency': 'Efficiency Gains',
+
+        'about.heading': 'About Me',
+        'about.subheading': 'Blending practical insights with rigorous academic frameworks',
+        'about.p1': 'With over 30 years in consulting and academia, I equip tomorrow\'s professionals with the skills they need to excel in technology-driven environments. To date, I have guided more than 1,000 students and industry participants, blending practical insights with rigorous academic frameworks to make complex ideas clear and actionable.',
+        'about.p2': 'As an independent consultant and visiting faculty at a top management institute in Pune, I have designed and taught Economics, Statistics, and Business Simulation courses. By breaking down challenging concepts into relatable examples and hands-on exercises, I help learners apply theory to real-world problems.',
+        'about.p3': 'At State Street Global Advisors, I led cross-departmental projects that boosted operational efficiency by 30% and streamlined workflows across multiple teams. During my tenure as Senior Developer and Data Architect at Harvard University, I designed and implemented over 400 table structures for the Grants Management Application Suite.',
+        'about.p4': 'Outside of the classroom, I mentor students through capstone projects and community education initiatives, helping them develop the confidence and critical-thinking skills to succeed.',
+        'about.certifications': 'Certifications',
+
+        'skills.heading': 'Skills & Expertise',
+        'skills.subheading': 'A comprehensive skill set built over three decades',
+        'skills.pm': 'Project Management',
+        'skills.pm.agile': 'Agile & Scrum Methodologies',
+        'skills.pm.waterfall': 'Waterfall Project Management',
+        'skills.pm.tools': 'MS Project & Primavera P6',
+        'skills.pm.jira': 'JIRA & Project Tracking',
+        'skills.pm.risk': 'Risk Assessment & Mitigation',
+        'skills.data': 'Data & Analytics',
+        'skills.data.strategy': 'Data Strategy & Architecture',
+        'skills.data.oracle': 'Oracle Database Design',
+        'skills.data.visualization': 'Data Visualization Tools',
+        'skills.data.statistics': 'Statistical Analysis',
+        'skills.data.bi': 'Business Intelligence',
+        'skills.teaching': 'Education & Training',
+        'skills.teaching.curriculum': 'Curriculum Design',
+        'skills.teaching.economics': 'Economics & Statistics Instruction',
+        'skills.teaching.simulation': 'Business Simulation Design',
+        'skills.teaching.elearning': 'E-learning Module Development',
+        'skills.teaching.mentorship': 'Student Mentorship',
+        'skills.leadership': 'Leadership',
+        'skills.leadership.teams': 'Cross-functional Team Leadership',
+        'skills.leadership.global': 'Global Team Coordination',
+        'skills.leadership.stakeholders': 'Stakeholder Management',
+        'skills.leadership.change': 'Change Management',
+        'skills.leadership.coaching': 'Mentoring & Coaching',
+
+        'experience.heading': 'Professional Experience',
+        'experience.subheading': 'A journey spanning academia and industry',
+        'experience.current': 'Current',
+        'experience.currentRole': 'Current Role',
+        'experience.loadError': 'Experience details could not be loaded.',
+
+        'education.heading': 'Education',
+        'education.subheading': 'A strong academic foundation across multiple disciplines',
+        'education.phd': 'Doctor of Philosophy (PhD)',
+        'education.commerce': 'Commerce',
+        'education.ms': 'Master of Science (MS)',
+        'education.finance': 'International Finance',
+        'education.mba': 'MBA',
+        'education.mis': 'Management Information Systems',
+        'education.bsc': 'Bachelor of Science (BSc)',
+        'education.physics': 'Physics',
+
+        'contact.heading': 'Get In Touch',
+        'contact.subheading': 'Let\'s connect and explore collaboration opportunities',
+        'contact.title': 'Let\'s Start a Conversation',
+        'contact.text': 'I welcome conversations about innovative teaching methods, project management strategies, or data-driven insights. Feel free to reach out for consulting engagements or academic collaborations.',
+        'contact.email': 'Email',
+        'contact.cardTitle': 'Open for Opportunities',
+        'contact.cardText': 'Whether you\'re looking for a visiting faculty member, a project management consultant, or a collaborator on educational initiatives, I\'d love to hear from you.',
+        'contact.sendMessage': 'Send a Message',
+
+        'footer.copyright': '© 2025 Kedar Phadke, PhD. All rights reserved.',
+
+        'common.close': 'Close',
+        'common.scrollToTop': 'Scroll to top',
+
+        'form.intro': 'I\'d love to hear from you. Fill out the form below and I\'ll get back to you as soon as possible.',
+        'form.name': 'Your Name',
+        'form.namePlaceholder': 'John Doe',
+        'form.email': 'Your Email',
+        'form.phone': 'Phone',
+        'form.optional': '(optional)',
+        'form.subject': 'Subject',
+        'form.subjectPlaceholder': 'What is this regarding?',
+        'form.message': 'Message',
+        'form.messagePlaceholder': 'Write your message here...',
+        'form.answerPlaceholder': 'Your answer',
+        'form.send': 'Send Message',
+        'form.sending': 'Sending...',
+        'form.checking': 'Checking...',
+
+        'draft.prompt': 'You have an unsent draft.',
+        'draft.promptWithDate': 'You have an unsent draft from {date}.',
+        'draft.restore': 'Restore',
+        'draft.discard': 'Discard',
+
+        'status.sent': 'Message sent successfully! I\'ll get back to you soon.',
+        'status.fixErrors': 'Please fix the errors above and try again.',
+        'status.offline': 'You\'re offline. Your message has been saved and will be sent automatically when you reconnect.',
+        'status.queued': 'Couldn\'t send your message right now. It has been saved and will be retried automatically.',
+        'status.failed': 'Something went wrong. Please try again.',
+
+        'spam.question': 'What is {a} + {b}?',
+        'spam.wrongAnswer': 'That\'s not quite right - here\'s another one',
+        'spam.answerPrompt': 'Please answer the question to send your message.',
+        'spam.humanCheck': 'Just checking you\'re human - please answer the question below.',
+        'spam.blocked_one': 'You\'ve sent {sent} messages in the last hour. Please try again in {count} minute.',
+        'spam.blocked_other': 'You\'ve sent {sent} messages in the last hour. Please try again in {count} minutes.'
+    },
+
+    hi: {
+        'meta.title': 'डॉ. केदार फडके | शैक्षणिक नेतृत्व व प्रोजेक्ट मैनेजमेंट विशेषज्ञ',
+
+        'nav.about': 'परिचय',
+        'nav.skills': 'कौशल',
+        'nav.experience': 'अनुभव',
+        'nav.education': 'शिक्षा',
+        'nav.contact': 'संपर्क',
+        'nav.theme': 'रंग थीम',
+        'nav.language': 'भाषा',
+        'nav.menu': 'मेन्यू',
+
+        'theme.system': 'सिस्टम',
+        'theme.light': 'लाइट',
+        'theme.dark': 'डार्क',
+        'theme.high-contrast': 'हाई कंट्रास्ट',
+        'theme.sepia': 'सेपिया',
+
+        'hero.title': 'शैक्षणिक नेतृत्व | प्रोजेक्ट मैनेजमेंट विशेषज्ञ',
+        'hero.location': 'पुणे, महाराष्ट्र, भारत',
+        'hero.intro': 'प्रबंधन और एनालिटिक्स में तकनीक-आधारित शिक्षा का समर्थक। कंसल्टिंग और शिक्षा जगत में 30 से अधिक वर्षों के अनुभव के साथ, मैं कल के पेशेवरों को तकनीक-प्रधान माहौल में आगे बढ़ने के लिए ज़रूरी कौशल देता हूँ।',
+        'hero.getInTouch': 'संपर्क करें',
+        'hero.consultancy': 'मेपलट्री (कंसल्टेंसी)',
+        'hero.statYears': 'वर्षों का अनुभव',
+        'hero.statStudents': 'छात्रों का मार्गदर्शन',
+        'hero.statPapers': 'शोध पत्र',
+        'hero.statEfficiency': 'कार्यक्षमता में वृद्धि',
+
+        'about.heading': 'मेरे बारे में',
+        'about.subheading': 'व्यावहारिक समझ और ठोस शैक्षणिक ढाँचों का मेल',
+        'about.p1': 'कंसल्टिंग और शिक्षा जगत में 30 से अधिक वर्षों के अनुभव के साथ, मैं कल के पेशेवरों को तकनीक-प्रधान माहौल में आगे बढ़ने के लिए ज़रूरी कौशल देता हूँ। अब तक मैंने 1,000 से अधिक छात्रों और उद्योग प्रतिभागियों का मार्गदर्शन किया है, और व्यावहारिक समझ को ठोस शैक्षणिक ढाँचों से जोड़कर जटिल विचारों को स्पष्ट और उपयोगी बनाया है।',
+        'about.p2': 'एक स्वतंत्र सलाहकार और पुणे के एक प्रमुख प्रबंधन संस्थान में अतिथि प्राध्यापक के रूप में, मैंने अर्थशास्त्र, सांख्यिकी और बिज़नेस सिमुलेशन के पाठ्यक्रम तैयार किए और पढ़ाए हैं। कठिन अवधारणाओं को परिचित उदाहरणों और व्यावहारिक अभ्यासों में बाँटकर, मैं विद्यार्थियों को सिद्धांत को वास्तविक समस्याओं पर लागू करने में मदद करता हूँ।',
+        'about.p3': 'स्टेट स्ट्रीट ग्लोबल एडवाइज़र्स में मैंने कई विभागों की परियोजनाओं का नेतृत्व किया, जिनसे परिचालन कार्यक्षमता 30% बढ़ी और कई टीमों का कामकाज सुव्यवस्थित हुआ। हार्वर्ड यूनिवर्सिटी में सीनियर डेवलपर और डेटा आर्किटेक्ट के रूप में, मैंने ग्रांट्स मैनेजमेंट एप्लिकेशन सूट के लिए 400 से अधिक टेबल संरचनाएँ डिज़ाइन और लागू कीं।',
+        'about.p4': 'कक्षा के बाहर, मैं कैपस्टोन परियोजनाओं और सामुदायिक शिक्षा पहलों के ज़रिए छात्रों का मार्गदर्शन करता हूँ, ताकि उनमें सफल होने के लिए आत्मविश्वास और आलोचनात्मक सोच विकसित हो।',
+        'about.certifications': 'प्रमाणपत्र',
+
+        'skills.heading': 'कौशल और विशेषज्ञता',
+        'skills.subheading': 'तीन दशकों में विकसित व्यापक कौशल',
+        'skills.pm': 'प्रोजेक्ट मैनेजमेंट',
+        'skills.pm.agile': 'एजाइल और स्क्रम पद्धतियाँ',
+        'skills.pm.waterfall': 'वॉटरफॉल प्रोजेक्ट मैनेजमेंट',
+        'skills.pm.tools': 'MS Project और Primavera P6',
+        'skills.pm.jira': 'JIRA और प्रोजेक्ट ट्रैकिंग',
+        'skills.pm.risk': 'जोखिम आकलन और निवारण',
+        'skills.data': 'डेटा और एनालिटिक्स',
+        'skills.data.strategy': 'डेटा रणनीति और आर्किटेक्चर',
+        'skills.data.oracle': 'Oracle डेटाबेस डिज़ाइन',
+        'skills.data.visualization': 'डेटा विज़ुअलाइज़ेशन टूल्स',
+        'skills.data.statistics': 'सांख्यिकीय विश्लेषण',
+        'skills.data.bi': 'बिज़नेस इंटेलिजेंस',
+        'skills.teaching': 'शिक्षा और प्रशिक्षण',
+        'skills.teaching.curriculum': 'पाठ्यक्रम निर्माण',
+        'skills.teaching.economics': 'अर्थशास्त्र और सांख्यिकी अध्यापन',
+        'skills.teaching.simulation': 'बिज़नेस सिमुलेशन डिज़ाइन',
+        'skills.teaching.elearning': 'ई-लर्निंग मॉड्यूल निर्माण',
+        'skills.teaching.mentorship': 'छात्र मार्गदर्शन',
+        'skills.leadership': 'नेतृत्व',
+        'skills.leadership.teams': 'क्रॉस-फंक्शनल टीम नेतृत्व',
+        'skills.leadership.global': 'वैश्विक टीम समन्वय',
+        'skills.leadership.stakeholders': 'हितधारक प्रबंधन',
+        'skills.leadership.change': 'परिवर्तन प्रबंधन',
+        'skills.leadership.coaching': 'मार्गदर्शन और कोचिंग',
+
+        'experience.heading': 'व्यावसायिक अनुभव',
+        'experience.subheading': 'शिक्षा जगत और उद्योग में फैली यात्रा',
+        'experience.current': 'वर्तमान',
+        'experience.currentRole': 'वर्तमान भूमिका',
+        'experience.loadError': 'अनुभव का विवरण लोड नहीं हो सका।',
+
+        'education.heading': 'शिक्षा',
+        'education.subheading': 'कई विषयों में मज़बूत शैक्षणिक आधार',
+        'education.phd': 'डॉक्टर ऑफ़ फ़िलॉसफ़ी (PhD)',
+        'education.commerce': 'वाणिज्य',
+        'education.ms': 'मास्टर ऑफ़ साइंस (MS)',
+        'education.finance': 'अंतरराष्ट्रीय वित्त',
+        'education.mba': 'MBA',
+        'education.mis': 'मैनेजमेंट इन्फ़ॉर्मेशन सिस्टम्स',
+        'education.bsc': 'बैचलर ऑफ़ साइंस (BSc)',
+        'education.physics': 'भौतिकी',
+
+        'contact.heading': 'संपर्क करें',
+        'contact.subheading': 'आइए जुड़ें और साथ काम करने के अवसर तलाशें',
+        'contact.title': 'आइए बातचीत शुरू करें',
+        'contact.text': 'नवीन शिक्षण पद्धतियों, प्रोजेक्ट मैनेजमेंट रणनीतियों या डेटा-आधारित अंतर्दृष्टि पर बातचीत का स्वागत है। कंसल्टिंग या शैक्षणिक सहयोग के लिए बेझिझक संपर्क करें।',
+        'contact.email': 'ईमेल',
+        'contact.cardTitle': 'नए अवसरों के लिए उपलब्ध',
+        'contact.cardText': 'चाहे आपको अतिथि प्राध्यापक, प्रोजेक्ट मैनेजमेंट सलाहकार या शैक्षणिक पहलों के लिए सहयोगी की तलाश हो, मुझे आपसे सुनकर खुशी होगी।',
+        'contact.sendMessage': 'संदेश भेजें',
+
+        'footer.copyright': '© 2025 डॉ. केदार फडके। सर्वाधिकार सुरक्षित।',
+
+        'common.close': 'बंद करें',
+        'common.scrollToTop': 'ऊपर जाएँ',
+
+        'form.intro': 'मुझे आपसे सुनकर खुशी होगी। नीचे दिया फ़ॉर्म भरें, मैं जल्द से जल्द जवाब दूँगा।',
+        'form.name': 'आपका नाम',
+        'form.namePlaceholder': 'उदा. राहुल शर्मा',
+        'form.email': 'आपका ईमेल',
+        'form.phone': 'फ़ोन',
+        'form.optional': '(वैकल्पिक)',
+        'form.subject': 'विषय',
+        'form.subjectPlaceholder': 'यह किस बारे में है?',
+        'form.message': 'संदेश',
+        'form.messagePlaceholder': 'अपना संदेश यहाँ लिखें...',
+        'form.answerPlaceholder': 'आपका उत्तर',
+        'form.send': 'संदेश भेजें',
+        'form.sending': 'भेजा जा रहा है...',
+        'form.checking': 'जाँच हो रही है...',
+
+        'draft.prompt': 'आपका एक ड्राफ़्ट भेजा नहीं गया है।',
+        'draft.promptWithDate': '{date} का आपका एक ड्राफ़्ट भेजा नहीं गया है।',
+        'draft.restore': 'वापस लाएँ',
+        'draft.discard': 'हटाएँ',
+
+        'status.sent': 'संदेश सफलतापूर्वक भेजा गया! मैं जल्द ही जवाब दूँगा।',
+        'status.fixErrors': 'कृपया ऊपर दी गई त्रुटियाँ ठीक करके फिर से प्रयास करें।',
+        'status.offline': 'आप ऑफ़लाइन हैं। आपका संदेश सहेज लिया गया है और इंटरनेट वापस आते ही अपने-आप भेज दिया जाएगा।',
+        'status.queued': 'अभी आपका संदेश नहीं भेजा जा सका। उसे सहेज लिया गया है और अपने-आप फिर से भेजने की कोशिश की जाएगी।',
+        'status.failed': 'कुछ गड़बड़ हो गई। कृपया फिर से प्रयास करें।',
+
+        'spam.question': '{a} + {b} कितने होते हैं?',
+        'spam.wrongAnswer': 'यह सही नहीं है - यह रहा एक और सवाल',
+        'spam.answerPrompt': 'संदेश भेजने के लिए कृपया सवाल का जवाब दें।',
+        'spam.humanCheck': 'बस यह जाँच रहे हैं कि आप इंसान हैं - कृपया नीचे दिए सवाल का जवाब दें।',
+        'spam.blocked_one': 'पिछले एक घंटे में आप {sent} संदेश भेज चुके हैं। कृपया {count} मिनट बाद फिर से प्रयास करें।',
+        'spam.blocked_other': 'पिछले एक घंटे में आप {sent} संदेश भेज चुके हैं। कृपया {count} मिनट बाद फिर से प्रयास करें।',
+
+        'validation.senderName.required': 'कृपया अपना नाम लिखें',
+        'validation.senderName.minLength': 'नाम कम से कम 2 अक्षरों का होना चाहिए',
+        'validation.senderName.maxLength': 'नाम 100 अक्षरों से छोटा होना चाहिए',
+        'validation.senderEmail.required': 'कृपया अपना ईमेल पता लिखें',
+        'validation.senderEmail.pattern': 'कृपया सही ईमेल पता लिखें (उदा. name@example.com)',
+        'validation.senderEmail.notDisposableEmail': 'कृपया स्थायी ईमेल पता दें - अस्थायी इनबॉक्स पर जवाब कभी नहीं पहुँचते',
+        'validation.senderPhone.phone': 'कृपया सही फ़ोन नंबर लिखें (उदा. +91 98765 43210)',
+        'validation.subject.required': 'कृपया विषय लिखें',
+        'validation.subject.minLength': 'विषय कम से कम 3 अक्षरों का होना चाहिए',
+        'validation.subject.maxLength': 'विषय 200 अक्षरों से छोटा होना चाहिए',
+        'validation.message.required': 'कृपया अपना संदेश लिखें',
+        'validation.message.minLength': 'संदेश कम से कम 10 अक्षरों का होना चाहिए',
+        'validation.message.maxLength': 'संदेश 5000 अक्षरों से छोटा होना चाहिए',
+        'validation.message.notSameAs': 'कृपया विषय के अलावा कुछ और जानकारी भी लिखें',
+        'validation.message.maxLinks': 'कृपया 3 से अधिक लिंक न डालें',
+        'validation.message.noProfanity': 'कृपया अपने संदेश में अपमानजनक भाषा का प्रयोग न करें',
+        'validation.message.notShouting': 'सुझाव: सब कुछ बड़े अक्षरों (CAPITALS) में लिखना चिल्लाने जैसा लग सकता है'
+    },
+
+    mr: {
+        'meta.title': 'डॉ. केदार फडके | शैक्षणिक नेतृत्व व प्रोजेक्ट मॅनेजमेंट तज्ज्ञ',
+
+        'nav.about': 'परिचय',
+        'nav.skills': 'कौशल्ये',
+        'nav.experience': 'अनुभव',
+        'nav.education': 'शिक्षण',
+        'nav.contact': 'संपर्क',
+        'nav.theme': 'रंगसंगती',
+        'nav.language': 'भाषा',
+        'nav.menu': 'मेनू',
+
+        'theme.system': 'सिस्टम',
+        'theme.light': 'लाइट',
+        'theme.dark': 'डार्क',
+        'theme.high-contrast': 'हाय कॉन्ट्रास्ट',
+        'theme.sepia': 'सेपिया',
+
+        'hero.title': 'शैक्षणिक नेतृत्व | प्रोजेक्ट मॅनेजमेंट तज्ज्ञ',
+        'hero.location': 'पुणे, महाराष्ट्र, भारत',
+        'hero.intro': 'व्यवस्थापन आणि ॲनालिटिक्समधील तंत्रज्ञानाधारित शिक्षणाचा पुरस्कर्ता. कन्सल्टिंग आणि शैक्षणिक क्षेत्रातील 30 हून अधिक वर्षांच्या अनुभवातून, मी उद्याच्या व्यावसायिकांना तंत्रज्ञानप्रधान वातावरणात यशस्वी होण्यासाठी लागणारी कौशल्ये देतो.',
+        'hero.getInTouch': 'संपर्क साधा',
+        'hero.consultancy': 'मेपलट्री (कन्सल्टन्सी)',
+        'hero.statYears': 'वर्षांचा अनुभव',
+        'hero.statStudents': 'विद्यार्थ्यांना मार्गदर्शन',
+        'hero.statPapers': 'शोधनिबंध',
+        'hero.statEfficiency': 'कार्यक्षमतेत वाढ',
+
+        'about.heading': 'माझ्याबद्दल',
+        'about.subheading': 'व्यावहारिक जाण आणि भक्कम शैक्षणिक चौकटींचा मेळ',
+        'about.p1': 'कन्सल्टिंग आणि शैक्षणिक क्षेत्रातील 30 हून अधिक वर्षांच्या अनुभवातून, मी उद्याच्या व्यावसायिकांना तंत्रज्ञानप्रधान वातावरणात यशस्वी होण्यासाठी लागणारी कौशल्ये देतो. आजवर मी 1,000 हून अधिक विद्यार्थ्यांना आणि उद्योगातील सहभागींना मार्गदर्शन केले आहे, व्यावहारिक जाण भक्कम शैक्षणिक चौकटींशी जोडून अवघड कल्पना सोप्या आणि उपयोगी केल्या आहेत.',
+        'about.p2': 'स्वतंत्र सल्लागार आणि पुण्यातील एका आघाडीच्या व्यवस्थापन संस्थेत अभ्यागत प्राध्यापक म्हणून, मी अर्थशास्त्र, सांख्यिकी आणि बिझनेस सिम्युलेशनचे अभ्यासक्रम तयार करून शिकवले आहेत. अवघड संकल्पना ओळखीच्या उदाहरणांत आणि प्रत्यक्ष सरावात मांडून, मी विद्यार्थ्यांना सिद्धांत प्रत्यक्ष प्रश्नांवर वापरायला मदत करतो.',
+        'about.p3': 'स्टेट स्ट्रीट ग्लोबल ॲडव्हायझर्समध्ये मी अनेक विभागांच्या प्रकल्पांचे नेतृत्व केले, ज्यामुळे कार्यक्षमता 30% ने वाढली आणि अनेक टीम्सचे कामकाज सुटसुटीत झाले. हार्वर्ड युनिव्हर्सिटीत सीनियर डेव्हलपर आणि डेटा आर्किटेक्ट म्हणून, मी ग्रँट्स मॅनेजमेंट ॲप्लिकेशन सूटसाठी 400 हून अधिक टेबल रचना डिझाइन करून अमलात आणल्या.',
+        'about.p4': 'वर्गाबाहेर, मी कॅपस्टोन प्रकल्प आणि सामुदायिक शिक्षण उपक्रमांतून विद्यार्थ्यांना मार्गदर्शन करतो, जेणेकरून त्यांच्यात यशासाठी आत्मविश्वास आणि चिकित्सक विचार विकसित व्हावा.',
+        'about.certifications': 'प्रमाणपत्रे',
+
+        'skills.heading': 'कौशल्ये आणि प्रावीण्य',
+        'skills.subheading': 'तीन दशकांत घडलेली व्यापक कौशल्ये',
+        'skills.pm': 'प्रोजेक्ट मॅनेजमेंट',
+        'skills.pm.agile': 'ॲजाइल आणि स्क्रम पद्धती',
+        'skills.pm.waterfall': 'वॉटरफॉल प्रोजेक्ट मॅनेजमेंट',
+        'skills.pm.tools': 'MS Project आणि Primavera P6',
+        'skills.pm.jira': 'JIRA आणि प्रोजेक्ट ट्रॅकिंग',
+        'skills.pm.risk': 'जोखीम मूल्यांकन आणि निवारण',
+        'skills.data': 'डेटा आणि ॲनालिटिक्स',
+        'skills.data.strategy': 'डेटा धोरण आणि आर्किटेक्चर',
+        'skills.data.oracle': 'Oracle डेटाबेस डिझाइन',
+        'skills.data.visualization': 'डेटा व्हिज्युअलायझेशन साधने',
+        'skills.data.statistics': 'सांख्यिकीय विश्लेषण',
+        'skills.data.bi': 'बिझनेस इंटेलिजन्स',
+        'skills.teaching': 'शिक्षण आणि प्रशिक्षण',
+        'skills.teaching.curriculum': 'अभ्यासक्रम रचना',
+        'skills.teaching.economics': 'अर्थशास्त्र आणि सांख्यिकी अध्यापन',
+        'skills.teaching.simulation': 'बिझनेस सिम्युलेशन डिझाइन',
+        'skills.teaching.elearning': 'ई-लर्निंग मॉड्यूल निर्मिती',
+        'skills.teaching.mentorship': 'विद्यार्थी मार्गदर्शन',
+        'skills.leadership': 'नेतृत्व',
+        'skills.leadership.teams': 'क्रॉस-फंक्शनल टीम नेतृत्व',
+        'skills.leadership.global': 'जागतिक टीम समन्वय',
+        'skills.leadership.stakeholders': 'भागधारक व्यवस्थापन',
+        'skills.leadership.change': 'बदल व्यवस्थापन',
+        'skills.leadership.coaching': 'मार्गदर्शन आणि कोचिंग',
+
+        'experience.heading': 'व्यावसायिक अनुभव',
+        'experience.subheading': 'शैक्षणिक आणि औद्योगिक क्षेत्रांतील प्रवास',
+        'experience.current': 'सध्या',
+        'experience.currentRole': 'सध्याची भूमिका',
+        'experience.loadError': 'अनुभवाचा तपशील लोड होऊ शकला नाही.',
+
+        'education.heading': 'शिक्षण',
+        'education.subheading': 'अनेक विषयांतील भक्कम शैक्षणिक पाया',
+        'education.phd': 'डॉक्टर ऑफ फिलॉसॉफी (PhD)',
+        'education.commerce': 'वाणिज्य',
+        'education.ms': 'मास्टर ऑफ सायन्स (MS)',
+        'education.finance': 'आंतरराष्ट्रीय वित्त',
+        'education.mba': 'MBA',
+        'education.mis': 'मॅनेजमेंट इन्फॉर्मेशन सिस्टिम्स',
+        'education.bsc': 'बॅचलर ऑफ सायन्स (BSc)',
+        'education.physics': 'भौतिकशास्त्र',
+
+        'contact.heading': 'संपर्क साधा',
+        'contact.subheading': 'चला, जोडले जाऊ आणि सहकार्याच्या संधी शोधू',
+        'contact.title': 'चला, संवाद सुरू करूया',
+        'contact.text': 'नवीन अध्यापन पद्धती, प्रोजेक्ट मॅनेजमेंट धोरणे किंवा डेटाधारित निष्कर्ष यांवरील चर्चेचे स्वागत आहे. कन्सल्टिंग किंवा शैक्षणिक सहकार्यासाठी निःसंकोच संपर्क साधा.',
+        'contact.email': 'ईमेल',
+        'contact.cardTitle': 'नव्या संधींसाठी उपलब्ध',
+        'contact.cardText': 'तुम्ही अभ्यागत प्राध्यापक, प्रोजेक्ट मॅनेजमेंट सल्लागार किंवा शैक्षणिक उपक्रमांसाठी सहकारी शोधत असाल, तर तुमच्याकडून ऐकायला मला नक्कीच आवडेल.',
+        'contact.sendMessage': 'संदेश पाठवा',
+
+        'footer.copyright': '© 2025 डॉ. केदार फडके. सर्व हक्क राखीव.',
+
+        'common.close': 'बंद करा',
+        'common.scrollToTop': 'वर जा',
+
+        'form.intro': 'तुमच्याकडून ऐकायला मला आवडेल. खालील फॉर्म भरा, मी लवकरात लवकर उत्तर देईन.',
+        'form.name': 'तुमचे नाव',
+        'form.namePlaceholder': 'उदा. अमित जोशी',
+        'form.email': 'तुमचा ईमेल',
+        'form.phone': 'फोन',
+        'form.optional': '(ऐच्छिक)',
+        'form.subject': 'विषय',
+        'form.subjectPlaceholder': 'हे कशाबद्दल आहे?',
+        'form.message': 'संदेश',
+        'form.messagePlaceholder': 'तुमचा संदेश इथे लिहा...',
+        'form.answerPlaceholder': 'तुमचे उत्तर',
+        'form.send': 'संदेश पाठवा',
+        'form.sending': 'पाठवत आहे...',
+        'form.checking': 'तपासत आहे...',
+
+        'draft.prompt': 'तुमचा एक मसुदा पाठवायचा राहिला आहे.',
+        'draft.promptWithDate': '{date} चा तुमचा एक मसुदा पाठवायचा राहिला आहे.',
+        'draft.restore': 'परत आणा',
+        'draft.discard': 'काढून टाका',
+
+        'status.sent': 'संदेश यशस्वीरीत्या पाठवला! मी लवकरच उत्तर देईन.',
+        'status.fixErrors': 'कृपया वरील चुका दुरुस्त करून पुन्हा प्रयत्न करा.',
+        'status.offline': 'तुम्ही ऑफलाइन आहात. तुमचा संदेश जतन केला आहे आणि इंटरनेट परत आल्यावर आपोआप पाठवला जाईल.',
+        'status.queued': 'आत्ता तुमचा संदेश पाठवता आला नाही. तो जतन केला आहे आणि आपोआप पुन्हा पाठवण्याचा प्रयत्न केला जाईल.',
+        'status.failed': 'काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.',
+
+        'spam.question': '{a} + {b} किती?',
+        'spam.wrongAnswer': 'हे उत्तर बरोबर नाही - हा घ्या दुसरा प्रश्न',
+        'spam.answerPrompt': 'संदेश पाठवण्यासाठी कृपया प्रश्नाचे उत्तर द्या.',
+        'spam.humanCheck': 'तुम्ही माणूस आहात ना, एवढीच खात्री करतोय - कृपया खालील प्रश्नाचे उत्तर द्या.',
+        'spam.blocked_one': 'गेल्या तासाभरात तुम्ही {sent} संदेश पाठवले आहेत. कृपया {count} मिनिटाने पुन्हा प्रयत्न करा.',
+        'spam.blocked_other': 'गेल्या तासाभरात तुम्ही {sent} संदेश पाठवले आहेत. कृपया {count} मिनिटांनी पुन्हा प्रयत्न करा.',
+
+        'validation.senderName.required': 'कृपया तुमचे नाव लिहा',
+        'validation.senderName.minLength': 'नाव किमान 2 अक्षरांचे असावे',
+        'validation.senderName.maxLength': 'नाव 100 अक्षरांपेक्षा लहान असावे',
+        'validation.senderEmail.required': 'कृपया तुमचा ईमेल पत्ता लिहा',
+        'validation.senderEmail.pattern': 'कृपया योग्य ईमेल पत्ता लिहा (उदा. name@example.com)',
+        'validation.senderEmail.notDisposableEmail': 'कृपया कायमचा ईमेल पत्ता द्या - तात्पुरत्या इनबॉक्सवर उत्तरे कधीच पोहोचत नाहीत',
+        'validation.senderPhone.phone': 'कृपया योग्य फोन नंबर लिहा (उदा. +91 98765 43210)',
+        'validation.subject.required': 'कृपया विषय लिहा',
+        'validation.subject.minLength': 'विषय किमान 3 अक्षरांचा असावा',
+        'validation.subject.maxLength': 'विषय 200 अक्षरांपेक्षा लहान असावा',
+        'validation.message.required': 'कृपया तुमचा संदेश लिहा',
+        'validation.message.minLength': 'संदेश किमान 10 अक्षरांचा असावा',
+        'validation.message.maxLength': 'संदेश 5000 अक्षरांपेक्षा लहान असावा',
+        'validation.message.notSameAs': 'कृपया विषयापलीकडे थोडा अधिक तपशील लिहा',
+        'validation.message.maxLinks': 'कृपया 3 पेक्षा जास्त लिंक देऊ नका',
+        'validation.message.noProfanity': 'कृपया संदेशात अपमानास्पद भाषा वापरू नका',
+        'validation.message.notShouting': 'सूचना: सगळे काही मोठ्या अक्षरांत (CAPITALS) लिहिणे ओरडल्यासारखे वाटू शकते'
+    }
+};
+
+
+/* ==========================================================================
+   LOOKING UP TEXT
+   ========================================================================== */
+
+// The language the page is showing right now (set by setLanguage)
+let currentLanguage = I18N_CONFIG.defaultLanguage;
+
+// Functions to call after the language changes (see onLanguageChange)
+const languageChangeListeners = [];
+
+/**
+ * Pick the language to start with
+ * ================================
+ * @returns {string} - A LANGUAGES id
+ *
+ * A saved choice wins. Otherwise we use the first of the browser's
+ * preferred languages that we support ("mr-IN" matches "mr"), and
+ * English if there is none.
+ */
+function getLanguagePreference() {
+    const saved = getFromStorage(I18N_CONFIG.storageKey);
+    if (LANGUAGES[saved]) {
+        return saved;
+    }
+
+    const preferred = navigator.languages || [navigator.language || ''];
+    const match = preferred
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(code => LANGUAGES[code]);
+    return match || I18N_CONFIG.defaultLanguage;
+}
+
+/**
+ * The language the page is showing
+ * =================================
+ * @returns {string} - A LANGUAGES id, e.g. 'hi'
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * The locale to format dates and numbers with
+ * ============================================
+ * @returns {string} - e.g. 'mr-IN'
+ */
+function getLocale() {
+    return LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Is there a text for this id in the current language?
+ * =====================================================
+ * @param {string} id - e.g. 'validation.subject.required'
+ * @returns {boolean} - false if t() would fall back to English (or the id)
+ */
+function hasTranslation(id) {
+    return Object.prototype.hasOwnProperty.call(I18N_MESSAGES[currentLanguage], id);
+}
+
+/**
+ * Translate a text id
+ * ====================
+ * @param {string} id - e.g. 'status.sent'
+ * @param {object} [params] - Values for {placeholders}, e.g. { date: '...' }
+ * @returns {string} - The text in the current language
+ *
+ * With a numeric params.count, the plural form for that number is used
+ * when the catalog has one ('spam.blocked_one', 'spam.blocked_other').
+ * Unknown ids come back unchanged, so a typo is easy to spot on the page.
+ */
+function t(id, params = {}) {
+    let key = id;
+    if (typeof params.count === 'number') {
+        const pluralKey = `${id}_${new Intl.PluralRules(getLocale()).select(params.count)}`;
+        if (I18N_MESSAGES[currentLanguage][pluralKey] || I18N_MESSAGES.en[pluralKey]) {
+            key = pluralKey;
+        }
+    }
+
+    const text = hasTranslation(key) ? I18N_MESSAGES[currentLanguage][key] : I18N_MESSAGES.en[key];
+    if (text === undefined) {
+        return id;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder
+    );
+}
+
+
+/**
+ * Format a date string for display
+ * ==================================
+ * @param {string} isoDate - ISO date string
+ * @returns {string} - Formatted date in the page's language, like
+ *                     "29 Jan 2026, 3:45 pm" (English) or
+ *                     "२९ जाने, २०२६, ३:४५ PM" (Marathi)
+ *
+ * The browser knows each language's date conventions - word order,
+ * month names, even digits - so we only choose how long the date
+ * and time should be, never where the commas go.
+ */
+function formatDate(isoDate) {
+    return new Intl.DateTimeFormat(getLocale(), {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    }).format(new Date(isoDate));
+}
+
+
+/* ==========================================================================
+   APPLYING TRANSLATIONS TO THE PAGE
+   ========================================================================== */
+
+// data-i18n-* attributes and the element attribute each one fills in
+const I18N_ATTRIBUTES = {
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-aria-label': 'aria-label',
+    'data-i18n-title': 'title'
+};
+
+/**
+ * Fill in every translated element
+ * =================================
+ * @param {Element|Document} [root] - Only translate inside this element
+ *
+ * data-i18n replaces the element's whole text, so put it on an element
+ * that holds nothing but that text (wrap the words in a <span> when the
+ * element also contains icons or other elements).
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    Object.keys(I18N_ATTRIBUTES).forEach(dataAttribute => {
+        root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+            element.setAttribute(I18N_ATTRIBUTES[dataAttribute], t(element.getAttribute(dataAttribute)));
+        });
+    });
+}
+
+/**
+ * Switch the page to another language
+ * ====================================
+ * @param {string} language - A LANGUAGES id ('en', 'hi' or 'mr')
+ * @param {object} [options] - { save: false } to skip remembering the
+ *                             choice (used when another tab made it)
+ *
+ * Updates <html lang> too: screen readers use it to pick a voice, and
+ * browsers use it for hyphenation and font selection.
+ */
+function setLanguage(language, options = {}) {
+    if (!LANGUAGES[language]) {
+        return;
+    }
+
+    if (options.save !== false) {
+        setInStorage(I18N_CONFIG.storageKey, language);
+    }
+
+    currentLanguage = language;
+    document.documentElement.lang = language;
+    applyTranslations();
+
+    languageChangeListeners.forEach(listener => listener(language));
+}
+
+/**
+ * Get told when the language changes
+ * ===================================
+ * @param {function} listener - Called with the new language id
+ *
+ * For text that JavaScript builds with t() and that should update
+ * right away (e.g. a message already showing under a form field).
+ */
+function onLanguageChange(listener) {
+    languageChangeListeners.push(listener);
+}
+
+/**
+ * Start translating
+ * ==================
+ * Validation messages: translated ones from the catalog, English from
+ * validation.js otherwise (see setMessageTranslator in validation.js).
+ *
+ * Then the page is shown in the right language straight away. Nothing
+ * is saved until the visitor actually picks a language.
+ */
+function initI18n() {
+    setMessageTranslator((messageId, englishMessage) =>
+        hasTranslation(messageId) ? t(messageId) : englishMessage
+    );
+
+    setLanguage(getLanguagePreference(), { save: false });
+}
+
+export {
+    I18N_CONFIG,
+    LANGUAGES,
+    initI18n,
+    getLanguagePreference,
+    getLanguage,
+    getLocale,
+    hasTranslation,
+    t,
+    formatDate,
+    applyTranslations,
+    setLanguage,
+    onLanguageChange
+};
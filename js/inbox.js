@@ -0,0 +1,651 @@
+/*
+ * ==========================================================================
+ * INBOX.JS - The Messages Modal (Admin View)
+ * ==========================================================================
+ *
+ * Lists the stored messages (messages.js) for the site owner, once the
+ * admin view is unlocked (admin.js): search, filters and sorting, the
+ * state buttons on each card, the Trash, export & import, and cross-tab
+ * sync.
+ *
+ * The cards are rebuilt on every change, so instead of a listener per
+ * button there is ONE click listener on the list. Each button says what
+ * it does with a data-action attribute, and its card says which message
+ * it's about with data-id (see handleMessagesListClick).
+ */
+
+import { onStorageChange } from './storage.js';
+import { formatDate, onLanguageChange } from './i18n.js';
+import { escapeHtml, highlightMatches } from './html.js';
+import { downloadFile } from './files.js';
+import { registerModal, showModal, hideModal } from './modal.js';
+import {
+    MESSAGE_FLAGS,
+    TRASH_CONFIG,
+    DAY_MS,
+    getMessagesFromStorage,
+    updateMessageState,
+    toggleMessageFlag,
+    updateUnreadBadge,
+    getTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    purgeExpiredTrash,
+    deleteMessage,
+    clearAllMessages,
+    emptyTrash
+} from './messages.js';
+import { messagesToCsv, importMessages } from './message-export.js';
+import { getOutbox, retryOutboxMessage } from './outbox.js';
+import { decryptAllMessages } from './encryption.js';
+import { isAdminUnlocked, openAdminLoginModal } from './admin.js';
+
+/**
+ * Labels for each delivery status
+ * ================================
+ * Messages saved before the outbox existed have no status - they were
+ * only ever saved after a successful send, so they count as 'sent'.
+ */
+const DELIVERY_STATUS_LABELS = {
+    pending: 'Waiting to send',
+    failed: 'Not delivered',
+    sent: 'Sent'
+};
+
+/**
+ * Build the delivery status badge (and Retry button) for a message
+ * =================================================================
+ * @param {object} msg - A saved message or outbox entry
+ * @returns {string} - HTML string
+ */
+function buildDeliveryStatus(msg) {
+    const status = DELIVERY_STATUS_LABELS[msg.status] ? msg.status : 'sent';
+    const title = msg.lastError ? ` title="Last error: ${escapeHtml(msg.lastError)}"` : '';
+    const retry = status === 'failed'
+        ? '<button class="message-retry" data-action="retry">Retry</button>'
+        : '';
+
+    return `<div class="message-delivery">
+                    <span class="delivery-status delivery-${status}"${title}>${DELIVERY_STATUS_LABELS[status]}</span>
+                    ${retry}
+                </div>`;
+}
+
+/*
+    Search, Filter & Sort
+    ======================
+    The toolbar above the messages list narrows down what is shown:
+    - Search box: matches name, email, subject and message body
+    - Status: all / unread / read / starred / replied / archived
+      (archived messages only appear in the "Archived" view)
+    - Date range: only messages sent between two dates
+    - Sort order: newest, oldest, sender name, subject
+
+    filterMessages() and sortMessages() are plain functions that take an
+    array and return a new one - they never touch the DOM or storage.
+    renderMessagesList() reads the current control values, runs the
+    messages through both, and renders what's left.
+*/
+
+/**
+ * Read the current filter settings from the toolbar controls
+ * ===========================================================
+ * @returns {object} - { query, status, dateFrom, dateTo, sort }
+ */
+function getMessageFilters() {
+    const valueOf = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    return {
+        query: valueOf('messageSearch').trim(),
+        status: valueOf('messageStatusFilter') || 'all',
+        dateFrom: valueOf('messageDateFrom'),    // "YYYY-MM-DD" or ''
+        dateTo: valueOf('messageDateTo'),
+        sort: valueOf('messageSort') || 'newest'
+    };
+}
+
+/**
+ * Check whether any filter is narrowing the list
+ * ===============================================
+ * @param {object} filters - From getMessageFilters()
+ * @returns {boolean}
+ */
+function hasActiveFilters(filters) {
+    return Boolean(filters.query || filters.dateFrom || filters.dateTo || filters.status !== 'all');
+}
+
+/**
+ * Keep only the messages that match the filters
+ * ==============================================
+ * @param {array} messages - Messages to filter
+ * @param {object} filters - { query, status, dateFrom, dateTo }
+ * @returns {array} - A new array with the matching messages
+ */
+function filterMessages(messages, filters) {
+    const query = (filters.query || '').toLowerCase();
+
+    // Date inputs give "YYYY-MM-DD". Adding a time makes JavaScript read
+    // them as LOCAL dates, so "to" includes the whole of that day.
+    const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`) : null;
+    const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59.999`) : null;
+
+    return messages.filter(msg => {
+        if (query) {
+            const haystack = [msg.name, msg.email, msg.phone, msg.subject, msg.message].join('\n').toLowerCase();
+            if (!haystack.includes(query)) {
+                return false;
+            }
+        }
+
+        // Archived messages are hidden everywhere except the "Archived" view
+        if (filters.status === 'archived') {
+            if (!msg.archived) return false;
+        } else if (msg.archived) {
+            return false;
+        }
+
+        if (filters.status === 'unread' && msg.read) return false;
+        if (filters.status === 'read' && !msg.read) return false;
+        if (filters.status === 'starred' && !msg.starred) return false;
+        if (filters.status === 'replied' && !msg.replied) return false;
+
+        const sentAt = new Date(msg.date);
+        if (from && sentAt < from) return false;
+        if (to && sentAt > to) return false;
+
+        return true;
+    });
+}
+
+/**
+ * Sort messages by the chosen order
+ * ==================================
+ * @param {array} messages - Messages to sort
+ * @param {string} sort - 'newest', 'oldest', 'name' or 'subject'
+ * @returns {array} - A new, sorted array (the original isn't changed)
+ */
+function sortMessages(messages, sort) {
+    // Text comparison that ignores case and handles accents properly
+    const byText = field => (a, b) =>
+        String(a[field] || '').localeCompare(String(b[field] || ''), undefined, { sensitivity: 'base' });
+    const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+
+    const comparators = {
+        newest: (a, b) => byDate(b, a),
+        oldest: byDate,
+        name: byText('name'),
+        subject: byText('subject')
+    };
+
+    // slice() copies the array first - sort() would otherwise change it in place
+    return messages.slice().sort(comparators[sort] || comparators.newest);
+}
+
+/**
+ * Mark a message as read
+ * =======================
+ * Called when a message card is clicked (opened) - see
+ * handleMessagesListClick.
+ * @param {number} messageId - The ID of the message
+ */
+function markMessageRead(messageId) {
+    const message = getOutbox().concat(getMessagesFromStorage()).find(msg => msg.id === messageId);
+
+    // Skip the re-render if there's nothing to change
+    if (message && !message.read) {
+        updateMessageState(messageId, { read: true });
+    }
+}
+
+/**
+ * Reset every filter control to its default
+ * ==========================================
+ * Called from the "Clear filters" button.
+ */
+function resetMessageFilters() {
+    document.getElementById('messageSearch').value = '';
+    document.getElementById('messageStatusFilter').value = 'all';
+    document.getElementById('messageDateFrom').value = '';
+    document.getElementById('messageDateTo').value = '';
+    document.getElementById('messageSort').value = 'newest';
+    renderMessagesList();
+}
+
+/**
+ * Re-render the list whenever a filter control changes
+ * =====================================================
+ */
+function setupMessageFilters() {
+    ['messageSearch', 'messageStatusFilter', 'messageDateFrom', 'messageDateTo', 'messageSort'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) {
+            // 'input' fires on every keystroke, so the list updates live
+            control.addEventListener('input', renderMessagesList);
+        }
+    });
+}
+
+/**
+ * CSS classes for a message card, based on its state
+ * ====================================================
+ * @param {object} msg - A message
+ * @returns {string} - e.g. "message-card unread starred"
+ */
+function buildMessageCardClasses(msg) {
+    return ['message-card']
+        .concat(msg.read ? [] : ['unread'])
+        .concat(MESSAGE_FLAGS.filter(flag => flag !== 'read' && msg[flag]))
+        .join(' ');
+}
+
+/**
+ * Build the state toggle buttons for a message card
+ * ==================================================
+ * @param {object} msg - A message
+ * @returns {string} - HTML string
+ *
+ * Each button flips one flag. aria-pressed tells screen readers whether
+ * the flag is currently on.
+ */
+function buildMessageActions(msg) {
+    const buttons = [
+        { flag: 'read', on: 'Mark as unread', off: 'Mark as read', icon: '&#9993;' },
+        { flag: 'starred', on: 'Unstar', off: 'Star', icon: msg.starred ? '&#9733;' : '&#9734;' },
+        { flag: 'replied', on: 'Mark as not replied', off: 'Mark as replied', icon: '&#8617;' },
+        { flag: 'archived', on: 'Unarchive', off: 'Archive', icon: '&#128229;' }
+    ];
+
+    return `<div class="message-actions">
+                    ${buttons.map(button => {
+                        const label = msg[button.flag] ? button.on : button.off;
+                        return `<button class="message-action action-${button.flag}${msg[button.flag] ? ' active' : ''}" data-action="toggle" data-flag="${button.flag}" title="${label}" aria-pressed="${Boolean(msg[button.flag])}"><span aria-hidden="true">${button.icon}</span> ${label}</button>`;
+                    }).join('')}
+                </div>`;
+}
+
+/*
+    Messages vs. Trash View
+    ========================
+    The messages modal shows either the normal list ('inbox') or the
+    trash ('trash'). A class on the modal body switches which toolbar
+    controls are visible (see .trash-view in styles.css).
+*/
+let messagesView = 'inbox';
+
+/**
+ * Switch the messages modal between the inbox and the trash
+ * ==========================================================
+ * @param {string} view - 'inbox' or 'trash'
+ */
+function showMessagesView(view) {
+    messagesView = view === 'trash' ? 'trash' : 'inbox';
+
+    const isTrash = messagesView === 'trash';
+    document.querySelector('#messagesModal .modal-body').classList.toggle('trash-view', isTrash);
+    document.getElementById('inboxTab').classList.toggle('active', !isTrash);
+    document.getElementById('inboxTab').setAttribute('aria-selected', String(!isTrash));
+    document.getElementById('trashTab').classList.toggle('active', isTrash);
+    document.getElementById('trashTab').setAttribute('aria-selected', String(isTrash));
+
+    renderMessagesList();
+}
+
+/**
+ * Show how many messages are in the trash on its tab
+ * ===================================================
+ */
+function updateTrashTab() {
+    const trashCount = document.getElementById('trashCount');
+    if (trashCount) {
+        const count = getTrash().length;
+        trashCount.textContent = count > 0 ? `(${count})` : '';
+    }
+}
+
+/**
+ * Render the trash list
+ * ======================
+ * Each card offers Restore and Delete Forever, and shows how long
+ * until it is purged automatically.
+ */
+function renderTrashList() {
+    purgeExpiredTrash();
+
+    const trash = getTrash().slice().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    const messagesList = document.getElementById('messagesList');
+    const count = trash.length;
+
+    document.getElementById('trashToolbarCount').textContent =
+        `${count} message${count !== 1 ? 's' : ''} in Trash`;
+    document.getElementById('emptyTrashBtn').disabled = count === 0;
+
+    // The inbox's empty states don't apply here
+    document.getElementById('messagesEmpty').classList.remove('visible');
+    document.getElementById('messagesNoMatch').classList.remove('visible');
+    document.getElementById('trashEmpty').classList.toggle('visible', count === 0);
+    document.getElementById('trashEmptyHint').textContent =
+        `Deleted messages stay here for ${TRASH_CONFIG.retentionDays} days before they are removed for good.`;
+
+    messagesList.innerHTML = trash.map(msg => {
+        const purgeAt = new Date(msg.deletedAt).getTime() + TRASH_CONFIG.retentionDays * DAY_MS;
+        const daysLeft = Math.max(Math.ceil((purgeAt - Date.now()) / DAY_MS), 0);
+
+        return `
+            <div class="message-card trashed" data-id="${msg.id}">
+                <div class="message-header">
+                    <div class="message-sender">
+                        <div class="message-name">${escapeHtml(msg.name)}</div>
+                        <div class="message-email">${escapeHtml(msg.email)}</div>
+                        ${msg.phone ? `<div class="message-phone">${escapeHtml(msg.phone)}</div>` : ''}
+                    </div>
+                    <div class="message-date">${formatDate(msg.date)}</div>
+                </div>
+                <div class="message-subject">${escapeHtml(msg.subject)}</div>
+                <div class="message-body">${escapeHtml(msg.message)}</div>
+                <div class="message-actions">
+                    <span class="trash-info">Deleted ${formatDate(msg.deletedAt)} &middot; purged in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}</span>
+                    <button class="message-action" data-action="restore">Restore</button>
+                    <button class="message-action action-purge" data-action="purge">Delete forever</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the messages list in the modal
+ * ======================================
+ * Gets messages from localStorage, applies the search/filter/sort
+ * settings, and creates HTML for each remaining message.
+ * Undelivered messages from the outbox are included.
+ */
+function renderMessagesList() {
+    // Never put messages on the page while the admin view is locked
+    if (!isAdminUnlocked()) {
+        return;
+    }
+
+    updateTrashTab();
+
+    // The Trash view has its own, simpler list
+    if (messagesView === 'trash') {
+        renderTrashList();
+        return;
+    }
+
+    const allMessages = getOutbox().concat(getMessagesFromStorage());
+    const filters = getMessageFilters();
+    const messages = sortMessages(filterMessages(allMessages, filters), filters.sort);
+
+    const messagesList = document.getElementById('messagesList');
+    const messagesEmpty = document.getElementById('messagesEmpty');
+    const messagesNoMatch = document.getElementById('messagesNoMatch');
+    const messageCount = document.getElementById('messageCount');
+    const clearBtn = document.getElementById('clearMessagesBtn');
+
+    // Update message count - "12 of 48 messages" when some are hidden
+    // (by the filters, or because they're archived)
+    const total = allMessages.length;
+    const shown = messages.length;
+    const unsentCount = getOutbox().length;
+    const noun = `message${total !== 1 ? 's' : ''}`;
+
+    messageCount.textContent = (shown !== total ? `${shown} of ${total} ${noun}` : `${total} ${noun}`) +
+        (unsentCount > 0 ? ` (${unsentCount} unsent)` : '');
+
+    // Enable/disable clear button
+    clearBtn.disabled = total === 0;
+
+    // Empty state: no messages at all vs. nothing matches the filters
+    messagesEmpty.classList.toggle('visible', total === 0);
+    messagesNoMatch.classList.toggle('visible', total > 0 && shown === 0);
+
+    // Build HTML for each message (search matches are highlighted)
+    const query = filters.query;
+    messagesList.innerHTML = messages.map(msg => `
+            <div class="${buildMessageCardClasses(msg)}" data-id="${msg.id}">
+                <div class="message-header">
+                    <div class="message-sender">
+                        <div class="message-name">${highlightMatches(msg.name, query)}</div>
+                        <div class="message-email">${highlightMatches(msg.email, query)}</div>
+                        ${msg.phone ? `<div class="message-phone">${highlightMatches(msg.phone, query)}</div>` : ''}
+                    </div>
+                    <div class="message-date">${formatDate(msg.date)}</div>
+                    <button class="message-delete" data-action="delete" title="Delete message">&times;</button>
+                </div>
+                <div class="message-subject">${highlightMatches(msg.subject, query)}</div>
+                <div class="message-body">${highlightMatches(msg.message, query)}</div>
+                ${buildDeliveryStatus(msg)}
+                ${buildMessageActions(msg)}
+            </div>
+        `).join('');
+}
+
+/**
+ * Export all saved messages
+ * ==========================
+ * Called from the "Export JSON" / "Export CSV" buttons.
+ * @param {string} format - 'json' or 'csv'
+ */
+function exportMessages(format) {
+    const messages = getMessagesFromStorage();
+    const stamp = new Date().toISOString().slice(0, 10);  // YYYY-MM-DD
+
+    if (format === 'csv') {
+        downloadFile(messagesToCsv(messages), `contact-messages-${stamp}.csv`, 'text/csv;charset=utf-8');
+    } else {
+        const data = { exportedAt: new Date().toISOString(), messages };
+        downloadFile(JSON.stringify(data, null, 2), `contact-messages-${stamp}.json`, 'application/json');
+    }
+}
+
+/**
+ * Handle a file chosen with the "Import" button
+ * ==============================================
+ * @param {Event} event - The file input's change event
+ */
+function handleImportFile(event) {
+    const input = event.target;
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    const format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+
+    file.text()
+        .then(text => importMessages(text, format))
+        .then(report => {
+            renderMessagesList();
+            showImportReport(report);
+        })
+        .catch(error => {
+            console.error('Import failed:', error);
+            showImportReport(null, `Could not read ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            // Reset so choosing the same file again still fires 'change'
+            input.value = '';
+        });
+}
+
+/**
+ * Show the result of an import in the messages modal
+ * ====================================================
+ * @param {object|null} report - From importMessages()
+ * @param {string} [errorText] - Shown instead when the whole file failed
+ */
+function showImportReport(report, errorText) {
+    const status = document.getElementById('messagesImportStatus');
+
+    if (!report) {
+        status.className = 'messages-import-status error';
+        status.textContent = errorText;
+        return;
+    }
+
+    const rejectedCount = report.rejected.length;
+    status.className = `messages-import-status ${rejectedCount > 0 ? 'warning' : 'success'}`;
+    status.textContent = `Import finished: ${report.added} added, ${report.skipped} skipped (already stored), ${rejectedCount} rejected.`;
+
+    // List the first few rejection reasons so the file can be fixed
+    if (rejectedCount > 0) {
+        const list = document.createElement('ul');
+        report.rejected.slice(0, 5).forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason;
+            list.appendChild(item);
+        });
+        if (rejectedCount > 5) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${rejectedCount - 5} more`;
+            list.appendChild(more);
+        }
+        status.appendChild(list);
+    }
+}
+
+/**
+ * Open the messages modal
+ * ========================
+ * Called when user clicks "View Messages" button.
+ */
+function openMessagesModal() {
+    // Messages are for the site owner only - ask for the passphrase first
+    // (see admin.js)
+    if (!isAdminUnlocked()) {
+        openAdminLoginModal();
+        return;
+    }
+
+    // Always open on the normal list, not the trash (this also renders it)
+    showMessagesView('inbox');
+
+    // Hide the result of an import from last time
+    const importStatus = document.getElementById('messagesImportStatus');
+    importStatus.className = 'messages-import-status';
+    importStatus.textContent = '';
+
+    // Show the modal (the dialog itself gets focus, so screen readers
+    // start with its title - see "Modal Manager" in modal.js)
+    showModal('messagesModal');
+}
+
+/**
+ * Close the messages modal
+ * =========================
+ */
+function closeMessagesModal() {
+    hideModal('messagesModal');
+}
+
+/**
+ * Re-render the messages list if the messages modal is open
+ * ==========================================================
+ */
+function refreshMessagesListIfOpen() {
+    const messagesModal = document.getElementById('messagesModal');
+    if (messagesModal && messagesModal.classList.contains('active')) {
+        renderMessagesList();
+    }
+}
+
+/*
+    Cross-Tab Sync
+    ===============
+    With the site open in two tabs, a message saved, deleted or restored
+    in one should show up in the other straight away. storage.js tells us
+    when another tab changes the messages, trash or outbox (see
+    onStorageChange), and we refresh the badge and the open list.
+*/
+function handleMessagesChangedElsewhere() {
+    updateUnreadBadge();
+
+    if (!isAdminUnlocked()) {
+        return;
+    }
+
+    // New messages arrive encrypted - decrypt them before showing them
+    decryptAllMessages().then(refreshMessagesListIfOpen);
+}
+
+/*
+    Card Buttons
+    =============
+    What each data-action does. Every function gets the id of the
+    message whose card was clicked.
+*/
+const MESSAGE_ACTIONS = {
+    toggle: (messageId, button) => toggleMessageFlag(messageId, button.dataset.flag),
+    delete: messageId => deleteMessage(messageId),
+    retry: messageId => retryOutboxMessage(messageId),
+    restore: messageId => restoreFromTrash([messageId]),
+    purge: messageId => purgeFromTrash([messageId])
+};
+
+/**
+ * Handle a click anywhere in the messages list
+ * =============================================
+ * @param {Event} event - The click event
+ *
+ * A click on a button runs its action; a click anywhere else on a
+ * (non-trash) card marks that message as read.
+ */
+function handleMessagesListClick(event) {
+    const card = event.target.closest('.message-card');
+    if (!card) {
+        return;
+    }
+
+    const messageId = Number(card.dataset.id);
+    const button = event.target.closest('[data-action]');
+
+    if (button && MESSAGE_ACTIONS[button.dataset.action]) {
+        MESSAGE_ACTIONS[button.dataset.action](messageId, button);
+    } else if (!button && !card.classList.contains('trashed')) {
+        markMessageRead(messageId);
+    }
+}
+
+/**
+ * Wire up the messages modal
+ * ===========================
+ * Only index.html has one - other pages skip this.
+ */
+function initInbox() {
+    if (!document.getElementById('messagesModal')) {
+        return;
+    }
+
+    registerModal('messagesModal', closeMessagesModal);
+    setupMessageFilters();
+
+    document.getElementById('inboxTab').addEventListener('click', () => showMessagesView('inbox'));
+    document.getElementById('trashTab').addEventListener('click', () => showMessagesView('trash'));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => exportMessages('json'));
+    document.getElementById('exportCsvBtn').addEventListener('click', () => exportMessages('csv'));
+    document.getElementById('messagesImportInput').addEventListener('change', handleImportFile);
+    document.getElementById('clearMessagesBtn').addEventListener('click', clearAllMessages);
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    document.getElementById('clearFiltersBtn').addEventListener('click', resetMessageFilters);
+    document.getElementById('messagesList').addEventListener('click', handleMessagesListClick);
+
+    ['messages', 'trash', 'outbox'].forEach(name => {
+        onStorageChange(name, handleMessagesChangedElsewhere);
+    });
+
+    // Dates on the cards are formatted for the current language
+    onLanguageChange(refreshMessagesListIfOpen);
+}
+
+export {
+    renderMessagesList,
+    refreshMessagesListIfOpen,
+    showMessagesView,
+    openMessagesModal,
+    closeMessagesModal,
+    initInbox
+};
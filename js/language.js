@@ -0,0 +1,64 @@
+/*
+ * ==========================================================================
+ * LANGUAGE.JS - The Language Picker
+ * ==========================================================================
+ *
+ * The translations themselves - and t(), applyTranslations() and
+ * setLanguage() - live in i18n.js, which has already shown the page in
+ * the visitor's language by the time this runs. This file adds the
+ * picker in the navigation, and keeps it (and every open tab) in step
+ * with the current language.
+ *
+ * Text that JavaScript wrote (rather than the HTML) is re-translated by
+ * the module that wrote it, with onLanguageChange() - see contact.js,
+ * inbox.js and theme.js.
+ */
+
+import { onStorageChange } from './storage.js';
+import {
+    I18N_CONFIG,
+    LANGUAGES,
+    getLanguagePreference,
+    getLanguage,
+    setLanguage,
+    onLanguageChange
+} from './i18n.js';
+
+/**
+ * Fill the language picker
+ * =========================
+ * @param {HTMLSelectElement} picker - The #languagePicker element
+ *
+ * Each language is listed in its own script ("मराठी", not "Marathi").
+ */
+function buildLanguagePicker(picker) {
+    picker.innerHTML = '';
+    Object.keys(LANGUAGES).forEach(code => {
+        picker.appendChild(new Option(LANGUAGES[code].label, code));
+    });
+    picker.value = getLanguage();
+}
+
+/**
+ * Wire up the language picker
+ * ============================
+ */
+function initLanguagePicker() {
+    const picker = document.getElementById('languagePicker');
+    if (picker) {
+        buildLanguagePicker(picker);
+        picker.addEventListener('change', () => setLanguage(picker.value));
+
+        // Changed some other way (e.g. in another tab)? Show it
+        onLanguageChange(() => {
+            picker.value = getLanguage();
+        });
+    }
+
+    // Keep every open tab in the same language
+    onStorageChange(I18N_CONFIG.storageKey, () => {
+        setLanguage(getLanguagePreference(), { save: false });
+    });
+}
+
+export { initLanguagePicker };
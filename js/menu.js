@@ -0,0 +1,48 @@
+/*
+ * ==========================================================================
+ * MENU.JS - Mobile Menu Toggle
+ * ==========================================================================
+ *
+ * Shows/hides the navigation menu on mobile devices, when the hamburger
+ * button is clicked.
+ */
+
+/**
+ * Open or close the mobile menu
+ * ==============================
+ */
+function toggleMenu() {
+    // Get the navigation links container
+    const navLinks = document.getElementById('navLinks');
+
+    // Toggle the 'active' class - if it has it, remove it; if not, add it
+    // The CSS uses this class to show/hide the mobile menu
+    navLinks.classList.toggle('active');
+}
+
+/**
+ * Close the mobile menu (e.g. after a link in it was clicked)
+ * ============================================================
+ */
+function closeMenu() {
+    const navLinks = document.getElementById('navLinks');
+    if (navLinks) {
+        navLinks.classList.remove('active');
+    }
+}
+
+/**
+ * Wire up the hamburger button
+ * =============================
+ * Pages without a navigation menu (todo.html) simply skip this.
+ */
+function initMenu() {
+    const menuButton = document.querySelector('.mobile-menu-btn');
+    if (!menuButton || !document.getElementById('navLinks')) {
+        return;
+    }
+
+    menuButton.addEventListener('click', toggleMenu);
+}
+
+export { toggleMenu, closeMenu, initMenu };
@@ -0,0 +1,264 @@
+/*
+ * ==========================================================================
+ * MESSAGE-EXPORT.JS - Exporting & Importing Messages (JSON and CSV)
+ * ==========================================================================
+ *
+ * Turning stored messages into files and back. Nothing here touches the
+ * page - the Export / Import buttons are wired up in inbox.js - so these
+ * functions can be tried out under Node as well.
+ */
+
+import { validateMessage } from './validation.js';
+import { MESSAGE_FLAGS, saveMessageToStorage, whenMessagesSaved, getMessagesFromStorage, getTrash } from './messages.js';
+import { getOutbox } from './outbox.js';
+
+/*
+    How Export & Import Work
+    ========================
+    Messages live in ONE browser's localStorage. Export lets you download
+    them (JSON or CSV) and import lets you load a file into another
+    browser - or back into this one after clearing it.
+
+    CSV ("comma-separated values") is the format spreadsheets open. The
+    tricky part is text that itself contains commas, quotes or line
+    breaks - common in message bodies. The rule (RFC 4180) is:
+    - Wrap such a value in double quotes:   "Hello, world"
+    - Double any quote inside it:           "She said ""hi"""
+    Line breaks are allowed inside a quoted value.
+
+    Every imported record is checked with the same validationRules used
+    by the form, and records whose id is already stored are skipped, so
+    importing the same file twice doesn't create duplicates.
+*/
+
+// Columns written to (and read from) CSV files, in order
+const MESSAGE_EXPORT_FIELDS = ['id', 'name', 'email', 'phone', 'subject', 'message', 'date', 'status', 'read', 'starred', 'replied', 'archived'];
+
+/**
+ * Quote a single CSV value if needed
+ * ===================================
+ * @param {*} value - Any value (converted to text)
+ * @returns {string} - Safe CSV cell
+ *
+ * Spreadsheets treat cells starting with = + - @ as formulas, which a
+ * malicious visitor could abuse ("CSV injection"). We prefix such cells
+ * with an apostrophe so they are shown as plain text.
+ */
+function toCsvValue(value) {
+    let text = value == null ? '' : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Convert messages to CSV text
+ * =============================
+ * @param {array} messages - Message objects
+ * @returns {string} - CSV with a header row
+ */
+function messagesToCsv(messages) {
+    const rows = [MESSAGE_EXPORT_FIELDS.join(',')];
+
+    messages.forEach(msg => {
+        rows.push(MESSAGE_EXPORT_FIELDS.map(field => toCsvValue(msg[field])).join(','));
+    });
+
+    // CRLF line endings are what the CSV standard (and Excel) expect
+    return rows.join('\r\n');
+}
+
+/**
+ * Parse CSV text into an array of rows
+ * =====================================
+ * @param {string} text - CSV file contents
+ * @returns {array} - Array of rows, each an array of cell strings
+ *
+ * Reads one character at a time, tracking whether we're inside quotes.
+ * Inside quotes, commas and line breaks are part of the value, and ""
+ * stands for a single quote character.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip the byte-order mark some editors add to the start of the file
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';   // Escaped quote
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as a single line break
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    // Last row (files don't always end with a line break)
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn CSV rows into message objects using the header row
+ * ========================================================
+ * @param {string} text - CSV file contents
+ * @returns {array} - Array of plain objects keyed by column name
+ */
+function csvToRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(name => name.trim());
+
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            // Undo the CSV-injection apostrophe added by toCsvValue()
+            record[column] = (cells[index] || '').replace(/^'(?=[=+\-@\t\r])/, '');
+        });
+        return record;
+    });
+}
+
+/**
+ * Check one imported record and convert it to a message
+ * ======================================================
+ * @param {object} record - A record from a JSON or CSV file
+ * @returns {object} - { message } if valid, or { error: 'reason' }
+ */
+function normalizeImportedMessage(record) {
+    if (!record || typeof record !== 'object') {
+        return { error: 'not a message object' };
+    }
+
+    // CSV gives us text - ids must be whole numbers either way
+    const id = Number(record.id);
+    if (record.id === '' || record.id == null || !Number.isInteger(id)) {
+        return { error: 'missing or invalid id' };
+    }
+
+    if (isNaN(new Date(record.date).getTime())) {
+        return { error: `message ${id}: missing or invalid date` };
+    }
+
+    // Same rules as the contact form (validation.js)
+    const result = validateMessage(record);
+    if (!result.isValid) {
+        const firstError = result.errors[Object.keys(result.errors)[0]];
+        return { error: `message ${id}: ${firstError}` };
+    }
+
+    const message = {
+        id,
+        name: String(record.name).trim(),
+        email: String(record.email).trim(),
+        phone: record.phone == null ? '' : String(record.phone).trim(),
+        subject: String(record.subject).trim(),
+        message: String(record.message).trim(),
+        date: new Date(record.date).toISOString(),
+        status: 'sent'
+    };
+
+    // State flags: true in JSON, or the text "true" in CSV
+    MESSAGE_FLAGS.forEach(flag => {
+        message[flag] = record[flag] === true || record[flag] === 'true';
+    });
+
+    return { message };
+}
+
+/**
+ * Import messages from a file's contents
+ * =======================================
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<object>} - { added, skipped, rejected: [reasons] },
+ *                              once every added message is stored
+ *
+ * - added:    new messages saved via saveMessageToStorage()
+ * - skipped:  a message with that id is already stored (or repeated in the file)
+ * - rejected: the record failed validation
+ */
+function importMessages(text, format) {
+    let records;
+
+    if (format === 'csv') {
+        records = csvToRecords(text);
+    } else {
+        const data = JSON.parse(text);
+        // Accept a bare array, or { messages: [...] } as written by exportMessages()
+        records = Array.isArray(data) ? data : (data && data.messages);
+        if (!Array.isArray(records)) {
+            throw new Error('Expected an array of messages');
+        }
+    }
+
+    // Messages in the trash count as known too - restoring them later
+    // would otherwise create two messages with the same id
+    const knownIds = new Set(getMessagesFromStorage().concat(getOutbox(), getTrash()).map(msg => msg.id));
+    const report = { added: 0, skipped: 0, rejected: [] };
+
+    records.forEach(record => {
+        const result = normalizeImportedMessage(record);
+
+        if (result.error) {
+            report.rejected.push(result.error);
+        } else if (knownIds.has(result.message.id)) {
+            report.skipped++;
+        } else {
+            saveMessageToStorage(result.message);
+            knownIds.add(result.message.id);
+            report.added++;
+        }
+    });
+
+    return whenMessagesSaved().then(() => report);
+}
+
+export {
+    MESSAGE_EXPORT_FIELDS,
+    toCsvValue,
+    messagesToCsv,
+    parseCsv,
+    csvToRecords,
+    normalizeImportedMessage,
+    importMessages
+};
@@ -0,0 +1,470 @@
+/*
+ * ==========================================================================
+ * MESSAGES.JS - Stored Messages & the Trash
+ * ==========================================================================
+ *
+ * Every message sent through the contact form is also kept in this
+ * browser's localStorage, for the site owner to read in the admin view
+ * (inbox.js shows them). This file is the only place that reads or
+ * writes them:
+ *
+ * 1. Message state - read / starred / replied / archived flags
+ * 2. Storage - saving, loading and updating messages (encrypted with
+ *    encryption.js whenever the owner has set that up)
+ * 3. Trash & Undo - deleted messages wait in the trash for a while
+ */
+
+import { getFromStorage, setInStorage } from './storage.js';
+import { encryptIfPossible, encryptPlaintextMessages, toStoredMessage, openStoredMessage, rememberMessageContent } from './encryption.js';
+import { getOutbox, saveOutbox, updateOutboxEntry, processOutbox, scheduleOutboxRetry } from './outbox.js';
+import { renderMessagesList } from './inbox.js';
+import { showToast } from './toast.js';
+
+/*
+    Message State
+    ==============
+    Besides its content (id, name, email, subject, message, date), every
+    stored message tracks how it has been handled:
+
+    - read:     has it been opened?
+    - starred:  flagged as important
+    - replied:  has it been answered?
+    - archived: dealt with - hidden from the main list (see "Archived" filter)
+
+    Messages saved by older versions of this page don't have these
+    fields. migrateStoredMessages() adds them (with default values) when
+    the page loads, so the rest of the code can rely on them existing.
+*/
+const MESSAGE_STATE_DEFAULTS = {
+    status: 'sent',   // Delivery status (see outbox.js) - old messages were all sent
+    read: false,
+    starred: false,
+    replied: false,
+    archived: false
+};
+
+// The flags the buttons on each message card can toggle
+const MESSAGE_FLAGS = ['read', 'starred', 'replied', 'archived'];
+
+// Pending saves, one after another (see saveMessageToStorage)
+let messageSaveQueue = Promise.resolve();
+
+/**
+ * Save a message to localStorage
+ * ===============================
+ * @param {object} message - The message object to save
+ * @returns {Promise} - Resolves once the message is stored
+ *
+ * localStorage stores data as strings, so we:
+ * 1. Encrypt the personal fields (encryption.js)
+ * 2. Get existing messages array (or create empty array)
+ * 3. Add new message to the beginning (most recent first)
+ * 4. Convert back to string and save
+ */
+function saveMessageToStorage(message) {
+    // Any state field the message doesn't set gets its default value
+    const fullMessage = { ...MESSAGE_STATE_DEFAULTS, ...message };
+
+    // Encrypting takes a moment (encryption.js). Saves wait for each other in
+    // a queue, so two quick saves can't overwrite one another.
+    messageSaveQueue = messageSaveQueue
+        .then(() => encryptIfPossible(fullMessage))
+        .then(storedMessage => {
+            // Get existing messages from localStorage (read only now, so
+            // any change made while encrypting is kept)
+            const messages = getMessagesFromStorage();
+
+            // Add new message at the beginning (unshift adds to start of array)
+            messages.unshift(storedMessage);
+
+            // Save back to localStorage
+            setMessagesInStorage(messages);
+
+            // Already unlocked? Then the owner can read it straight away
+            rememberMessageContent(storedMessage);
+        })
+        // A failed save mustn't block the ones queued after it
+        .catch(error => console.error('Could not save message:', error));
+
+    return messageSaveQueue;
+}
+
+/**
+ * Wait for every save that has been started
+ * ==========================================
+ * @returns {Promise} - Resolves once they're all stored
+ */
+function whenMessagesSaved() {
+    return messageSaveQueue;
+}
+
+/**
+ * Run some work in the save queue
+ * ================================
+ * @param {function} work - Returns a Promise
+ * @returns {Promise} - The work's result (rejects if the work fails)
+ *
+ * For changes to every message at once, like a new passphrase
+ * (encryption.js): saves started before it finish first, and saves
+ * started while it runs wait until it's done.
+ */
+function runInMessageSaveQueue(work) {
+    const run = messageSaveQueue.then(work);
+    // A failure is the caller's to handle - the queue carries on
+    messageSaveQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Replace all stored messages
+ * ============================
+ * @param {array} messages - The complete list of messages to store
+ *
+ * Every change to the stored messages goes through here, so the unread
+ * badge on the "Messages" tab always stays up to date - and the readable
+ * copy of encrypted content never reaches localStorage (encryption.js).
+ */
+function setMessagesInStorage(messages) {
+    // setInStorage() (storage.js) converts the array to a JSON string
+    setInStorage('messages', messages.map(toStoredMessage));
+    updateUnreadBadge();
+}
+
+/**
+ * Get all messages from localStorage
+ * ====================================
+ * @returns {array} - Array of message objects
+ *
+ * Encrypted messages are filled in from the decrypted copies in memory.
+ * While the admin view is locked there are none, so they come back
+ * with only their id, date and state flags.
+ */
+function getMessagesFromStorage() {
+    const messages = getFromStorage('messages', []);
+    return messages.map(openStoredMessage);
+}
+
+/**
+ * Add missing state fields to messages saved by older versions
+ * =============================================================
+ * Safe to run every time the page loads: messages that already have
+ * all the fields are left alone, and nothing is written if nothing
+ * changed.
+ */
+function migrateStoredMessages() {
+    const messages = getMessagesFromStorage();
+    let changed = false;
+
+    const migrated = messages.map(msg => {
+        const missing = Object.keys(MESSAGE_STATE_DEFAULTS).filter(key => !(key in msg));
+        if (missing.length === 0) {
+            return msg;
+        }
+        changed = true;
+        return { ...MESSAGE_STATE_DEFAULTS, ...msg };
+    });
+
+    if (changed) {
+        setMessagesInStorage(migrated);
+    }
+}
+
+/**
+ * Update state flags on one message
+ * ==================================
+ * @param {number} messageId - The ID of the message
+ * @param {object} changes - e.g. { starred: true }
+ *
+ * Works for saved messages and for entries still waiting in the outbox.
+ */
+function updateMessageState(messageId, changes) {
+    const messages = getMessagesFromStorage();
+
+    if (messages.some(msg => msg.id === messageId)) {
+        setMessagesInStorage(messages.map(msg => (msg.id === messageId ? { ...msg, ...changes } : msg)));
+    } else {
+        updateOutboxEntry(messageId, changes);
+    }
+
+    renderMessagesList();
+}
+
+/**
+ * Flip one state flag on a message
+ * =================================
+ * Called from the buttons on each message card.
+ * @param {number} messageId - The ID of the message
+ * @param {string} flag - 'read', 'starred', 'replied' or 'archived'
+ */
+function toggleMessageFlag(messageId, flag) {
+    if (!MESSAGE_FLAGS.includes(flag)) {
+        return;
+    }
+
+    const message = getOutbox().concat(getMessagesFromStorage()).find(msg => msg.id === messageId);
+    if (message) {
+        updateMessageState(messageId, { [flag]: !message[flag] });
+    }
+}
+
+/**
+ * Update the unread count badge on the "View Messages" button
+ * ============================================================
+ * Counts saved messages that are unread and not archived.
+ */
+function updateUnreadBadge() {
+    const badge = document.getElementById('unreadBadge');
+    if (!badge) {
+        return;
+    }
+
+    const unread = getMessagesFromStorage().filter(msg => !msg.read && !msg.archived).length;
+
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.classList.toggle('visible', unread > 0);
+    badge.setAttribute('aria-label', `${unread} unread message${unread !== 1 ? 's' : ''}`);
+}
+
+/*
+    Trash & Undo
+    =============
+    Deleting is never immediate. Deleted messages move to a "trash" list
+    in localStorage, and a toast (a small pop-up at the bottom of the
+    screen) offers Undo for a few seconds.
+
+    From the Trash view in the messages modal you can restore messages
+    or delete them for good. Anything left in the trash longer than
+    TRASH_CONFIG.retentionDays is purged automatically.
+
+    Each trash entry is the original message plus:
+    - deletedAt:   when it was deleted (ISO date)
+    - deletedFrom: 'messages' or 'outbox' - where to put it back on restore
+*/
+const TRASH_CONFIG = {
+    storageKey: 'trash',
+    retentionDays: 30,      // Purge trashed messages after this many days
+    undoDuration: 6000      // How long the Undo toast stays up (ms)
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get all messages in the trash
+ * ==============================
+ * @returns {array} - Array of trash entries
+ */
+function getTrash() {
+    const entries = getFromStorage(TRASH_CONFIG.storageKey, []);
+    return entries.map(openStoredMessage);
+}
+
+/**
+ * Save the trash back to localStorage
+ * ====================================
+ * @param {array} entries - Array of trash entries
+ *
+ * Trashed messages stay encrypted, just like saved ones (encryption.js).
+ */
+function saveTrash(entries) {
+    setInStorage(TRASH_CONFIG.storageKey, entries.map(toStoredMessage));
+}
+
+/**
+ * Move messages (and outbox entries) to the trash
+ * ================================================
+ * @param {array} messageIds - IDs of the messages to delete
+ * @returns {number} - How many messages were moved
+ */
+function moveToTrash(messageIds) {
+    const ids = new Set(messageIds);
+    const deletedAt = new Date().toISOString();
+    const messages = getMessagesFromStorage();
+    const outbox = getOutbox();
+
+    const trashed = messages.filter(msg => ids.has(msg.id))
+        .map(msg => ({ ...msg, deletedAt, deletedFrom: 'messages' }))
+        .concat(outbox.filter(entry => ids.has(entry.id))
+            .map(entry => ({ ...entry, deletedAt, deletedFrom: 'outbox' })));
+
+    if (trashed.length === 0) {
+        return 0;
+    }
+
+    setMessagesInStorage(messages.filter(msg => !ids.has(msg.id)));
+    saveOutbox(outbox.filter(entry => !ids.has(entry.id)));
+    saveTrash(trashed.concat(getTrash()));
+    scheduleOutboxRetry();
+
+    return trashed.length;
+}
+
+/**
+ * Add messages to a newest-first list, each at its own date
+ * ==========================================================
+ * @param {array} list - e.g. the saved messages, newest first
+ * @param {array} additions - The messages to add
+ * @returns {array} - A new list; the messages already in it keep their order
+ *
+ * A message restored from the trash belongs where it was before - not at
+ * the top, as if it had just arrived.
+ */
+function insertByDate(list, additions) {
+    return additions.reduce((result, message) => {
+        const date = new Date(message.date);
+        const index = result.findIndex(other => new Date(other.date) < date);
+        result.splice(index === -1 ? result.length : index, 0, message);
+        return result;
+    }, list.slice());
+}
+
+/**
+ * Put messages from the trash back where they came from
+ * ======================================================
+ * @param {array} messageIds - IDs of the messages to restore
+ */
+function restoreFromTrash(messageIds) {
+    const ids = new Set(messageIds);
+    const trash = getTrash();
+    const restoring = trash.filter(entry => ids.has(entry.id));
+
+    // Remove the trash-only fields again
+    const strip = ({ deletedAt, deletedFrom, ...message }) => message;
+
+    const toMessages = restoring.filter(entry => entry.deletedFrom !== 'outbox').map(strip);
+    // Restored outbox entries get a fresh attempt straight away
+    const toOutbox = restoring.filter(entry => entry.deletedFrom === 'outbox')
+        .map(entry => ({ ...strip(entry), nextAttemptAt: Date.now() }));
+
+    saveTrash(trash.filter(entry => !ids.has(entry.id)));
+    if (toMessages.length > 0) {
+        setMessagesInStorage(insertByDate(getMessagesFromStorage(), toMessages));
+    }
+    if (toOutbox.length > 0) {
+        saveOutbox(insertByDate(getOutbox(), toOutbox));
+        processOutbox();
+    }
+
+    renderMessagesList();
+}
+
+/**
+ * Permanently delete messages from the trash
+ * ===========================================
+ * @param {array} messageIds - IDs to purge
+ */
+function purgeFromTrash(messageIds) {
+    const ids = new Set(messageIds);
+    saveTrash(getTrash().filter(entry => !ids.has(entry.id)));
+    renderMessagesList();
+}
+
+/**
+ * Purge everything older than the retention period
+ * =================================================
+ * Runs when the page loads and whenever the trash is shown.
+ */
+function purgeExpiredTrash() {
+    const cutoff = Date.now() - TRASH_CONFIG.retentionDays * DAY_MS;
+    const trash = getTrash();
+    const kept = trash.filter(entry => new Date(entry.deletedAt).getTime() > cutoff);
+
+    if (kept.length !== trash.length) {
+        saveTrash(kept);
+    }
+}
+
+/**
+ * Delete a single message (moves it to the trash)
+ * ================================================
+ * @param {number} messageId - The ID of the message to delete
+ */
+function deleteMessage(messageId) {
+    if (moveToTrash([messageId]) === 0) {
+        return;
+    }
+
+    // Re-render the messages list
+    renderMessagesList();
+
+    showToast('Message moved to Trash.', {
+        duration: TRASH_CONFIG.undoDuration,
+        actionLabel: 'Undo',
+        onAction: () => restoreFromTrash([messageId])
+    });
+}
+
+/**
+ * Delete all messages (moves them to the trash)
+ * ==============================================
+ * Called when user clicks "Clear All" button. No confirm() needed -
+ * nothing is lost, and the toast offers Undo.
+ */
+function clearAllMessages() {
+    const ids = getOutbox().concat(getMessagesFromStorage()).map(msg => msg.id);
+    const count = moveToTrash(ids);
+
+    if (count === 0) {
+        return;
+    }
+
+    renderMessagesList();
+
+    showToast(`${count} message${count !== 1 ? 's' : ''} moved to Trash.`, {
+        duration: TRASH_CONFIG.undoDuration,
+        actionLabel: 'Undo',
+        onAction: () => restoreFromTrash(ids)
+    });
+}
+
+/**
+ * Permanently delete everything in the trash
+ * ===========================================
+ * Called from the "Empty Trash" button - this one really can't be undone.
+ */
+function emptyTrash() {
+    if (confirm('Permanently delete all messages in the Trash? This cannot be undone.')) {
+        saveTrash([]);
+        renderMessagesList();
+    }
+}
+
+/**
+ * Tidy up the stored messages
+ * ============================
+ * Brings old messages up to date (and encrypts any still stored as
+ * plain text), shows the current unread count, and cleans out old
+ * trash. Storage is shared by every page, so this runs
+ * everywhere - not only where the messages can be read.
+ */
+function initMessages() {
+    migrateStoredMessages();
+    updateUnreadBadge();
+    purgeExpiredTrash();
+
+    // Encrypt anything saved before the owner's keys were shipped
+    runInMessageSaveQueue(encryptPlaintextMessages)
+        .catch(error => console.warn('Could not encrypt the stored messages:', error));
+}
+
+export {
+    MESSAGE_FLAGS,
+    TRASH_CONFIG,
+    DAY_MS,
+    saveMessageToStorage,
+    whenMessagesSaved,
+    runInMessageSaveQueue,
+    setMessagesInStorage,
+    getMessagesFromStorage,
+    updateMessageState,
+    toggleMessageFlag,
+    updateUnreadBadge,
+    getTrash,
+    saveTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    purgeExpiredTrash,
+    deleteMessage,
+    clearAllMessages,
+    emptyTrash,
+    initMessages
+};
@@ -0,0 +1,416 @@
+/*
+ * ==========================================================================
+ * MODAL.JS - Modal Manager
+ * ==========================================================================
+ *
+ * Every popup on the page (contact form, admin login, stored messages,
+ * change passphrase) is opened and closed through the modal manager
+ * below. The modals' own functions live with their features
+ * (contact.js, inbox.js, admin.js).
+ */
+
+/*
+    Modal Manager
+    =============
+    A modal ("dialog") should behave the same for everyone - including
+    people using a keyboard or a screen reader:
+
+    1. Announced as a dialog - role="dialog" and aria-modal="true" are in
+       the HTML, with aria-labelledby pointing at the modal's title
+    2. Focus moves in - to the first field, or to the dialog itself, so
+       typing and screen readers start in the right place
+    3. Focus stays in - Tab and Shift+Tab cycle through the modal's
+       controls instead of wandering off to the page behind it
+    4. Focus comes back - closing returns focus to whatever opened the
+       modal (usually the button that was clicked)
+    5. The page behind doesn't scroll
+    6. Modals can stack - "Change passphrase" opens on top of the
+       messages. Escape, and clicks on the dark overlay, close only the
+       TOP modal
+    7. Back closes it - see "Modals & the Back Button" below
+
+    openModal(), openMessagesModal(), ... call showModal() and hideModal()
+    here. Each modal is registered once with registerModal(), which tells
+    the manager which function closes it - so Escape goes through the
+    same code as the X button (the contact form saves its draft, etc.).
+    initModals() adds the one keyboard listener they all share.
+*/
+
+// Everything that can receive keyboard focus
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open modals, bottom first: { overlay, returnFocus, historyDepth }
+const modalStack = [];
+
+// Overlay ID -> the function that closes that modal
+const modalCloseHandlers = {};
+
+// Routes that open a modal: the modal's overlay ID and how to open it
+// (see "Modals & the Back Button" below)
+const modalRoutes = {};
+
+/**
+ * Register a modal with the manager
+ * ==================================
+ * @param {string} overlayId - ID of the .modal-overlay element
+ * @param {function} close - Closes the modal (e.g. closeModal)
+ * @param {object} [options]
+ * @param {string} [options.route] - Its address, e.g. '#contact/form'
+ * @param {function} [options.open] - Opens it (needed with a route)
+ * @returns {boolean} - false if the modal isn't on this page
+ */
+function registerModal(overlayId, close, options = {}) {
+    const overlay = document.getElementById(overlayId);
+    if (!overlay) {
+        return false;
+    }
+    modalCloseHandlers[overlayId] = close;
+
+    if (options.route) {
+        modalRoutes[options.route] = { modal: overlayId, open: options.open };
+    }
+
+    // Lets the dialog box itself hold focus (see showModal)
+    overlay.querySelector('.modal').setAttribute('tabindex', '-1');
+
+    // The X button
+    overlay.querySelectorAll('.modal-close').forEach(button => {
+        button.addEventListener('click', () => close());
+    });
+
+    // Clicking the dark overlay (not the modal box) closes the modal.
+    // 'e.target' is what was clicked - the overlay only when the click
+    // landed outside the box.
+    overlay.addEventListener('click', function(e) {
+        if (e.target === overlay) {
+            close();
+        }
+    });
+    return true;
+}
+
+/**
+ * The modal a route opens
+ * ========================
+ * @param {string} hash - e.g. '#contact/form'
+ * @returns {object|undefined} - { modal, open }, or undefined if the
+ *                               route isn't a modal's
+ */
+function getModalRoute(hash) {
+    return modalRoutes[hash];
+}
+
+/**
+ * Is a modal open?
+ * =================
+ * @param {string} overlayId - ID of the .modal-overlay element
+ * @returns {boolean}
+ */
+function isModalOpen(overlayId) {
+    return modalStack.some(entry => entry.overlay.id === overlayId);
+}
+
+// The modal on top of the stack (the one the user is looking at), or null
+function getTopModal() {
+    return modalStack[modalStack.length - 1] || null;
+}
+
+/**
+ * Show a modal
+ * =============
+ * @param {string} overlayId - ID of the .modal-overlay element
+ * @param {string} [focusId] - ID of the element to focus; without one,
+ *                             the dialog itself gets focus
+ */
+function showModal(overlayId, focusId) {
+    if (isModalOpen(overlayId)) {
+        return;
+    }
+
+    const overlay = document.getElementById(overlayId);
+
+    // The first modal locks the page scroll; stacked ones keep it locked
+    if (modalStack.length === 0) {
+        document.body.style.overflow = 'hidden';
+    }
+
+    const historyDepth = restoringModalHistory ? getHistoryDepth() : pushModalHistory(overlayId);
+    modalStack.push({ overlay, returnFocus: document.activeElement, historyDepth });
+
+    // Add 'active' class to show the modal (CSS handles the visibility)
+    overlay.classList.add('active');
+
+    const focusTarget = (focusId && document.getElementById(focusId)) || overlay.querySelector('.modal');
+    focusTarget.focus();
+}
+
+/**
+ * Hide a modal
+ * =============
+ * @param {string} overlayId - ID of the .modal-overlay element
+ *
+ * Works for any open modal, not only the top one (locking the admin
+ * view closes the messages AND the passphrase dialog on top of them).
+ */
+function hideModal(overlayId) {
+    const index = modalStack.findIndex(entry => entry.overlay.id === overlayId);
+    if (index === -1) {
+        return;
+    }
+
+    const [entry] = modalStack.splice(index, 1);
+    entry.overlay.classList.remove('active');
+
+    if (modalStack.length === 0) {
+        document.body.style.overflow = '';
+    }
+
+    // Closed with X, Escape or the overlay? Then step back past its
+    // history entry (Back itself has already done that)
+    if (!restoringModalHistory) {
+        scheduleModalHistoryCleanup();
+    }
+
+    // Only move focus if it was in this modal - closing a modal further
+    // down the stack mustn't pull focus away from the one on top
+    const focusWasInside = entry.overlay.contains(document.activeElement) ||
+        document.activeElement === document.body;
+    if (focusWasInside) {
+        restoreFocus(entry.returnFocus);
+    }
+}
+
+/**
+ * Give focus back after a modal closes
+ * =====================================
+ * @param {Element} element - What had focus when the modal opened
+ *
+ * That element might have gone (removed from the page, or inside a modal
+ * that closed meanwhile); then the top modal, if any, gets focus.
+ */
+function restoreFocus(element) {
+    const top = getTopModal();
+    const usable = element && element !== document.body && document.contains(element) &&
+        !element.closest('.modal-overlay:not(.active)');
+
+    if (usable) {
+        element.focus();
+    } else if (top) {
+        top.overlay.querySelector('.modal').focus();
+    }
+}
+
+/**
+ * List the controls Tab can reach inside a modal
+ * ===============================================
+ * @param {Element} modal - The .modal box
+ * @returns {array} - Elements in Tab order
+ *
+ * Hidden controls (display: none, e.g. the trash-only toolbar in the
+ * inbox view) take up no space, so getClientRects() finds nothing.
+ * While a toast with a button (like "Undo") is showing, its button is
+ * included too - otherwise keyboard users could never reach it.
+ */
+function getFocusableElements(modal) {
+    const elements = Array.from(modal.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => element.getClientRects().length > 0);
+
+    const toast = document.getElementById('toast');
+    const toastAction = document.getElementById('toastAction');
+    if (toast && toast.classList.contains('visible') && !toastAction.hidden) {
+        elements.push(toastAction);
+    }
+    return elements;
+}
+
+/**
+ * Keep Tab inside the top modal
+ * ==============================
+ * @param {KeyboardEvent} e - A Tab keydown event
+ * @param {Element} overlay - The top modal's overlay
+ *
+ * The browser moves focus normally, except at the ends: Tab on the last
+ * control wraps to the first, Shift+Tab on the first wraps to the last.
+ */
+function trapFocus(e, overlay) {
+    const modal = overlay.querySelector('.modal');
+    const focusable = getFocusableElements(modal);
+
+    if (focusable.length === 0) {
+        e.preventDefault();
+        modal.focus();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isInside = focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !isInside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/*
+    Modals & the Back Button
+    ========================
+    On a phone especially, people press Back to get out of a popup. So
+    opening a modal adds a history entry, and Back closes it again:
+
+    - Each entry says which modal it belongs to, and how many modals
+      deep it is: history.state = { modal: 'contactModal', depth: 1 }.
+      When Back (or Forward) lands on an entry, every modal deeper than
+      that entry's depth is closed - see handleModalHistory()
+    - Modals with a route (registerModal's route option, e.g.
+      #contact/form) put it in the address bar; the others keep the
+      current address
+    - Closing a modal any other way (X, Escape, overlay, after sending)
+      steps back past its entry, so Back doesn't have to be pressed
+      again for a modal that's already gone
+*/
+
+// True while Back/Forward is opening or closing modals - those changes
+// are already in the history, so showModal/hideModal mustn't add any
+let restoringModalHistory = false;
+
+// True from when we call history.go() until its popstate arrives
+let modalHistoryCleanupPending = false;
+
+// How many modals deep the current history entry is
+function getHistoryDepth() {
+    return (history.state && history.state.depth) || 0;
+}
+
+// The deepest history entry an open modal still needs
+function getOpenModalDepth() {
+    return modalStack.reduce((depth, entry) => Math.max(depth, entry.historyDepth), 0);
+}
+
+/**
+ * Add a history entry for a modal that's opening
+ * ===============================================
+ * @param {string} overlayId - ID of the .modal-overlay element
+ * @returns {number} - The entry's depth
+ *
+ * If the current entry belongs to a modal that has just closed (the
+ * admin login, right before the messages open), it's reused instead of
+ * stacking up a second entry.
+ */
+function pushModalHistory(overlayId) {
+    const route = Object.keys(modalRoutes).find(hash => modalRoutes[hash].modal === overlayId);
+    const url = route || window.location.href;
+
+    if (getHistoryDepth() > getOpenModalDepth()) {
+        const depth = getHistoryDepth();
+        history.replaceState({ modal: overlayId, depth }, '', url);
+        return depth;
+    }
+
+    const depth = getHistoryDepth() + 1;
+    history.pushState({ modal: overlayId, depth }, '', url);
+    return depth;
+}
+
+/**
+ * Step back past the entries of closed modals
+ * ============================================
+ * Waits a moment, so closing several modals at once (locking the admin
+ * view) - or closing one and opening another - is handled in one go.
+ */
+function scheduleModalHistoryCleanup() {
+    if (modalHistoryCleanupPending) {
+        return;
+    }
+    modalHistoryCleanupPending = true;
+
+    setTimeout(() => {
+        const steps = getHistoryDepth() - getOpenModalDepth();
+        if (steps > 0) {
+            history.go(-steps);   // handleModalHistory() clears the flag
+        } else {
+            modalHistoryCleanupPending = false;
+        }
+    }, 0);
+}
+
+/**
+ * Bring the modals in line with the history entry
+ * ================================================
+ * @param {object|null} state - history.state of the entry we landed on
+ * @returns {boolean} - true if this popstate was about modals (then
+ *                      the page shouldn't scroll anywhere)
+ */
+function handleModalHistory(state) {
+    // Our own cleanup from scheduleModalHistoryCleanup() - nothing to do
+    if (modalHistoryCleanupPending) {
+        modalHistoryCleanupPending = false;
+        return true;
+    }
+
+    const depth = (state && state.depth) || 0;
+    const route = modalRoutes[window.location.hash];
+    let changed = false;
+
+    restoringModalHistory = true;
+
+    // Back: close every modal deeper than this entry, top first
+    modalStack.slice().reverse()
+        .filter(entry => entry.historyDepth > depth)
+        .forEach(entry => {
+            modalCloseHandlers[entry.overlay.id]();
+            changed = true;
+        });
+
+    // Forward onto a modal route: open it again. (Other modals, like the
+    // admin ones, stay closed - they may need the passphrase first.)
+    if (state && route && route.modal === state.modal && !isModalOpen(state.modal)) {
+        route.open();
+        changed = true;
+    }
+
+    restoringModalHistory = false;
+    return changed;
+}
+
+/**
+ * Listen for Escape and Tab
+ * ==========================
+ * One keyboard listener for every modal: Escape closes the top one,
+ * Tab stays inside it.
+ */
+function initModals() {
+    document.addEventListener('keydown', function(e) {
+        const top = getTopModal();
+        if (!top) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            modalCloseHandlers[top.overlay.id]();
+        } else if (e.key === 'Tab') {
+            trapFocus(e, top.overlay);
+        }
+    });
+}
+
+export {
+    registerModal,
+    getModalRoute,
+    isModalOpen,
+    showModal,
+    hideModal,
+    handleModalHistory,
+    initModals
+};
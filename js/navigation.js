@@ -0,0 +1,199 @@
+/*
+ * ==========================================================================
+ * NAVIGATION.JS - Smooth Scrolling & Deep Links
+ * ==========================================================================
+ *
+ * Every place on the page has its own address (a "route") after the #:
+ *
+ *     #about, #skills, ...     a section
+ *     #experience/symbiosis    one role's card (the ids are in profile.json)
+ *     #contact/form            the contact form, already open
+ *
+ * Opening such a link (shared, bookmarked or typed in) goes straight
+ * there. Clicking a link on the page scrolls smoothly instead of jumping,
+ * and updates the address bar with history.pushState() - so the address
+ * can be copied at any time, and the Back button returns to where you
+ * were.
+ *
+ * This file doesn't know what's behind each route. Other modules tell it:
+ * - registerModal() in modal.js registers the routes that open a modal
+ *   (opening one adds a history entry, so Back closes it instead of
+ *   leaving the page - see "Modals & the Back Button" there)
+ * - registerRouteHandler() below handles routes with a detail part,
+ *   like timeline.js does for #experience/<role id>
+ *
+ * #admin is not a route - admin.js handles it, and removes it from the
+ * address bar before initNavigation() runs.
+ */
+
+import { getModalRoute, handleModalHistory } from './modal.js';
+import { closeMenu } from './menu.js';
+
+// Section id -> function that shows a route's detail part (see
+// registerRouteHandler)
+const routeHandlers = {};
+
+// A route whose target doesn't exist yet (experience cards are loaded
+// from profile.json) - shown by showPendingRoute() once it does
+let pendingRoute = null;
+
+/**
+ * Handle the detail part of a section's routes
+ * =============================================
+ * @param {string} section - e.g. 'experience'
+ * @param {function} show - Called with the detail ('symbiosis'); returns
+ *                          false if its target isn't on the page yet, so
+ *                          the route is kept for showPendingRoute()
+ */
+function registerRouteHandler(section, show) {
+    routeHandlers[section] = show;
+}
+
+/**
+ * Split a route into its parts
+ * =============================
+ * @param {string} hash - e.g. '#experience/symbiosis'
+ * @returns {object} - { section: 'experience', detail: 'symbiosis' }
+ */
+function parseRoute(hash) {
+    const [section, detail] = hash.replace(/^#/, '').split('/');
+    return {
+        section: decodeURIComponent(section || ''),
+        detail: detail ? decodeURIComponent(detail) : null
+    };
+}
+
+/**
+ * Go to whatever a route points at
+ * =================================
+ * @param {string} hash - A route ('' for the top of the page)
+ *
+ * Doesn't touch the history - navigateTo() and the Back/Forward buttons
+ * take care of that.
+ */
+function showRoute(hash) {
+    const modalRoute = getModalRoute(hash);
+    if (modalRoute) {
+        modalRoute.open();
+        return;
+    }
+
+    const { section, detail } = parseRoute(hash);
+
+    if (section === '') {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        return;
+    }
+
+    if (detail && routeHandlers[section]) {
+        if (routeHandlers[section](detail) === false) {
+            pendingRoute = hash;
+        }
+        return;
+    }
+
+    const target = document.getElementById(section);
+    if (target) {
+        target.scrollIntoView({
+            behavior: 'smooth',  // Smooth animation instead of instant jump
+            block: 'start'       // Align to the top of the viewport
+        });
+    }
+}
+
+/**
+ * Show a route that had to wait for its content
+ * ==============================================
+ * Called once the experience cards exist (see timeline.js).
+ */
+function showPendingRoute() {
+    if (pendingRoute && pendingRoute === window.location.hash) {
+        const hash = pendingRoute;
+        pendingRoute = null;
+        showRoute(hash);
+    }
+}
+
+/**
+ * Navigate to a route
+ * ====================
+ * @param {string} hash - e.g. '#skills' or '#experience/symbiosis'
+ *
+ * Adds a history entry (unless we're already there) and shows the
+ * route. Modal routes add their own entry when the modal opens.
+ */
+function navigateTo(hash) {
+    if (hash !== window.location.hash && !getModalRoute(hash)) {
+        history.pushState(null, '', hash);
+    }
+    showRoute(hash);
+}
+
+/**
+ * Show the route the page was opened with
+ * ========================================
+ * A modal route gets a history entry of its own (its section's address
+ * goes underneath), so Back closes the modal and leaves you on the page.
+ */
+function showInitialRoute() {
+    const hash = window.location.hash;
+    if (hash === '') {
+        return;
+    }
+
+    if (getModalRoute(hash)) {
+        const sectionHash = '#' + parseRoute(hash).section;
+        history.replaceState(null, '', sectionHash);
+        showRoute(sectionHash);
+    }
+    showRoute(hash);
+}
+
+/**
+ * Make in-page links scroll smoothly and follow the Back button
+ * ==============================================================
+ * Runs LAST in script.js: the initial route may need any other module
+ * (the contact modal, the experience timeline, ...).
+ */
+function initNavigation() {
+    // Get all links that start with "#" (internal page links)
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+
+        // Add a click event listener to each link
+        anchor.addEventListener('click', function(e) {
+            // Get the route (e.g., "#about" or "#contact/form")
+            const targetId = this.getAttribute('href');
+
+            // Skip if href is just "#" (not a valid section link)
+            if (targetId === '#' || targetId.length <= 1) {
+                return;  // Let the default behavior happen
+            }
+
+            // Prevent the default jump - navigateTo() scrolls smoothly instead
+            e.preventDefault();
+            navigateTo(targetId);
+
+            // Close mobile menu if it's open (for mobile users)
+            closeMenu();
+        });
+    });
+
+    // Back / Forward: close or reopen modals, or scroll to the route
+    window.addEventListener('popstate', function(e) {
+        if (handleModalHistory(e.state)) {
+            return;
+        }
+        showRoute(window.location.hash);
+    });
+
+    showInitialRoute();
+}
+
+export {
+    registerRouteHandler,
+    parseRoute,
+    showRoute,
+    showPendingRoute,
+    navigateTo,
+    initNavigation
+};
@@ -0,0 +1,368 @@
+/*
+ * ==========================================================================
+ * OUTBOX.JS - Offline Outbox: Queueing & Retrying Messages
+ * ==========================================================================
+ *
+ * If a message can't be delivered (the visitor is offline, or the
+ * transport fails), we don't want to throw away what they typed. Instead
+ * the message goes into an "outbox" in localStorage and is retried
+ * automatically.
+ *
+ * Each outbox entry is the normal formData object plus:
+ * - status:        'pending' (waiting for a retry) or 'failed' (gave up)
+ * - attempts:      how many times we've tried to send it
+ * - nextAttemptAt: timestamp (ms) of the next automatic retry
+ * - lastError:     the most recent error message, for display
+ *
+ * Once an entry is delivered it leaves the outbox and is saved with the
+ * other messages via saveMessageToStorage(), with status 'sent' - and
+ * any flags (read, starred, ...) the owner set while it waited.
+ *
+ * EXPONENTIAL BACKOFF:
+ * ====================
+ * After each failed attempt we wait twice as long as the last time:
+ * 5s, 10s, 20s, 40s, ... (capped at 5 minutes). This avoids hammering a
+ * server that is down. After maxAttempts failures the entry is marked
+ * 'failed' and waits for the user to press "Retry" in the messages modal.
+ *
+ * The 'online' event (fired when the browser regains a network
+ * connection) skips the wait and retries all pending entries right away.
+ *
+ * A page that can't send at all (todo.html doesn't load the EmailJS SDK)
+ * leaves the outbox alone - the entries wait for a page that can, and
+ * no attempts are used up.
+ *
+ * ONE TAB AT A TIME:
+ * ==================
+ * Every open tab of the site runs its own outbox timer, but they share
+ * one outbox - without care, two tabs would send the same message. So
+ * sending happens inside a lock (see withOutboxLock), and the queue is
+ * only read once the lock is ours.
+ */
+
+import { getFromStorage, setInStorage, removeFromStorage } from './storage.js';
+import { getContactTransport } from './transports.js';
+import { MESSAGE_FLAGS, saveMessageToStorage, whenMessagesSaved } from './messages.js';
+import { refreshMessagesListIfOpen } from './inbox.js';
+
+const OUTBOX_CONFIG = {
+    storageKey: 'outbox',
+    baseDelay: 5000,            // First retry after 5 seconds
+    maxDelay: 5 * 60 * 1000,    // Never wait more than 5 minutes
+    maxAttempts: 6,             // Then mark the entry 'failed'
+    lockName: 'kp-outbox',      // Shared by every tab (navigator.locks)
+    leaseKey: 'outboxLease',    // The fallback lock, in localStorage
+    leaseTime: 30 * 1000        // A tab that stops renewing its lease loses it
+};
+
+// Timer for the next scheduled retry, and a flag to avoid overlapping runs
+let outboxRetryTimer = null;
+let outboxProcessing = false;
+
+// Tells this tab's lease apart from the others'
+const outboxTabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Get all outbox entries from localStorage
+ * ==========================================
+ * @returns {array} - Array of outbox entries
+ */
+function getOutbox() {
+    return getFromStorage(OUTBOX_CONFIG.storageKey, []);
+}
+
+/**
+ * Save the outbox back to localStorage
+ * =====================================
+ * @param {array} entries - Array of outbox entries
+ */
+function saveOutbox(entries) {
+    setInStorage(OUTBOX_CONFIG.storageKey, entries);
+}
+
+/**
+ * Add an undelivered message to the outbox
+ * =========================================
+ * @param {object} formData - The message that couldn't be sent
+ * @param {Error} [error] - Why it failed (omitted when we're offline)
+ */
+function queueMessage(formData, error) {
+    const entries = getOutbox();
+
+    entries.unshift({
+        ...formData,
+        status: 'pending',
+        attempts: error ? 1 : 0,
+        nextAttemptAt: Date.now() + (error ? getRetryDelay(1) : 0),
+        lastError: error ? error.message : 'Offline'
+    });
+
+    saveOutbox(entries);
+    scheduleOutboxRetry();
+}
+
+/**
+ * Calculate the backoff delay before the next attempt
+ * ====================================================
+ * @param {number} attempts - How many attempts have failed so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    return Math.min(OUTBOX_CONFIG.baseDelay * Math.pow(2, attempts - 1), OUTBOX_CONFIG.maxDelay);
+}
+
+/**
+ * Strip the outbox bookkeeping fields, leaving the original formData
+ * ===================================================================
+ * @param {object} entry - An outbox entry
+ * @returns {object} - { id, name, email, phone, subject, message, date }
+ */
+function outboxEntryToFormData(entry) {
+    return {
+        id: entry.id,
+        name: entry.name,
+        email: entry.email,
+        phone: entry.phone || '',
+        subject: entry.subject,
+        message: entry.message,
+        date: entry.date
+    };
+}
+
+/**
+ * The state flags set on an outbox entry
+ * =======================================
+ * @param {object} entry - An outbox entry
+ * @returns {object} - e.g. { starred: true } - only the flags it has
+ */
+function outboxEntryFlags(entry) {
+    const flags = {};
+    MESSAGE_FLAGS.filter(flag => flag in entry).forEach(flag => {
+        flags[flag] = entry[flag];
+    });
+    return flags;
+}
+
+/**
+ * Update a single outbox entry in storage
+ * ========================================
+ * @param {number} id - The message ID
+ * @param {object} changes - Properties to merge into the entry
+ */
+function updateOutboxEntry(id, changes) {
+    saveOutbox(getOutbox().map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+}
+
+/*
+    Locking the Outbox
+    ==================
+    navigator.locks gives us a lock that every tab of the site shares:
+    while one tab holds 'kp-outbox', another tab's request simply waits.
+    When it gets its turn it reads the outbox afresh - so whatever the
+    first tab delivered is already gone.
+
+    Older browsers don't have navigator.locks. There we fall back to a
+    "lease" in localStorage: { owner, expiresAt }. A tab may send while
+    the lease is its own or has run out, and renews it before each
+    message. A tab that is closed mid-send never releases its lease, so
+    the expiry time is what lets the others carry on. (Two tabs taking
+    the lease in the very same moment can still both send - the lease
+    makes that unlikely, navigator.locks makes it impossible.)
+*/
+
+/**
+ * Get the fallback lease, if another tab holds it
+ * ================================================
+ * @returns {object|null} - { owner, expiresAt }, or null if it's free
+ *                          or ours
+ */
+function getOthersOutboxLease() {
+    const lease = getFromStorage(OUTBOX_CONFIG.leaseKey);
+    if (!lease || typeof lease.expiresAt !== 'number' || lease.owner === outboxTabId) {
+        return null;
+    }
+    return lease.expiresAt > Date.now() ? lease : null;
+}
+
+/**
+ * Take (or extend) the fallback lease for this tab
+ * =================================================
+ */
+function renewOutboxLease() {
+    setInStorage(OUTBOX_CONFIG.leaseKey, { owner: outboxTabId, expiresAt: Date.now() + OUTBOX_CONFIG.leaseTime });
+}
+
+/**
+ * Give the fallback lease back (only if it's still ours)
+ * =======================================================
+ */
+function releaseOutboxLease() {
+    const lease = getFromStorage(OUTBOX_CONFIG.leaseKey);
+    if (lease && lease.owner === outboxTabId) {
+        removeFromStorage(OUTBOX_CONFIG.leaseKey);
+    }
+}
+
+/**
+ * Run some work while no other tab can touch the outbox
+ * ======================================================
+ * @param {function} work - Returns a Promise
+ * @returns {Promise} - Resolves when the work is done, or straight away
+ *                      if another tab holds the fallback lease
+ */
+function withOutboxLock(work) {
+    if (navigator.locks) {
+        return navigator.locks.request(OUTBOX_CONFIG.lockName, () => work());
+    }
+
+    if (getOthersOutboxLease()) {
+        // Another tab is sending - scheduleOutboxRetry() waits for its lease
+        return Promise.resolve();
+    }
+    renewOutboxLease();
+    return work().finally(releaseOutboxLease);
+}
+
+/**
+ * Send the entries that are due, one at a time
+ * =============================================
+ * Only called with the outbox locked (see processOutbox).
+ * @returns {Promise}
+ */
+function sendDueOutboxEntries() {
+    // Read the outbox now, not before we had the lock
+    const due = getOutbox().filter(entry =>
+        entry.status === 'pending' && entry.nextAttemptAt <= Date.now()
+    );
+
+    // Chain the sends so they happen one after another
+    return due.reduce((chain, entry) => chain.then(() => {
+        // Deleted (or sent by another tab) while we were busy with the others?
+        if (!getOutbox().some(item => item.id === entry.id && item.status === 'pending')) {
+            return;
+        }
+        if (!navigator.locks) {
+            renewOutboxLease();
+        }
+
+        return getContactTransport().send(outboxEntryToFormData(entry))
+            .then(() => {
+                // Delivered - move it from the outbox to the saved messages.
+                // The flags are read again: they may have changed while sending
+                const latest = getOutbox().find(item => item.id === entry.id) || entry;
+                saveOutbox(getOutbox().filter(item => item.id !== entry.id));
+                saveMessageToStorage({
+                    ...outboxEntryToFormData(entry),
+                    ...outboxEntryFlags(latest),
+                    status: 'sent',
+                    sentAt: new Date().toISOString()
+                });
+            })
+            .catch(error => {
+                console.error('Outbox retry failed:', error);
+
+                const attempts = (entry.attempts || 0) + 1;
+                // Field errors mean the message itself is invalid - retrying won't help
+                const giveUp = attempts >= OUTBOX_CONFIG.maxAttempts || Boolean(error.fieldErrors);
+
+                updateOutboxEntry(entry.id, {
+                    status: giveUp ? 'failed' : 'pending',
+                    attempts,
+                    nextAttemptAt: Date.now() + getRetryDelay(attempts),
+                    lastError: error.message
+                });
+            });
+    }), Promise.resolve())
+    // Wait for the delivered messages to be saved (they're encrypted first)
+    .then(() => whenMessagesSaved());
+}
+
+/**
+ * Try to send every pending outbox entry that is due
+ * ====================================================
+ * Entries are sent one at a time. Each success moves the entry into the
+ * saved messages; each failure pushes its next attempt further out.
+ */
+function processOutbox() {
+    // Already running, or no point trying while offline
+    if (outboxProcessing || !navigator.onLine) {
+        return Promise.resolve();
+    }
+
+    // Nothing on this page can deliver them - don't count it as an attempt
+    if (!getContactTransport().isReady()) {
+        return Promise.resolve();
+    }
+
+    outboxProcessing = true;
+
+    return withOutboxLock(sendDueOutboxEntries)
+        .catch(error => console.error('Outbox processing failed:', error))
+        .finally(() => {
+            outboxProcessing = false;
+            refreshMessagesListIfOpen();
+            scheduleOutboxRetry();
+        });
+}
+
+/**
+ * Set a timer for the next pending entry that is due
+ * ===================================================
+ * Only one timer exists at a time - it's replaced on every call.
+ * While another tab holds the fallback lease, we wait until it runs out.
+ */
+function scheduleOutboxRetry() {
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = null;
+
+    const pending = getOutbox().filter(entry => entry.status === 'pending');
+    if (pending.length === 0) {
+        return;
+    }
+
+    const lease = navigator.locks ? null : getOthersOutboxLease();
+    const nextAt = Math.max(Math.min(...pending.map(entry => entry.nextAttemptAt)), lease ? lease.expiresAt : 0);
+    outboxRetryTimer = setTimeout(processOutbox, Math.max(nextAt - Date.now(), 0));
+}
+
+/**
+ * Manually retry one outbox entry
+ * ================================
+ * Called from the "Retry" button on a failed message card.
+ * @param {number} messageId - The ID of the entry to retry
+ */
+function retryOutboxMessage(messageId) {
+    updateOutboxEntry(messageId, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+    refreshMessagesListIfOpen();
+    processOutbox();
+}
+
+/**
+ * Start delivering the outbox
+ * ============================
+ * The outbox is shared by every page of the site, so a message queued
+ * on one page can still be delivered from another.
+ */
+function initOutbox() {
+    // Back online - retry everything that's pending right away (skip the backoff wait)
+    window.addEventListener('online', () => {
+        saveOutbox(getOutbox().map(entry => (
+            entry.status === 'pending' ? { ...entry, nextAttemptAt: Date.now() } : entry
+        )));
+        processOutbox();
+    });
+
+    // Pick up anything left in the outbox from a previous visit
+    processOutbox();
+}
+
+export {
+    getOutbox,
+    saveOutbox,
+    queueMessage,
+    updateOutboxEntry,
+    processOutbox,
+    scheduleOutboxRetry,
+    retryOutboxMessage,
+    initOutbox
+};
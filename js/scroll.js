@@ -0,0 +1,505 @@
+/*
+ * ==========================================================================
+ * SCROLL.JS - Scroll Animations, Scroll-Spy & the Scroll Pipeline
+ * ==========================================================================
+ *
+ * Everything that reacts to scrolling:
+ *
+ * 1. Scroll animations - elements fade in as they scroll into view
+ * 2. Scroll-spy - the menu entry for the part being read is highlighted
+ * 3. The scroll pipeline - navbar shadow, reading progress and the
+ *    scroll-to-top button, updated at most once per frame
+ *
+ * initScrollEffects() starts whichever of these the page has the
+ * elements for. timeline.js reuses observeAnimations() and
+ * createScrollSpy() for the experience cards it builds.
+ */
+
+
+/* ==========================================================================
+   1. SCROLL ANIMATIONS (Intersection Observer)
+   ==========================================================================
+
+   What is Intersection Observer?
+   ==============================
+   The Intersection Observer API provides a way to asynchronously observe
+   changes in the intersection of a target element with an ancestor element
+   or with the document's viewport.
+
+   In simpler terms: It tells you when an element becomes visible on screen.
+
+   Why use it instead of scroll events?
+   ====================================
+   Traditional approach (scroll events):
+     window.addEventListener('scroll', () => {
+         // This runs on EVERY pixel scrolled - very inefficient!
+         // Checking element positions here can cause "jank" (stuttering)
+     });
+
+   Intersection Observer advantages:
+   - Runs asynchronously (doesn't block the main thread)
+   - Browser optimizes when callbacks fire (not every pixel)
+   - More accurate - you specify exactly when to trigger
+   - Better for battery life on mobile devices
+
+   How it works:
+   =============
+   1. Create an observer with options (when to trigger)
+   2. Define a callback function (what to do when triggered)
+   3. Tell the observer which elements to watch
+   4. When elements enter/exit the viewport, the callback fires
+
+   The callback receives "entries" - an array of observed elements
+   that have changed their intersection state.
+*/
+
+// Configuration options for the observer
+const observerOptions = {
+    /*
+        threshold: What percentage of the element must be visible to trigger
+        =====================================================================
+        - 0 = Trigger as soon as even 1 pixel is visible
+        - 0.1 = Trigger when 10% is visible (our choice - good for fade-ins)
+        - 0.5 = Trigger when half the element is visible
+        - 1 = Trigger only when 100% of element is visible
+
+        You can also pass an array: [0, 0.25, 0.5, 0.75, 1]
+        This would fire the callback at each of those thresholds.
+    */
+    threshold: 0.15,
+
+    /*
+        rootMargin: Adjust the "detection zone" of the viewport
+        =======================================================
+        Format: 'top right bottom left' (like CSS margin)
+
+        '0px 0px -80px 0px' means:
+        - The detection zone is shrunk by 80px from the bottom
+        - Elements trigger BEFORE they fully enter the viewport
+        - This creates a more natural "anticipation" effect
+
+        Positive values expand the zone (trigger earlier)
+        Negative values shrink the zone (trigger later)
+    */
+    rootMargin: '0px 0px -80px 0px'
+};
+
+/*
+    Create the Intersection Observer
+    =================================
+    The constructor takes two arguments:
+    1. Callback function - runs when intersection changes
+    2. Options object - configures when to trigger
+
+    One observer watches every animated element. It's created the first
+    time observeAnimations() runs, so just importing this file doesn't
+    need a browser.
+*/
+let animationObserver = null;
+
+function createAnimationObserver() {
+    return new IntersectionObserver((entries, observerInstance) => {
+        /*
+            The callback receives:
+            - entries: Array of IntersectionObserverEntry objects
+            - observerInstance: Reference to the observer itself
+
+            Each entry contains:
+            - entry.target: The DOM element being observed
+            - entry.isIntersecting: Boolean - is it currently visible?
+            - entry.intersectionRatio: How much is visible (0 to 1)
+            - entry.boundingClientRect: Element's position/size
+            - entry.intersectionRect: The visible portion's position/size
+        */
+
+        // Loop through all elements that changed intersection state
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                /*
+                    Element is entering the viewport (scrolling into view)
+                    ======================================================
+                    Add the 'visible' class to trigger the fade-in animation.
+                    The CSS transition handles the actual animation.
+                */
+                entry.target.classList.add('visible');
+            } else {
+                /*
+                    Element is leaving the viewport (scrolling out of view)
+                    =======================================================
+                    Remove the 'visible' class to reset the element.
+                    This allows the animation to play again when scrolling back.
+
+                    The element returns to its initial state:
+                    - opacity: 0 (invisible)
+                    - transform: translateY(40px) (shifted down)
+
+                    When it comes back into view, it will animate in again.
+                */
+                entry.target.classList.remove('visible');
+            }
+
+            /*
+                Note: We're NOT using observerInstance.unobserve() here
+                =======================================================
+                If we stopped observing after the first animation, elements
+                would only animate once. By continuing to observe, we can
+                detect when elements leave AND re-enter the viewport.
+
+                This creates a "repeating" animation effect - elements animate
+                every time they scroll into view, whether going up or down.
+
+                Trade-off: This uses slightly more resources than one-time
+                animations, but the effect is minimal for a reasonable number
+                of animated elements (under 50 or so).
+            */
+        });
+    }, observerOptions);
+}
+
+/*
+    Start observing all elements with 'animate-on-scroll' class
+    ============================================================
+    querySelectorAll returns a NodeList (array-like) of matching elements.
+    forEach loops through each one and tells the observer to watch it.
+
+    In the HTML, elements look like:
+    <div class="skill-category animate-on-scroll">...</div>
+
+    The CSS makes them start invisible:
+    .animate-on-scroll { opacity: 0; transform: translateY(40px); }
+
+    When visible class is added, they animate in:
+    .animate-on-scroll.visible { opacity: 1; transform: translateY(0); }
+*/
+
+/**
+ * Animate elements as they scroll into view
+ * ==========================================
+ * @param {Element|Document} [root] - Only look inside this element
+ *
+ * Also used for elements added later (the experience cards - they
+ * don't exist yet when the page loads).
+ */
+function observeAnimations(root = document) {
+    const elements = root.querySelectorAll('.animate-on-scroll');
+    if (elements.length === 0) {
+        return;
+    }
+
+    if (!animationObserver) {
+        animationObserver = createAnimationObserver();
+    }
+    elements.forEach(element => {
+        animationObserver.observe(element);
+    });
+}
+
+
+/* ==========================================================================
+   2. SCROLL-SPY - Which Part of the Page Is Being Read?
+   ==========================================================================
+   A "scroll-spy" highlights the menu entry for whatever the reader is
+   looking at. It's the same Intersection Observer idea as above, with
+   one twist: instead of "is it visible at all?" we ask "is it inside
+   a narrow band near the top of the screen?" (see the rootMargin
+   diagram in timeline.js). Only one thing can be in that band at a
+   time, so exactly one entry is highlighted.
+
+   Two menus use it:
+   - The main navigation (#navLinks - also the mobile menu), below
+   - The experience timeline (timeline.js)
+*/
+
+/**
+ * Watch elements and report which one is being read
+ * ==================================================
+ * @param {Element[]} targets - The elements to watch (e.g. sections)
+ * @param {object} options
+ * @param {function} options.onChange - Called with the active element,
+ *                                      or null when none is in the band
+ * @param {string} [options.rootMargin] - The detection band
+ * @returns {IntersectionObserver} - So the caller can disconnect() it
+ *
+ * The element that entered the band most recently wins. If it leaves
+ * while another one is still inside, that one becomes active again.
+ */
+function createScrollSpy(targets, { onChange, rootMargin = '-30% 0px -60% 0px' }) {
+    // Elements currently inside the band, in the order they entered
+    let inBand = [];
+    let active = null;
+
+    const spy = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            inBand = inBand.filter(target => target !== entry.target);
+            if (entry.isIntersecting) {
+                inBand.push(entry.target);
+            }
+        });
+
+        const next = inBand.length > 0 ? inBand[inBand.length - 1] : null;
+        if (next !== active) {
+            active = next;
+            onChange(active);
+        }
+    }, { threshold: 0, rootMargin });
+
+    targets.forEach(target => spy.observe(target));
+    return spy;
+}
+
+/**
+ * Highlight one item of a menu
+ * =============================
+ * @param {NodeList|Element[]} items - All the menu's items
+ * @param {Element|null} activeItem - The one to highlight (null = none)
+ * @param {string} current - aria-current value, e.g. 'location'
+ *
+ * The 'active' class is for the eye; aria-current tells screen readers
+ * which entry is the current one.
+ */
+function setActiveItem(items, activeItem, current) {
+    items.forEach(item => {
+        const isActive = item === activeItem;
+        item.classList.toggle('active', isActive);
+        if (isActive) {
+            item.setAttribute('aria-current', current);
+        } else {
+            item.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Highlight the main navigation link of the section being read
+ * =============================================================
+ * Each #navLinks link points at a section (href="#about" -> <section
+ * id="about">), so the links tell us which sections to watch. In the
+ * hero (above #about) nothing is highlighted.
+ */
+function initNavScrollSpy() {
+    const navSectionLinks = Array.from(document.querySelectorAll('#navLinks a[href^="#"]'))
+        .filter(link => document.getElementById(link.getAttribute('href').slice(1)));
+
+    if (navSectionLinks.length === 0) {
+        return;
+    }
+
+    createScrollSpy(
+        navSectionLinks.map(link => document.getElementById(link.getAttribute('href').slice(1))),
+        {
+            onChange(section) {
+                const activeLink = section
+                    ? navSectionLinks.find(link => link.getAttribute('href') === `#${section.id}`)
+                    : null;
+                setActiveItem(navSectionLinks, activeLink, 'location');
+            }
+        }
+    );
+}
+
+
+/* ==========================================================================
+   3. SCROLL PIPELINE - Navbar Shadow, Reading Progress & Scroll-to-Top
+   ==========================================================================
+
+   Several features react to scrolling:
+   1. Navbar shadow - gets stronger once you scroll down
+   2. Reading progress - a thin bar under the navbar that fills up as
+      you read down the page
+   3. Scroll-to-top button - appears after scrolling down 300px
+
+   Instead of each one adding its own scroll listener, they all
+   SUBSCRIBE to one small scheduler (onScrollFrame, below).
+
+   Why a scheduler?
+   ================
+   Scroll events can fire many times per screen refresh - dozens per
+   second on a fast trackpad. Doing work on every one of them is wasted
+   effort, and on low-end phones it makes scrolling stutter ("jank").
+
+   The scheduler fixes that in three ways:
+   - Throttling: however many scroll events arrive, the subscribers run
+     at most ONCE per frame, in requestAnimationFrame() - right before
+     the browser paints
+   - Batching reads and writes: the scroll position and page size are
+     measured once, THEN every subscriber updates the page. Mixing
+     reads and writes (read, write, read, write, ...) forces the browser
+     to recalculate the layout after every write ("layout thrashing")
+   - Passive listeners: { passive: true } promises the browser we'll
+     never call preventDefault(), so it can scroll right away instead
+     of waiting for our JavaScript to finish
+
+   Subscribers only toggle classes (or set a CSS variable) - the looks
+   stay in styles.css, where they belong.
+*/
+
+/*
+    The Scheduler
+    =============
+*/
+const scrollSubscribers = [];
+let scrollFrameRequested = false;
+
+/**
+ * Run a function on every scroll or resize - at most once per frame
+ * ==================================================================
+ * @param {function} subscriber - Called with { scrollY, viewportHeight,
+ *                                pageHeight }, measured once per frame.
+ *                                It should only WRITE to the page.
+ *
+ * The subscriber also runs right away, so the page starts out in the
+ * right state (e.g. when reloading halfway down the page).
+ */
+function onScrollFrame(subscriber) {
+    scrollSubscribers.push(subscriber);
+    subscriber(measureScroll());
+}
+
+/**
+ * Ask for the subscribers to run before the next paint
+ * =====================================================
+ * Any number of calls in the same frame add up to ONE run. Also
+ * useful when the page height changes without a scroll or resize
+ * (e.g. when the experience timeline arrives - see timeline.js).
+ */
+function requestScrollFrame() {
+    if (scrollFrameRequested) {
+        return;
+    }
+    scrollFrameRequested = true;
+
+    requestAnimationFrame(() => {
+        scrollFrameRequested = false;
+
+        // Read phase: measure everything once...
+        const measurements = measureScroll();
+
+        // ...write phase: then let every subscriber update the page
+        scrollSubscribers.forEach(subscriber => subscriber(measurements));
+    });
+}
+
+// Everything the subscribers need to know, in one read
+function measureScroll() {
+    return {
+        scrollY: window.scrollY,
+        viewportHeight: window.innerHeight,
+        pageHeight: document.documentElement.scrollHeight
+    };
+}
+
+/**
+ * Start the scroll pipeline
+ * ==========================
+ * Each subscriber is only added when its element is on the page.
+ */
+function initScrollPipeline() {
+    // Get references to elements we'll be manipulating
+    const nav = document.querySelector('nav');
+    const scrollToTopBtn = document.getElementById('scrollToTop');
+    const readingProgressBar = document.getElementById('readingProgressBar');
+
+    window.addEventListener('scroll', requestScrollFrame, { passive: true });
+    window.addEventListener('resize', requestScrollFrame, { passive: true });
+
+    /*
+        Navbar Shadow Effect
+        ====================
+        When user scrolls past 100px, the 'scrolled' class gives the navbar
+        a more prominent shadow to make it stand out from the content.
+    */
+    if (nav) {
+        onScrollFrame(({ scrollY }) => {
+            nav.classList.toggle('scrolled', scrollY > 100);
+        });
+    }
+
+    /*
+        Scroll-to-Top Button Visibility
+        ================================
+        Show the button after user scrolls down 300px.
+        This prevents it from appearing immediately on page load.
+
+        The CSS handles the actual show/hide animation:
+        - .scroll-to-top { opacity: 0; visibility: hidden; }
+        - .scroll-to-top.visible { opacity: 1; visibility: visible; }
+    */
+    if (scrollToTopBtn) {
+        onScrollFrame(({ scrollY }) => {
+            scrollToTopBtn.classList.toggle('visible', scrollY > 300);
+        });
+
+        /*
+            Scroll to Top Function
+            ======================
+            Smoothly scrolls the page back to the top when the button is clicked.
+
+            window.scrollTo() options:
+            - top: 0 = scroll to the very top (0 pixels from top)
+            - behavior: 'smooth' = animate the scroll instead of jumping
+        */
+        scrollToTopBtn.addEventListener('click', () => {
+            window.scrollTo({
+                top: 0,
+                behavior: 'smooth'
+            });
+        });
+    }
+
+    /*
+        Reading Progress
+        ================
+        Progress is how far we've scrolled out of how far we CAN scroll
+        (the page height minus one screen): 0 at the top, 1 at the bottom.
+
+        It's handed to CSS as the --progress variable, and styles.css turns
+        it into transform: scaleX() rather than a width - transforms don't
+        make the browser recalculate the page layout, so they stay smooth
+        while scrolling.
+    */
+    if (readingProgressBar) {
+        onScrollFrame(({ scrollY, viewportHeight, pageHeight }) => {
+            const scrollable = pageHeight - viewportHeight;
+            const progress = scrollable > 0 ? Math.min(scrollY / scrollable, 1) : 0;
+            readingProgressBar.style.setProperty('--progress', progress.toFixed(4));
+        });
+    }
+}
+
+/*
+    Alternative: scrollIntoView approach
+    ====================================
+    Another way to scroll to top is to scroll to a specific element:
+
+    document.body.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    Or if you have an element at the top:
+    document.getElementById('hero').scrollIntoView({ behavior: 'smooth' });
+
+    window.scrollTo() is simpler when you just want to go to the top.
+*/
+
+
+/* ==========================================================================
+   STARTING EVERYTHING
+   ========================================================================== */
+
+/**
+ * Start the scroll animations, the main menu's scroll-spy and the
+ * scroll pipeline
+ * ================================================================
+ */
+function initScrollEffects() {
+    observeAnimations();
+    initNavScrollSpy();
+    initScrollPipeline();
+}
+
+export {
+    observeAnimations,
+    createScrollSpy,
+    setActiveItem,
+    onScrollFrame,
+    requestScrollFrame,
+    initScrollEffects
+};
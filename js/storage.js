@@ -0,0 +1,375 @@
+/*
+ * ==========================================================================
+ * STORAGE.JS - Safe, Versioned localStorage
+ * ==========================================================================
+ *
+ * Every piece of saved data (messages, drafts, theme, ...) goes through
+ * the functions in this file instead of calling localStorage directly.
+ * That gives us one place to deal with everything that can go wrong:
+ *
+ * 1. Namespaced keys - everything is stored as "kp:<name>", so our data
+ *    can't clash with other scripts on the same domain
+ * 2. Schema version - "kp:schemaVersion" records which layout the saved
+ *    data uses; migrations upgrade older layouts, in order
+ * 3. Corrupted data - a value that isn't valid JSON, or isn't the type
+ *    its key should hold (STORAGE_TYPES), is moved aside ("quarantined")
+ *    instead of crashing the page
+ * 4. Storage full - writes that exceed the quota are kept in memory for
+ *    this visit, and a warning is shown
+ * 5. Storage disabled - some private browsing modes block localStorage
+ *    entirely; then everything lives in memory until the tab closes
+ * 6. Other tabs - onStorageChange() reports changes made by another tab
+ *    of the site, so every open tab can stay up to date
+ *
+ * Like validation.js, this file doesn't touch the DOM: problems are
+ * reported to whoever registered with onStorageWarning() (js/toast.js
+ * shows them as a toast). script.js calls initStorage() before any
+ * other module reads saved data.
+ */
+
+const STORAGE_CONFIG = {
+    namespace: 'kp',
+    schemaVersion: 1
+};
+
+// The type each saved value must have. Valid JSON of the wrong type (say,
+// "messages" that aren't a list) would crash the code that reads it, so
+// it's quarantined just like damaged JSON. Names not listed aren't checked.
+const STORAGE_TYPES = {
+    schemaVersion: 'number',
+    messages: 'array',
+    trash: 'array',
+    outbox: 'array',
+    submissions: 'array',
+    tasks: 'array',
+    draft: 'object',
+    keyring: 'object',
+    outboxLease: 'object',
+    taskWipLimits: 'object',
+    theme: 'string',
+    language: 'string',
+    taskView: 'string'
+};
+
+
+/* ==========================================================================
+   BACKEND - localStorage, or memory when it isn't available
+   ========================================================================== */
+
+/**
+ * Check whether localStorage actually works
+ * ==========================================
+ * Just reading `window.localStorage` can throw (e.g. when cookies are
+ * blocked), and in some browsers it exists but every write fails.
+ * The only reliable test is to try it.
+ */
+function isLocalStorageAvailable() {
+    try {
+        const testKey = `${STORAGE_CONFIG.namespace}:__test__`;
+        window.localStorage.setItem(testKey, '1');
+        window.localStorage.removeItem(testKey);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const storageAvailable = isLocalStorageAvailable();
+
+// Values that live in memory only: everything when localStorage is
+// unavailable, otherwise just the writes that didn't fit (quota)
+const memoryStore = new Map();
+
+// Problems waiting for someone to listen (see onStorageWarning)
+const storageWarningListeners = [];
+const pendingStorageWarnings = [];
+
+if (!storageAvailable) {
+    console.info('localStorage is unavailable - saved data will only last until this tab is closed.');
+}
+
+/**
+ * Report a problem to the page
+ * =============================
+ * @param {string} type - 'quota' or 'corrupt'
+ * @param {string} message - Human-readable explanation
+ */
+function emitStorageWarning(type, message) {
+    const warning = { type, message };
+    console.warn(`Storage ${type}:`, message);
+
+    if (storageWarningListeners.length === 0) {
+        // Nobody listening yet (e.g. during migrations) - keep it for later
+        pendingStorageWarnings.push(warning);
+        return;
+    }
+    storageWarningListeners.forEach(listener => listener(warning));
+}
+
+/**
+ * Get told about storage problems
+ * ================================
+ * @param {function} listener - Called with { type, message }
+ *
+ * Warnings raised before anyone was listening are delivered right away.
+ */
+function onStorageWarning(listener) {
+    storageWarningListeners.push(listener);
+    pendingStorageWarnings.splice(0).forEach(warning => listener(warning));
+}
+
+/**
+ * Full localStorage key for a name
+ * =================================
+ * @param {string} name - e.g. 'messages'
+ * @returns {string} - e.g. 'kp:messages'
+ */
+function storageKey(name) {
+    return `${STORAGE_CONFIG.namespace}:${name}`;
+}
+
+// Low-level string access (memory first, so quota fallbacks win)
+function readRaw(key) {
+    if (memoryStore.has(key)) {
+        return memoryStore.get(key);
+    }
+    return storageAvailable ? window.localStorage.getItem(key) : null;
+}
+
+function writeRaw(key, text) {
+    if (!storageAvailable) {
+        memoryStore.set(key, text);
+        return;
+    }
+    window.localStorage.setItem(key, text);  // May throw QuotaExceededError
+    memoryStore.delete(key);
+}
+
+function removeRaw(key) {
+    memoryStore.delete(key);
+    if (storageAvailable) {
+        window.localStorage.removeItem(key);
+    }
+}
+
+// Browsers name the "storage full" error differently
+function isQuotaError(error) {
+    return error && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 || error.code === 1014
+    );
+}
+
+
+/* ==========================================================================
+   PUBLIC FUNCTIONS
+   ========================================================================== */
+
+/**
+ * Move an unreadable value out of the way
+ * ========================================
+ * @param {string} name - The value's name (e.g. 'messages')
+ * @param {string} text - The raw text (not JSON, or the wrong type)
+ *
+ * The text is kept under "kp:quarantine:<name>:<time>" so it could still
+ * be recovered by hand, and the original key is freed for fresh data.
+ */
+function quarantineValue(name, text) {
+    const quarantineKey = storageKey(`quarantine:${name}:${Date.now()}`);
+    try {
+        writeRaw(quarantineKey, text);
+    } catch (error) {
+        // No room to keep a copy - dropping it is still better than crashing
+    }
+    removeRaw(storageKey(name));
+    emitStorageWarning('corrupt', `Some saved data (${name}) was damaged and has been set aside.`);
+}
+
+/**
+ * Does a value have the type its name should hold?
+ * =================================================
+ * @param {string} name - e.g. 'messages'
+ * @param {*} value - Parsed from JSON (not null)
+ * @returns {boolean} - true for names STORAGE_TYPES doesn't list
+ */
+function hasStorageType(name, value) {
+    const type = STORAGE_TYPES[name];
+    if (type === 'array') {
+        return Array.isArray(value);
+    }
+    if (type === 'object') {
+        return typeof value === 'object' && !Array.isArray(value);
+    }
+    return !type || typeof value === type;
+}
+
+/**
+ * Read a saved value
+ * ===================
+ * @param {string} name - e.g. 'messages'
+ * @param {*} fallback - Returned when nothing is saved (or it was damaged)
+ * @returns {*} - The parsed value
+ */
+function getFromStorage(name, fallback = null) {
+    const text = readRaw(storageKey(name));
+    if (text === null) {
+        return fallback;
+    }
+
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        quarantineValue(name, text);
+        return fallback;
+    }
+
+    if (value === null) {
+        return fallback;
+    }
+    if (!hasStorageType(name, value)) {
+        quarantineValue(name, text);
+        return fallback;
+    }
+    return value;
+}
+
+/**
+ * Save a value
+ * =============
+ * @param {string} name - e.g. 'messages'
+ * @param {*} value - Anything JSON can represent
+ * @returns {boolean} - false if it only fit in memory (storage full)
+ */
+function setInStorage(name, value) {
+    const key = storageKey(name);
+    const text = JSON.stringify(value);
+
+    try {
+        writeRaw(key, text);
+        return true;
+    } catch (error) {
+        if (!isQuotaError(error)) {
+            throw error;
+        }
+        // Keep it for this visit at least, and tell the user
+        memoryStore.set(key, text);
+        emitStorageWarning('quota', 'Browser storage is full - recent changes will be lost when you leave this page. Try exporting or emptying the trash.');
+        return false;
+    }
+}
+
+/**
+ * Delete a saved value
+ * =====================
+ * @param {string} name - e.g. 'draft'
+ */
+function removeFromStorage(name) {
+    removeRaw(storageKey(name));
+}
+
+/**
+ * Get told when ANOTHER tab changes a saved value
+ * ================================================
+ * @param {string} name - e.g. 'theme'
+ * @param {function} listener - Called with the new value (null if removed)
+ *
+ * Browsers fire a 'storage' event in every OTHER tab of the same site
+ * whenever localStorage changes - never in the tab that made the change,
+ * which already knows about it. (Values kept only in memory can't be
+ * shared, so nothing happens when storage is disabled.)
+ */
+function onStorageChange(name, listener) {
+    if (!storageAvailable) {
+        return;
+    }
+
+    const key = storageKey(name);
+    window.addEventListener('storage', event => {
+        // event.key is null when the other tab cleared ALL of localStorage
+        if (event.storageArea !== window.localStorage || (event.key !== key && event.key !== null)) {
+            return;
+        }
+        // The other tab's value is newer than anything we kept in memory
+        memoryStore.delete(key);
+        listener(getFromStorage(name));
+    });
+}
+
+
+/* ==========================================================================
+   MIGRATIONS
+   ==========================================================================
+   Each migration upgrades saved data from the previous version to its
+   own. They run in order, once, when the page loads: a browser on
+   version 0 runs migration 1, then 2, and so on. After each one the new
+   version number is saved, so an interrupted upgrade resumes where it
+   stopped.
+
+   To change how something is stored: add a migration with the next
+   version number and bump STORAGE_CONFIG.schemaVersion. Never edit a
+   migration that has already shipped - browsers that ran it won't
+   run it again.
+*/
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move the old un-namespaced keys to kp:<name>',
+        migrate() {
+            const renames = {
+                contactMessages: 'messages',
+                contactTrash: 'trash',
+                contactOutbox: 'outbox',
+                contactDraft: 'draft',
+                contactSubmissions: 'submissions',
+                contactKeyring: 'keyring',
+                theme: 'theme'
+            };
+
+            Object.keys(renames).forEach(oldKey => {
+                const text = storageAvailable ? window.localStorage.getItem(oldKey) : null;
+                if (text === null) {
+                    return;
+                }
+                // The theme was saved as plain text ("dark"), everything else as JSON
+                writeRaw(storageKey(renames[oldKey]), oldKey === 'theme' ? JSON.stringify(text) : text);
+                window.localStorage.removeItem(oldKey);
+            });
+        }
+    }
+];
+
+/**
+ * Bring saved data up to the current schema version
+ * ==================================================
+ * A migration that throws stops the process (the version stays where
+ * it was, so it's retried next time) instead of breaking the page.
+ */
+function initStorage() {
+    let version = getFromStorage('schemaVersion', 0);
+
+    STORAGE_MIGRATIONS
+        .filter(migration => migration.version > version)
+        .sort((a, b) => a.version - b.version)
+        .every(migration => {
+            try {
+                migration.migrate();
+                version = migration.version;
+                setInStorage('schemaVersion', version);
+                return true;
+            } catch (error) {
+                console.error(`Storage migration ${migration.version} (${migration.description}) failed:`, error);
+                return false;
+            }
+        });
+}
+
+export {
+    initStorage,
+    getFromStorage,
+    setInStorage,
+    removeFromStorage,
+    onStorageChange,
+    onStorageWarning
+};
@@ -0,0 +1,432 @@
+/*
+ * ==========================================================================
+ * TASK-EXPORT.JS - Exporting & Importing Tasks (JSON and Calendar Files)
+ * ==========================================================================
+ *
+ * Turning the to-do list into files and back. Like message-export.js,
+ * nothing here touches the page - the buttons are wired up in todo.js -
+ * so these functions can be tried out under Node as well.
+ *
+ * 1. JSON - a backup of every task, which can be imported again
+ * 2. Calendar files (.ics) - the tasks with a due date, for any
+ *    calendar app (Google Calendar, Outlook, Apple Calendar, ...)
+ */
+
+import { TASK_STATUSES, TASK_PRIORITIES, TASK_ID_PATTERN, normalizeTask, getTasks, replaceTasks } from './todo.js';
+import { hasRoomIn, describeFullColumn } from './todo-board.js';
+
+const TASK_EXPORT_CONFIG = {
+    maxTextLength: 500,
+    icsProductId: '-//Kedar Phadke//To-Do List//EN',
+    icsUidDomain: 'kedarphadke.cloud'      // Makes each UID unique worldwide
+};
+
+
+/* ==========================================================================
+   1. JSON
+   ==========================================================================
+   An exported file looks like { exportedAt, tasks: [...] }, and an
+   import accepts that or a bare array of tasks.
+
+   Importing MERGES by id instead of replacing the list: a task whose id
+   is already here is updated with the file's version, a new id is added
+   at the end, and tasks that aren't in the file are left alone. So
+   importing the same file twice changes nothing the second time.
+
+   That only works if every record HAS an id - one without an id would
+   be added again on every import - so those are rejected.
+
+   Every record is checked first. Fields a task can do without (status,
+   priority, ...) may be missing - but when they ARE there they must
+   make sense, so a damaged file is reported instead of quietly "fixed".
+   The one thing we do fix is a record whose "status" and "completed"
+   disagree: the status wins, and the record is listed as adjusted.
+*/
+
+// The fields the user can change - only these count as an "update".
+// (completed always follows status, and createdAt never changes.)
+const TASK_EDITABLE_FIELDS = ['text', 'status', 'priority', 'dueDate'];
+
+/**
+ * Is this a real YYYY-MM-DD date?
+ * ================================
+ * @param {string} dateKey - e.g. '2026-10-18'
+ * @returns {boolean} - false for '2026-02-31' too
+ *
+ * Date.UTC() quietly rolls Feb 31 over to Mar 3 - so we turn the date
+ * back into text and check that it's still the same.
+ */
+function isRealDate(dateKey) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+        return false;
+    }
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10) === dateKey;
+}
+
+/**
+ * Check one imported record and convert it to a task
+ * ===================================================
+ * @param {*} record - One entry from the file
+ * @returns {object} - { task } if valid, or { error: 'reason' }
+ *                     ({ task, adjusted: 'reason' } if we changed it)
+ */
+function normalizeImportedTask(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { error: 'not a task object' };
+    }
+
+    const label = record.id != null ? `task ${record.id}` : 'task without an id';
+
+    // A number like 7 would pass the pattern (test() turns it into '7')
+    if (typeof record.id !== 'string' || !TASK_ID_PATTERN.test(record.id)) {
+        return { error: `${label}: ${record.id == null ? 'missing' : 'invalid'} id` };
+    }
+    if (typeof record.text !== 'string' || record.text.trim() === '') {
+        return { error: `${label}: missing text` };
+    }
+    if (record.text.length > TASK_EXPORT_CONFIG.maxTextLength) {
+        return { error: `${label}: text is longer than ${TASK_EXPORT_CONFIG.maxTextLength} characters` };
+    }
+    if (record.status != null && !TASK_STATUSES[record.status]) {
+        return { error: `${label}: unknown status "${record.status}"` };
+    }
+    if (record.priority != null && !TASK_PRIORITIES[record.priority]) {
+        return { error: `${label}: unknown priority "${record.priority}"` };
+    }
+    if (record.dueDate != null && record.dueDate !== '' && !isRealDate(record.dueDate)) {
+        return { error: `${label}: invalid due date "${record.dueDate}"` };
+    }
+    if (record.completed != null && typeof record.completed !== 'boolean') {
+        return { error: `${label}: "completed" must be true or false` };
+    }
+    if (record.createdAt != null && (typeof record.createdAt !== 'string' || isNaN(Date.parse(record.createdAt)))) {
+        return { error: `${label}: invalid createdAt "${record.createdAt}"` };
+    }
+
+    // Fills in whatever is missing (the default priority, ...)
+    const task = normalizeTask(record);
+
+    if (record.status != null && record.completed != null && record.completed !== task.completed) {
+        return {
+            task,
+            adjusted: `${label}: status "${record.status}" but completed is ${record.completed} - kept the status`
+        };
+    }
+    return { task };
+}
+
+/**
+ * Merge imported tasks into a list
+ * =================================
+ * @param {Array} current - The tasks we have
+ * @param {Array} imported - Checked tasks from a file
+ * @returns {object} - { tasks, added, updated, unchanged, repeated, full }
+ *
+ * Doesn't change `current` - it returns a new array. A task only counts
+ * as updated when one of TASK_EDITABLE_FIELDS differs, and it keeps
+ * the createdAt it already had here. The board's WIP limits apply just
+ * like when dragging: a task that would go into a full column is left
+ * out (and listed in `full`).
+ */
+function mergeTasks(current, imported) {
+    const merged = current.map(task => ({ ...task }));
+    const seen = new Set();
+    const result = { tasks: merged, added: 0, updated: 0, unchanged: 0, repeated: [], full: [] };
+    const refuse = task => result.full.push(`task ${task.id}: ${describeFullColumn(task.status)}`);
+
+    imported.forEach(task => {
+        if (seen.has(task.id)) {
+            result.repeated.push(`task ${task.id}: appears more than once in the file`);
+            return;
+        }
+        seen.add(task.id);
+
+        const index = merged.findIndex(existing => existing.id === task.id);
+        if (index === -1) {
+            if (!hasRoomIn(task.status, merged)) {
+                refuse(task);
+                return;
+            }
+            merged.push(task);
+            result.added++;
+            return;
+        }
+
+        const existing = merged[index];
+        if (TASK_EDITABLE_FIELDS.every(field => existing[field] === task[field])) {
+            result.unchanged++;
+        } else if (existing.status !== task.status && !hasRoomIn(task.status, merged)) {
+            refuse(task);
+        } else {
+            merged[index] = { ...task, createdAt: existing.createdAt };
+            result.updated++;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Import tasks from a JSON file's contents
+ * =========================================
+ * @param {string} text - File contents
+ * @returns {object} - { added, updated, unchanged, rejected: [reasons],
+ *                       adjusted: [reasons] }
+ *
+ * Throws when the file isn't JSON, or doesn't hold a list of tasks -
+ * then nothing is imported at all.
+ */
+function importTasks(text) {
+    const data = JSON.parse(text);
+
+    // Accept a bare array, or { tasks: [...] } as written by tasksToJson()
+    const records = Array.isArray(data) ? data : (data && data.tasks);
+    if (!Array.isArray(records)) {
+        throw new Error('Expected an array of tasks');
+    }
+
+    const rejected = [];
+    const adjusted = [];
+    const imported = [];
+
+    records.forEach(record => {
+        const result = normalizeImportedTask(record);
+        if (result.error) {
+            rejected.push(result.error);
+            return;
+        }
+        if (result.adjusted) {
+            adjusted.push(result.adjusted);
+        }
+        imported.push(result.task);
+    });
+
+    const merge = mergeTasks(getTasks(), imported);
+    if (merge.added > 0 || merge.updated > 0) {
+        replaceTasks(merge.tasks);
+    }
+
+    return {
+        added: merge.added,
+        updated: merge.updated,
+        unchanged: merge.unchanged,
+        rejected: rejected.concat(merge.repeated, merge.full),
+        adjusted
+    };
+}
+
+/**
+ * Turn the tasks into a JSON file's contents
+ * ===========================================
+ * @param {Array} tasks
+ * @returns {string}
+ */
+function tasksToJson(tasks) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), tasks }, null, 2);
+}
+
+
+/* ==========================================================================
+   2. CALENDAR FILES (.ics)
+   ==========================================================================
+   .ics is the iCalendar format (RFC 5545) that every calendar app can
+   import. It's plain text, one "NAME:value" property per line:
+
+       BEGIN:VCALENDAR
+       VERSION:2.0
+       BEGIN:VEVENT
+       UID:lx3k2a9f-4kq1@kedarphadke.cloud
+       DTSTART;VALUE=DATE:20261018
+       SUMMARY:Buy milk
+       END:VEVENT
+       END:VCALENDAR
+
+   A task can be written as either of two things:
+   - VEVENT - an all-day event on the due date. Every calendar app shows
+     these (many ignore VTODO), so it's the default.
+   - VTODO  - a to-do with a due date and a status, for apps with a task
+     list (Apple Reminders, Thunderbird, ...)
+
+   Three rules from the standard matter for the text we write:
+   - Lines end with CRLF (\r\n)
+   - Backslashes, semicolons, commas and line breaks in a value are
+     escaped with a backslash (see escapeIcsText)
+   - No line may be longer than 75 BYTES - longer ones are "folded"
+     onto the next line, which starts with a space (see foldIcsLine)
+*/
+
+// PRIORITY goes from 1 (highest) to 9 (lowest)
+const ICS_PRIORITIES = {
+    high: 1,
+    normal: 5,
+    low: 9
+};
+
+// A VTODO's STATUS for each of our statuses
+const ICS_TODO_STATUSES = {
+    todo: 'NEEDS-ACTION',
+    doing: 'IN-PROCESS',
+    done: 'COMPLETED'
+};
+
+// Counts the bytes of a character in UTF-8 (see foldIcsLine)
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Escape text for an iCalendar value
+ * ===================================
+ * @param {string} text - e.g. 'Call Sam, then Alex'
+ * @returns {string} - e.g. 'Call Sam\, then Alex'
+ *
+ * The backslash goes first - otherwise the backslashes added for the
+ * other characters would be doubled too.
+ */
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a line that's longer than 75 bytes
+ * ========================================
+ * @param {string} line - One "NAME:value" line
+ * @returns {string} - The line, split with CRLF + space where needed
+ *
+ * The limit is in bytes, not characters: "é" is 2 bytes in UTF-8 and
+ * "你" is 3, so a line of Hindi or Chinese text folds much sooner.
+ * for...of walks through whole characters, so a character is never cut
+ * in half. Continuation lines start with a space, which counts too.
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = utf8Encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * A YYYY-MM-DD date as an iCalendar DATE
+ * =======================================
+ * @param {string} dateKey - e.g. '2026-10-18'
+ * @param {number} [addDays] - Days to add (1 for the day after)
+ * @returns {string} - e.g. '20261018'
+ */
+function toIcsDate(dateKey, addDays = 0) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + addDays)).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * A moment as an iCalendar DATE-TIME in UTC
+ * ==========================================
+ * @param {Date|string} date
+ * @returns {string} - e.g. '20261018T093000Z'
+ */
+function toIcsDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * The lines for one task
+ * =======================
+ * @param {object} task - A task with a due date
+ * @param {string} component - 'VEVENT' or 'VTODO'
+ * @param {string} stamp - When the file was made (DTSTAMP)
+ * @returns {Array} - Unfolded lines
+ */
+function taskToIcsLines(task, component, stamp) {
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${task.id}@${TASK_EXPORT_CONFIG.icsUidDomain}`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${escapeIcsText(task.text)}`,
+        `PRIORITY:${ICS_PRIORITIES[task.priority]}`
+    ];
+
+    if (!isNaN(new Date(task.createdAt).getTime())) {
+        lines.push(`CREATED:${toIcsDateTime(task.createdAt)}`);
+    }
+
+    if (component === 'VEVENT') {
+        // An all-day event ends at the START of the next day
+        lines.push(`DTSTART;VALUE=DATE:${toIcsDate(task.dueDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${toIcsDate(task.dueDate, 1)}`);
+        lines.push('TRANSP:TRANSPARENT');   // Doesn't make you "busy" all day
+    } else {
+        lines.push(`DUE;VALUE=DATE:${toIcsDate(task.dueDate)}`);
+        lines.push(`STATUS:${ICS_TODO_STATUSES[task.status]}`);
+        if (task.status === 'done') {
+            lines.push('PERCENT-COMPLETE:100');
+        }
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+}
+
+/**
+ * Turn tasks into an .ics file's contents
+ * ========================================
+ * @param {Array} tasks
+ * @param {string} [component] - 'VEVENT' (default) or 'VTODO'
+ * @returns {string|null} - null when no task would be in the file
+ *
+ * Only tasks with a due date can go in a calendar. Events leave out
+ * finished tasks too - there's nothing left to put on the calendar -
+ * while to-dos keep them, marked COMPLETED.
+ */
+function tasksToIcs(tasks, component = 'VEVENT') {
+    const included = tasks.filter(task => (
+        task.dueDate !== null && (component === 'VTODO' || !task.completed)
+    ));
+    if (included.length === 0) {
+        return null;
+    }
+
+    const stamp = toIcsDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${TASK_EXPORT_CONFIG.icsProductId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    included.forEach(task => {
+        lines.push(...taskToIcsLines(task, component, stamp));
+    });
+    lines.push('END:VCALENDAR');
+
+    // Every line - the last one too - ends with CRLF
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+export {
+    isRealDate,
+    normalizeImportedTask,
+    mergeTasks,
+    importTasks,
+    tasksToJson,
+    escapeIcsText,
+    foldIcsLine,
+    tasksToIcs
+};
@@ -0,0 +1,170 @@
+/*
+ * ==========================================================================
+ * THEME.JS - Theme Registry & Picker
+ * ==========================================================================
+ *
+ * Lets users pick a color theme from the picker in the navigation.
+ *
+ * How it works:
+ * - THEMES (below) lists every theme the picker offers
+ * - The chosen theme's id is set as data-theme on <html>; styles.css
+ *   gives each theme its own values for the :root variables (--primary,
+ *   --gold, --accent, ...), so most colors change automatically
+ * - Themes with `dark: true` also get the 'dark-mode' class on <body>,
+ *   which applies the dark styles (section 15 of styles.css)
+ * - The choice is saved with setInStorage() (storage.js)
+ *
+ * "System" is a choice too: it follows the operating system's light/dark
+ * setting (prefers-color-scheme), even when that changes later. It's
+ * what visitors get until they pick something else, and picking it
+ * again forgets the saved theme.
+ *
+ * To add a theme: add an entry here, its name in each language in
+ * i18n.js ('theme.<id>'), and a :root[data-theme="..."] block with its
+ * colors in styles.css.
+ */
+
+import { getFromStorage, setInStorage, removeFromStorage, onStorageChange } from './storage.js';
+import { t, onLanguageChange } from './i18n.js';
+
+const THEMES = {
+    light: { dark: false },
+    dark: { dark: true },
+    'high-contrast': { dark: true },
+    sepia: { dark: false }
+};
+
+// The "follow the operating system" choice (not a theme of its own)
+const SYSTEM_THEME = 'system';
+
+// The operating system's light/dark setting (set up by initTheme - older
+// browsers without matchMedia always get the light theme for "System")
+let systemDarkQuery = null;
+
+/**
+ * Get the user's theme choice
+ * ============================
+ * @returns {string} - A THEMES id, or 'system' if nothing (valid) is saved
+ */
+function getThemePreference() {
+    const savedTheme = getFromStorage('theme');
+    return THEMES[savedTheme] ? savedTheme : SYSTEM_THEME;
+}
+
+/**
+ * Turn a choice into an actual theme
+ * ===================================
+ * @param {string} preference - A THEMES id or 'system'
+ * @returns {string} - A THEMES id ('system' becomes 'light' or 'dark')
+ */
+function resolveTheme(preference) {
+    if (preference === SYSTEM_THEME) {
+        return systemDarkQuery && systemDarkQuery.matches ? 'dark' : 'light';
+    }
+    return preference;
+}
+
+/**
+ * Apply a theme choice to the page
+ * =================================
+ * @param {string} preference - A THEMES id or 'system'
+ */
+function applyTheme(preference) {
+    const themeId = resolveTheme(preference);
+
+    document.documentElement.dataset.theme = themeId;
+    document.body.classList.toggle('dark-mode', THEMES[themeId].dark);
+
+    // Tells the browser to draw scrollbars and form controls to match
+    document.documentElement.style.colorScheme = THEMES[themeId].dark ? 'dark' : 'light';
+
+    const picker = document.getElementById('themePicker');
+    if (picker) {
+        picker.value = preference;
+    }
+}
+
+/**
+ * Choose a theme
+ * ===============
+ * @param {string} preference - A THEMES id or 'system'
+ * Called when the user changes the theme picker.
+ */
+function setTheme(preference) {
+    if (preference === SYSTEM_THEME) {
+        removeFromStorage('theme');
+    } else if (THEMES[preference]) {
+        setInStorage('theme', preference);
+    } else {
+        return;
+    }
+
+    applyTheme(preference);
+}
+
+/**
+ * Fill the theme picker with the registered themes
+ * =================================================
+ * Theme names are translated, so this runs again when the language
+ * changes (see initTheme).
+ */
+function buildThemePicker() {
+    const picker = document.getElementById('themePicker');
+    if (!picker) {
+        return;
+    }
+
+    picker.innerHTML = '';
+    [SYSTEM_THEME].concat(Object.keys(THEMES)).forEach(id => {
+        picker.appendChild(new Option(t(`theme.${id}`), id));
+    });
+    picker.value = getThemePreference();
+}
+
+/**
+ * Initialize theme on page load
+ * ==============================
+ * script.js runs this early, before the rest of the page is set up. It
+ * can't prevent a flash of the wrong theme on its own - modules only
+ * run once the whole page has been parsed - so index.html applies the
+ * saved theme itself first, with a small script at the top of <body>.
+ */
+function initTheme() {
+    if (window.matchMedia) {
+        systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+        // When the OS switches between light and dark, follow it - but
+        // only if the user chose "System"
+        const followSystem = () => {
+            if (getThemePreference() === SYSTEM_THEME) {
+                applyTheme(SYSTEM_THEME);
+            }
+        };
+
+        // Safari before 14 only knows the older addListener()
+        if (systemDarkQuery.addEventListener) {
+            systemDarkQuery.addEventListener('change', followSystem);
+        } else if (systemDarkQuery.addListener) {
+            systemDarkQuery.addListener(followSystem);
+        }
+    }
+
+    buildThemePicker();
+    applyTheme(getThemePreference());
+
+    const picker = document.getElementById('themePicker');
+    if (picker) {
+        picker.addEventListener('change', () => setTheme(picker.value));
+    }
+
+    // Theme names are translated too
+    onLanguageChange(buildThemePicker);
+
+    // Keep every open tab in the same theme: when another tab saves a new
+    // choice, apply it here too (see onStorageChange in storage.js)
+    onStorageChange('theme', () => {
+        applyTheme(getThemePreference());
+    });
+}
+
+export { THEMES, getThemePreference, setTheme, initTheme };
@@ -0,0 +1,356 @@
+/*
+ * ==========================================================================
+ * TIMELINE.JS - The Experience Timeline
+ * ==========================================================================
+ *
+ * Builds the experience section from profile.json:
+ *
+ * 1. Scroll detection - the timeline dot for the card being read is
+ *    highlighted, and clicking a dot scrolls to its card
+ * 2. Experience data - the dots and the cards, rendered from one list
+ *
+ * Each role also has its own route, #experience/<role id> (see
+ * navigation.js). The cards only exist once profile.json has loaded, so
+ * a link to a role that arrives earlier waits for them.
+ */
+
+import { navigateTo, registerRouteHandler, showPendingRoute } from './navigation.js';
+import { observeAnimations, createScrollSpy, setActiveItem, requestScrollFrame } from './scroll.js';
+import { escapeHtml } from './html.js';
+import { getBuiltInData } from './files.js';
+import { t } from './i18n.js';
+
+
+
+/* ==========================================================================
+   1. EXPERIENCE TIMELINE - Scroll Detection & Synchronization
+   ==========================================================================
+
+   HOW THE SCROLL DETECTION WORKS:
+   ================================
+   This code synchronizes the sticky timeline navigation with the experience
+   cards as the user scrolls. When a card comes into view, its corresponding
+   dot in the timeline is highlighted.
+
+   INTERSECTION OBSERVER APPROACH:
+   ================================
+   We use Intersection Observer (not scroll events) because:
+   1. More performant - doesn't fire on every pixel scrolled
+   2. Precise control over when detection triggers
+   3. Can specify exactly how much of element must be visible
+
+   The observer watches each experience card. When a card enters the
+   "detection zone" (defined by rootMargin), it becomes the "active" card
+   and its timeline dot is highlighted.
+
+   ROOTMARGIN EXPLAINED:
+   =====================
+   rootMargin: '-30% 0px -60% 0px' means:
+   - Top: Shrink detection zone by 30% from top
+   - Right: No change (0px)
+   - Bottom: Shrink detection zone by 60% from bottom
+   - Left: No change (0px)
+
+   This creates a "trigger zone" in the upper-middle portion of the viewport.
+   A card is considered "active" when it enters this zone, which typically
+   happens when the card is prominently visible on screen.
+
+   Visual representation of viewport with this rootMargin:
+   ┌─────────────────────────┐
+   │      (ignored 30%)      │
+   ├─────────────────────────┤
+   │                         │
+   │    DETECTION ZONE       │  <-- Cards detected here
+   │       (10% of viewport) │
+   │                         │
+   ├─────────────────────────┤
+   │      (ignored 60%)      │
+   └─────────────────────────┘
+*/
+
+/**
+ * Scroll to an experience card
+ * =============================
+ * @param {Element} card - An .exp-card element
+ *
+ * Stops a little below the fixed navbar, so the card isn't hidden
+ * underneath it.
+ */
+function scrollToExperienceCard(card) {
+    // Calculate offset to account for fixed navbar
+    const navbarHeight = document.querySelector('nav').offsetHeight;
+    const cardTop = card.getBoundingClientRect().top + window.scrollY;
+    const scrollTarget = cardTop - navbarHeight - 30; // 30px extra padding
+
+    // Smooth scroll to the card
+    window.scrollTo({
+        top: scrollTarget,
+        behavior: 'smooth'
+    });
+}
+
+/**
+ * Initialize Experience Timeline Scroll Detection
+ * =================================================
+ * Sets up Intersection Observer to watch experience cards and
+ * synchronize the timeline navigation.
+ */
+function initExperienceTimeline() {
+    // Get all experience cards and timeline nav items
+    const expCards = document.querySelectorAll('.exp-card');
+    const timelineNavItems = document.querySelectorAll('.timeline-nav-item');
+
+    // Exit early if elements don't exist (prevents errors)
+    if (expCards.length === 0 || timelineNavItems.length === 0) {
+        return;
+    }
+
+    /*
+        Scroll-Spy
+        ==========
+        The shared scroll-spy (scroll.js) watches the cards with the
+        narrow detection band described above, so only one card is
+        "active" at a time. When a card leaves the band and none has
+        entered yet (the gap between two cards), the last highlight
+        simply stays - unlike the main menu, the timeline always shows
+        a role.
+    */
+    setActiveItem(timelineNavItems, timelineNavItems[0], 'true');
+
+    createScrollSpy(Array.from(expCards), {
+        onChange(card) {
+            if (!card) {
+                return;
+            }
+            const activeNavItem = document.querySelector(
+                `.timeline-nav-item[data-index="${card.dataset.index}"]`
+            );
+            if (activeNavItem) {
+                setActiveItem(timelineNavItems, activeNavItem, 'true');
+            }
+        }
+    });
+
+    /*
+        Click-to-Scroll on Timeline Nav Items
+        ======================================
+        Clicking a timeline dot scrolls to the corresponding card.
+        This provides a secondary navigation method. It's a route too
+        (#experience/<role id>, see navigation.js), so the address bar
+        always links to the role being shown.
+    */
+    timelineNavItems.forEach(navItem => {
+        navItem.addEventListener('click', () => {
+            const index = navItem.dataset.index;
+            const targetCard = document.querySelector(`.exp-card[data-index="${index}"]`);
+
+            if (targetCard) {
+                navigateTo(`#experience/${encodeURIComponent(targetCard.dataset.role)}`);
+            }
+        });
+    });
+}
+
+
+
+/* ==========================================================================
+   2. EXPERIENCE DATA - Rendering the Timeline from profile.json
+   ==========================================================================
+
+   Every role is described ONCE in profile.json:
+
+   {
+       "id": "nicmar",              // Stable identifier for the role
+       "title": "...",              // Job title shown on the card
+       "company": "...",            // Full company name (card)
+       "shortCompany": "...",       // Short company name (timeline nav)
+       "location": "...",
+       "dates": "...",              // Long date range (card)
+       "shortDates": "...",         // Short date range (timeline nav)
+       "current": true,             // Optional - marks the current role
+       "description": "...",
+       "highlights": ["...", "..."] // Pill badges under the description
+   }
+
+   From that single list we generate BOTH the timeline nav items and the
+   experience cards, giving each pair the same data-index. Because both are
+   built from the same array in the same loop order, they can't drift apart.
+
+   NOTE: fetch() needs the page to be served over http(s). When index.html
+   is opened directly from disk, browsers block the request - use a local
+   server (see README) to see the experience section. portfolio.html has
+   profile.json built in (see build.js), so it works from disk too.
+*/
+
+// Reusable SVG icons for the experience cards
+const EXPERIENCE_ICONS = {
+    company: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"></path>
+                                    <polyline points="9 22 9 12 15 12 15 22"></polyline>
+                                </svg>`,
+    location: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                                    <circle cx="12" cy="10" r="3"></circle>
+                                </svg>`
+};
+
+/**
+ * Load the profile data file
+ * ===========================
+ * @returns {Promise<object>} - The parsed contents of profile.json
+ */
+function loadProfile() {
+    const builtIn = getBuiltInData('profile.json');
+    if (builtIn) {
+        return Promise.resolve(builtIn);
+    }
+
+    return fetch('profile.json').then(response => {
+        if (!response.ok) {
+            throw new Error(`Could not load profile.json (HTTP ${response.status})`);
+        }
+        return response.json();
+    });
+}
+
+/**
+ * Build the HTML for one timeline nav item
+ * ==========================================
+ * @param {object} role - A role from profile.json
+ * @param {number} index - Position of the role in the list
+ * @returns {string} - HTML string
+ */
+function buildTimelineNavItem(role, index) {
+    // The first role starts highlighted - the observer takes over from there
+    return `
+                        <div class="timeline-nav-item${index === 0 ? ' active' : ''}" data-index="${index}">
+                            <div class="nav-dot">
+                                <span class="dot-inner"></span>
+                            </div>
+                            <div class="nav-info">
+                                <span class="nav-date">${escapeHtml(role.shortDates)}</span>
+                                <span class="nav-company">${escapeHtml(role.shortCompany)}</span>
+                            </div>
+                        </div>`;
+}
+
+/**
+ * Build the HTML for one experience card
+ * ========================================
+ * @param {object} role - A role from profile.json
+ * @param {number} index - Position of the role in the list
+ * @returns {string} - HTML string
+ */
+function buildExperienceCard(role, index) {
+    const highlights = (role.highlights || [])
+        .map(text => `<span class="highlight">${escapeHtml(text)}</span>`)
+        .join('\n                                ');
+
+    return `
+                    <div class="exp-card animate-on-scroll" data-index="${index}" data-role="${escapeHtml(role.id)}">
+                        <!-- Mobile timeline dot (hidden on desktop) -->
+                        <div class="mobile-dot">
+                            ${role.current ? `<span class="current-badge" data-i18n="experience.current">${t('experience.current')}</span>` : ''}
+                        </div>
+                        <div class="exp-card-content">
+                            <div class="exp-header">
+                                <span class="exp-date">${escapeHtml(role.dates)}</span>
+                                ${role.current ? `<span class="exp-current" data-i18n="experience.currentRole">${t('experience.currentRole')}</span>` : ''}
+                            </div>
+                            <h3 class="exp-title">${escapeHtml(role.title)}</h3>
+                            <p class="exp-company">
+                                ${EXPERIENCE_ICONS.company}
+                                ${escapeHtml(role.company)}
+                            </p>
+                            <p class="exp-location">
+                                ${EXPERIENCE_ICONS.location}
+                                ${escapeHtml(role.location)}
+                            </p>
+                            <p class="exp-description">
+                                ${escapeHtml(role.description)}
+                            </p>
+                            <div class="exp-highlights">
+                                ${highlights}
+                            </div>
+                        </div>
+                    </div>`;
+}
+
+/**
+ * Render the experience timeline from a list of roles
+ * =====================================================
+ * @param {array} roles - The "experience" array from profile.json
+ *
+ * Fills both the timeline nav and the cards container, then registers
+ * the new cards with the scroll animations from scroll.js (they
+ * didn't exist yet when initScrollEffects() ran).
+ */
+function renderExperience(roles) {
+    const navInner = document.querySelector('.timeline-nav-inner');
+    const cardsContainer = document.querySelector('.experience-cards');
+
+    // Exit early if the experience section isn't on this page
+    if (!navInner || !cardsContainer) {
+        return;
+    }
+
+    // Remove any previously rendered nav items (keep the connecting line)
+    navInner.querySelectorAll('.timeline-nav-item').forEach(item => item.remove());
+    navInner.insertAdjacentHTML('beforeend', roles.map(buildTimelineNavItem).join(''));
+
+    cardsContainer.innerHTML = roles.map(buildExperienceCard).join('');
+
+    // Hook the new cards into the fade-in animations
+    observeAnimations(cardsContainer);
+}
+
+/**
+ * Show one role's card (the #experience/<role id> route)
+ * =======================================================
+ * @param {string} roleId - A role id from profile.json
+ * @returns {boolean} - false while the cards haven't loaded yet
+ */
+function showExperienceRole(roleId) {
+    const card = Array.from(document.querySelectorAll('.exp-card'))
+        .find(element => element.dataset.role === roleId);
+    if (!card) {
+        return false;
+    }
+    scrollToExperienceCard(card);
+    return true;
+}
+
+/**
+ * Load profile.json, render the timeline, then wire up scroll detection
+ * =======================================================================
+ * Pages without an experience section skip this.
+ */
+function initTimeline() {
+    if (!document.querySelector('.experience-cards')) {
+        return;
+    }
+
+    registerRouteHandler('experience', showExperienceRole);
+
+    loadProfile()
+        .then(profile => {
+            renderExperience(profile.experience || []);
+            initExperienceTimeline();
+
+            // The page just got taller - refresh the reading progress
+            requestScrollFrame();
+
+            // Opened with a link to one of the roles? Go there now
+            showPendingRoute();
+        })
+        .catch(error => {
+            console.error('Experience timeline error:', error);
+
+            const cardsContainer = document.querySelector('.experience-cards');
+            if (cardsContainer) {
+                cardsContainer.innerHTML = `<p class="exp-load-error" data-i18n="experience.loadError">${t('experience.loadError')}</p>`;
+            }
+        });
+}
+
+export { renderExperience, initTimeline };
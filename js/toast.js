@@ -0,0 +1,85 @@
+/*
+ * ==========================================================================
+ * TOAST.JS - Toast Notifications
+ * ==========================================================================
+ *
+ * A small message that slides up from the bottom of the screen and hides
+ * itself after a few seconds, optionally with one action button (Undo).
+ * Only one toast is shown at a time - a new one replaces the old.
+ */
+
+import { onStorageWarning } from './storage.js';
+
+const TOAST_CONFIG = {
+    duration: 6000      // How long a toast stays up (ms)
+};
+
+let toastTimer = null;
+
+/**
+ * Show a toast notification
+ * ==========================
+ * @param {string} message - Text to show
+ * @param {object} [options]
+ * @param {string} [options.actionLabel] - Text for the action button
+ * @param {function} [options.onAction] - Runs when the button is clicked
+ * @param {number} [options.duration] - How long to show it (ms)
+ */
+function showToast(message, options = {}) {
+    const toast = document.getElementById('toast');
+    if (!toast) {
+        return;
+    }
+
+    const text = document.getElementById('toastMessage');
+    const action = document.getElementById('toastAction');
+
+    text.textContent = message;
+
+    if (options.actionLabel && options.onAction) {
+        action.textContent = options.actionLabel;
+        action.hidden = false;
+        action.onclick = () => {
+            hideToast();
+            options.onAction();
+        };
+    } else {
+        action.hidden = true;
+        action.onclick = null;
+    }
+
+    toast.classList.add('visible');
+
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, options.duration || TOAST_CONFIG.duration);
+}
+
+/**
+ * Hide the toast notification
+ * ============================
+ */
+function hideToast() {
+    clearTimeout(toastTimer);
+
+    const toast = document.getElementById('toast');
+    if (toast) {
+        toast.classList.remove('visible');
+        // Drop the old action so a stale Undo can't run later
+        document.getElementById('toastAction').onclick = null;
+    }
+}
+
+/**
+ * Report storage problems as toasts
+ * ==================================
+ * Storage problems (storage.js) - damaged data or a full quota - are
+ * shown as a toast, so they don't fail silently. Pages without a toast
+ * still get them in the console.
+ */
+function initToast() {
+    onStorageWarning(warning => {
+        showToast(warning.message, { duration: 10000 });
+    });
+}
+
+export { showToast, hideToast, initToast };
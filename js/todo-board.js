@@ -0,0 +1,541 @@
+/*
+ * ==========================================================================
+ * TODO-BOARD.JS - The To-Do Board (todo.html)
+ * ==========================================================================
+ *
+ * The other way to look at the to-do list: three columns - To Do,
+ * In Progress and Done - with a card for each task. The tasks are the
+ * same ones the list shows (todo.js keeps them); this file only draws
+ * them as columns and moves them around.
+ *
+ * 1. WIP limits - "work in progress" limits: at most N cards in a column
+ * 2. Rendering - filling the columns
+ * 3. Moving cards - with the mouse / a finger (pointer events), or with
+ *    the keyboard: Space picks a card up, the arrow keys move it, Space
+ *    drops it and Escape puts it back
+ *
+ * Why pointer events and not the HTML5 drag-and-drop API (draggable)?
+ * That API doesn't work with touch screens at all, and can't be used
+ * from the keyboard - so we'd need this code anyway.
+ */
+
+import { getFromStorage, setInStorage, onStorageChange } from './storage.js';
+import { TASK_STATUSES, getTasks, findTask, moveTask, deleteTask, isOverdue, renderTaskBadges } from './todo.js';
+import { escapeHtml } from './html.js';
+
+const BOARD_CONFIG = {
+    wipStorageKey: 'taskWipLimits',     // Saved as "kp:taskWipLimits"
+    defaultWipLimits: { todo: null, doing: 3, done: null },  // null = no limit
+    dragThreshold: 5                    // Pixels to move before a press becomes a drag
+};
+
+
+/* ==========================================================================
+   1. WIP LIMITS
+   ==========================================================================
+   A limit stops new cards from being moved INTO a full column. Cards
+   that are already there stay, so a column can still end up over its
+   limit (the limit was lowered, or new tasks were added) - it's then
+   shown in red until some cards move on.
+
+   Every way of changing a task's status asks canMoveTo() (or
+   hasRoomIn()) first: dragging and the keyboard here, the list's
+   checkbox (todo.js) and importing a file (task-export.js).
+*/
+let wipLimits = { ...BOARD_CONFIG.defaultWipLimits };
+
+/**
+ * Check saved WIP limits
+ * =======================
+ * @param {*} saved - What localStorage holds, or null if nothing
+ * @returns {object} - Status -> whole number above 0, or null
+ */
+function loadWipLimits(saved) {
+    if (!saved || typeof saved !== 'object') {
+        return { ...BOARD_CONFIG.defaultWipLimits };
+    }
+
+    const limits = {};
+    Object.keys(TASK_STATUSES).forEach(status => {
+        limits[status] = Number.isInteger(saved[status]) && saved[status] > 0 ? saved[status] : null;
+    });
+    return limits;
+}
+
+/**
+ * Change a column's WIP limit
+ * ============================
+ * @param {string} status - The column, e.g. 'doing'
+ * @param {string} value - What was typed ('' for no limit)
+ */
+function setWipLimit(status, value) {
+    const limit = parseInt(value, 10);
+    wipLimits[status] = limit > 0 ? limit : null;
+    setInStorage(BOARD_CONFIG.wipStorageKey, wipLimits);
+    renderBoard();
+}
+
+/**
+ * Is there room for one more task in a column?
+ * =============================================
+ * @param {string} status - The column
+ * @param {Array} taskList - The tasks to count (an import checks the
+ *                           list it is building)
+ * @returns {boolean}
+ */
+function hasRoomIn(status, taskList) {
+    const limit = wipLimits[status];
+    return limit == null || taskList.filter(other => other.status === status).length < limit;
+}
+
+/**
+ * Can a task go into a column?
+ * =============================
+ * @param {object} task
+ * @param {string} status - The column it would go to
+ * @returns {boolean} - false when the column is full (moving within a
+ *                      column is always allowed)
+ */
+function canMoveTo(task, status) {
+    return task.status === status || hasRoomIn(status, getTasks());
+}
+
+/**
+ * Explain why a task can't go into a column
+ * ==========================================
+ * @param {string} status - The full column
+ * @returns {string}
+ */
+function describeFullColumn(status) {
+    const limit = wipLimits[status];
+    return `${TASK_STATUSES[status]} is full - its limit is ${limit} ${limit === 1 ? 'task' : 'tasks'}.`;
+}
+
+
+/* ==========================================================================
+   2. RENDERING
+   ========================================================================== */
+
+/**
+ * Tell screen reader users what just happened
+ * ============================================
+ * @param {string} message
+ *
+ * #boardStatus is an invisible role="status" element - whatever text
+ * goes into it is read out.
+ */
+function announceBoard(message) {
+    const status = document.getElementById('boardStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * HTML for one card
+ * ==================
+ * @param {object} task
+ * @returns {string}
+ */
+function renderBoardCard(task) {
+    const classes = ['board-card', `priority-${task.priority}`];
+    if (isOverdue(task)) {
+        classes.push('overdue');
+    }
+    if (keyboardMove && keyboardMove.taskId === task.id) {
+        classes.push('grabbed');
+    }
+
+    return `
+        <li class="${classes.join(' ')}" data-id="${task.id}" tabindex="0" aria-describedby="boardHint">
+            <span class="board-card-text">${escapeHtml(task.text)}</span>
+            <div class="task-meta">${renderTaskBadges(task)}</div>
+            <button type="button" class="board-delete" data-action="delete" aria-label="Delete task">&times;</button>
+        </li>
+    `;
+}
+
+/**
+ * Fill the board's columns
+ * =========================
+ * renderTasks() (todo.js) calls this whenever the tasks change and the
+ * board is showing. Each column's cards are in the same order as in the
+ * list.
+ */
+function renderBoard() {
+    const board = document.getElementById('taskBoard');
+
+    // Mid-drag, the drop finishes with a fresh render anyway
+    if (!board || (pointerDrag && pointerDrag.dragging)) {
+        return;
+    }
+
+    // The cards are rebuilt - remember which one had keyboard focus
+    const focusedCard = document.activeElement && document.activeElement.closest('.board-card');
+    const focusedId = focusedCard ? focusedCard.dataset.id : null;
+
+    Object.keys(TASK_STATUSES).forEach(status => {
+        const column = board.querySelector(`.board-column[data-status="${status}"]`);
+        const columnTasks = getTasks().filter(task => task.status === status);
+        const limit = wipLimits[status];
+
+        column.classList.toggle('over-limit', limit !== null && columnTasks.length > limit);
+        column.querySelector('.board-count').textContent = limit === null
+            ? columnTasks.length
+            : `${columnTasks.length} / ${limit}`;
+
+        // Don't overwrite a limit while it's being typed
+        const limitInput = column.querySelector('.wip-input');
+        if (limitInput !== document.activeElement) {
+            limitInput.value = limit === null ? '' : limit;
+        }
+
+        column.querySelector('.board-list').innerHTML = columnTasks.length === 0
+            ? '<li class="board-empty">No tasks</li>'
+            : columnTasks.map(renderBoardCard).join('');
+    });
+
+    if (focusedId) {
+        const card = board.querySelector(`.board-card[data-id="${focusedId}"]`);
+        if (card) {
+            card.focus();
+        }
+    }
+}
+
+
+/* ==========================================================================
+   3. MOVING CARDS
+   ========================================================================== */
+
+// The press or drag in progress: { taskId, card, startX, startY,
+// dragging, target: { status, position } } - or null
+let pointerDrag = null;
+
+// The card picked up with the keyboard, and where it started (for
+// Escape): { taskId, status, position } - or null
+let keyboardMove = null;
+
+/**
+ * Where a task is within its column
+ * ==================================
+ * @param {object} task
+ * @returns {number} - 0 for the top card
+ */
+function getColumnPosition(task) {
+    return getTasks().filter(other => other.status === task.status).indexOf(task);
+}
+
+/**
+ * Move a card, if its new column has room
+ * ========================================
+ * @param {string} taskId
+ * @param {string} status - The column to move to
+ * @param {number} position - Where in that column (0 = top)
+ * @returns {boolean} - false if the WIP limit refused it
+ */
+function placeTask(taskId, status, position) {
+    const task = findTask(taskId);
+    if (!task) {
+        return false;
+    }
+
+    if (!canMoveTo(task, status)) {
+        announceBoard(describeFullColumn(status));
+        return false;
+    }
+
+    moveTask(taskId, status, position);
+
+    const count = getTasks().filter(other => other.status === status).length;
+    announceBoard(`"${task.text}" is in ${TASK_STATUSES[status]}, position ${getColumnPosition(task) + 1} of ${count}.`);
+    return true;
+}
+
+/*
+    Pointer Dragging
+    =================
+    pointerdown only remembers where the press started: the card starts
+    moving once the pointer has gone dragThreshold pixels, so a normal
+    click (or the delete button) still works. While dragging, the card
+    follows the pointer, and a marker shows where it would land.
+    setPointerCapture() keeps sending us the pointer's events even when
+    it leaves the board.
+*/
+
+/**
+ * Start a (possible) drag
+ * ========================
+ * @param {PointerEvent} event
+ */
+function handleBoardPointerDown(event) {
+    const card = event.target.closest('.board-card');
+    if (!card || event.button !== 0 || event.target.closest('button')) {
+        return;
+    }
+
+    pointerDrag = {
+        taskId: card.dataset.id,
+        card,
+        startX: event.clientX,
+        startY: event.clientY,
+        dragging: false,
+        target: null
+    };
+    card.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Find the column and position under the pointer, and show the marker
+ * ====================================================================
+ * @param {number} x - Pointer position in the window
+ * @param {number} y
+ */
+function updateDropTarget(x, y) {
+    const board = document.getElementById('taskBoard');
+    board.querySelectorAll('.board-column').forEach(column => {
+        column.classList.remove('drop-target', 'drop-refused');
+    });
+
+    // The dragged card has pointer-events: none, so this finds what's below it
+    const below = document.elementFromPoint(x, y);
+    const column = below && below.closest('.board-column');
+    if (!column) {
+        pointerDrag.target = null;
+        removeDropMarker();
+        return;
+    }
+
+    const status = column.dataset.status;
+    const cards = [...column.querySelectorAll('.board-card:not(.dragging)')];
+
+    // The first card whose middle is below the pointer - or the end
+    let position = cards.findIndex(card => {
+        const rect = card.getBoundingClientRect();
+        return y < rect.top + rect.height / 2;
+    });
+    if (position === -1) {
+        position = cards.length;
+    }
+
+    const allowed = canMoveTo(findTask(pointerDrag.taskId), status);
+    column.classList.add(allowed ? 'drop-target' : 'drop-refused');
+    pointerDrag.target = allowed ? { status, position } : null;
+
+    let marker = board.querySelector('.board-drop-marker');
+    if (!marker) {
+        marker = document.createElement('li');
+        marker.className = 'board-drop-marker';
+    }
+    column.querySelector('.board-list').insertBefore(marker, cards[position] || null);
+}
+
+// Take the "it would land here" marker off the board
+function removeDropMarker() {
+    const marker = document.querySelector('.board-drop-marker');
+    if (marker) {
+        marker.remove();
+    }
+}
+
+/**
+ * Move the card with the pointer
+ * ===============================
+ * @param {PointerEvent} event
+ */
+function handleBoardPointerMove(event) {
+    if (!pointerDrag) {
+        return;
+    }
+
+    const dx = event.clientX - pointerDrag.startX;
+    const dy = event.clientY - pointerDrag.startY;
+
+    if (!pointerDrag.dragging) {
+        if (Math.hypot(dx, dy) < BOARD_CONFIG.dragThreshold) {
+            return;
+        }
+        pointerDrag.dragging = true;
+        pointerDrag.card.classList.add('dragging');
+        keyboardMove = null;
+    }
+
+    pointerDrag.card.style.transform = `translate(${dx}px, ${dy}px)`;
+    updateDropTarget(event.clientX, event.clientY);
+}
+
+/**
+ * Drop the card (or just end the press)
+ * ======================================
+ * @param {PointerEvent} event - pointerup, or pointercancel when the
+ *                               browser took the pointer over
+ */
+function handleBoardPointerUp(event) {
+    if (!pointerDrag) {
+        return;
+    }
+
+    const drag = pointerDrag;
+    pointerDrag = null;
+
+    if (!drag.dragging) {
+        return;
+    }
+
+    // placeTask() re-renders the board, which also clears the drag styles
+    if (event.type === 'pointerup' && drag.target) {
+        placeTask(drag.taskId, drag.target.status, drag.target.position);
+    } else {
+        renderBoard();
+    }
+
+    document.getElementById('taskBoard').querySelectorAll('.board-column').forEach(column => {
+        column.classList.remove('drop-target', 'drop-refused');
+    });
+}
+
+/*
+    Keyboard Moving
+    ================
+    Each card can be reached with Tab. Then:
+
+        Space / Enter       pick the card up - or drop it
+        Up / Down arrows    move it within its column
+        Left / Right        move it to the next column
+        Escape              put it back where it was
+
+    Every step is announced (see announceBoard), so it works with a
+    screen reader too.
+*/
+
+/**
+ * Handle a key press on a card
+ * =============================
+ * @param {KeyboardEvent} event
+ */
+function handleBoardKeydown(event) {
+    const card = event.target.closest('.board-card');
+    if (!card || event.target !== card) {
+        return;
+    }
+
+    const task = findTask(card.dataset.id);
+    const grabbed = keyboardMove && keyboardMove.taskId === task.id;
+
+    if (event.key === ' ' || event.key === 'Enter') {
+        event.preventDefault();
+        if (grabbed) {
+            keyboardMove = null;
+            renderBoard();
+            announceBoard(`Dropped "${task.text}" in ${TASK_STATUSES[task.status]}.`);
+        } else {
+            keyboardMove = { taskId: task.id, status: task.status, position: getColumnPosition(task) };
+            renderBoard();
+            announceBoard(`Picked up "${task.text}". Use the arrow keys to move it, Space to drop it, Escape to cancel.`);
+        }
+        return;
+    }
+
+    if (!grabbed) {
+        return;
+    }
+
+    const statuses = Object.keys(TASK_STATUSES);
+    const column = statuses.indexOf(task.status);
+    const position = getColumnPosition(task);
+
+    switch (event.key) {
+        case 'ArrowUp':
+            event.preventDefault();
+            if (position > 0) {
+                placeTask(task.id, task.status, position - 1);
+            }
+            break;
+        case 'ArrowDown':
+            event.preventDefault();
+            placeTask(task.id, task.status, position + 1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            event.preventDefault();
+            const next = statuses[column + (event.key === 'ArrowLeft' ? -1 : 1)];
+            if (next) {
+                placeTask(task.id, next, position);
+            }
+            break;
+        }
+        case 'Escape': {
+            const origin = keyboardMove;
+            keyboardMove = null;
+            moveTask(task.id, origin.status, origin.position);
+            announceBoard(`Cancelled - "${task.text}" is back in ${TASK_STATUSES[origin.status]}.`);
+            break;
+        }
+    }
+}
+
+/**
+ * Drop a picked-up card when focus moves elsewhere
+ * =================================================
+ * Every move re-renders the board and puts focus back on the card, so
+ * we check a moment later whether it really went somewhere else.
+ */
+function handleBoardFocusOut() {
+    setTimeout(() => {
+        if (!keyboardMove) {
+            return;
+        }
+        const focused = document.activeElement && document.activeElement.closest('.board-card');
+        if (!focused || focused.dataset.id !== keyboardMove.taskId) {
+            keyboardMove = null;
+            renderBoard();
+        }
+    }, 0);
+}
+
+/**
+ * Handle a click on the board (the delete buttons)
+ * =================================================
+ * @param {Event} event
+ */
+function handleBoardClick(event) {
+    const button = event.target.closest('[data-action="delete"]');
+    if (button) {
+        deleteTask(button.closest('.board-card').dataset.id);
+    }
+}
+
+/**
+ * Wire up the board
+ * ==================
+ * Only todo.html has one. Runs before initTodo() (see script.js), so
+ * the WIP limits are loaded before the tasks are first drawn.
+ */
+function initTodoBoard() {
+    const board = document.getElementById('taskBoard');
+    if (!board) {
+        return;
+    }
+
+    wipLimits = loadWipLimits(getFromStorage(BOARD_CONFIG.wipStorageKey));
+
+    board.addEventListener('pointerdown', handleBoardPointerDown);
+    board.addEventListener('pointermove', handleBoardPointerMove);
+    board.addEventListener('pointerup', handleBoardPointerUp);
+    board.addEventListener('pointercancel', handleBoardPointerUp);
+    board.addEventListener('keydown', handleBoardKeydown);
+    board.addEventListener('focusout', handleBoardFocusOut);
+    board.addEventListener('click', handleBoardClick);
+
+    board.querySelectorAll('.wip-input').forEach(input => {
+        input.addEventListener('change', () => setWipLimit(input.dataset.status, input.value));
+    });
+
+    // Keep every open tab's limits the same (see onStorageChange)
+    onStorageChange(BOARD_CONFIG.wipStorageKey, saved => {
+        wipLimits = loadWipLimits(saved);
+        renderBoard();
+    });
+}
+
+export { hasRoomIn, canMoveTo, describeFullColumn, renderBoard, initTodoBoard };
@@ -0,0 +1,976 @@
+/*
+ * ==========================================================================
+ * TODO.JS - The To-Do List (todo.html)
+ * ==========================================================================
+ *
+ * A small to-do list: type a task, press Enter (or "Add Task"), tick it
+ * off when it's done, and delete it when you no longer need it.
+ *
+ * 1. Tasks - the task data model, saved in localStorage (storage.js), so
+ *    the list survives a reload and stays in sync across tabs
+ * 2. Changing tasks - add, edit, complete, move, delete, clear completed
+ * 3. Filters, views & due dates - All / Active / Completed, list or
+ *    board, and overdue tasks
+ * 4. Rendering - building the list's HTML
+ * 5. Events - double-click to edit, and the buttons around the list
+ *    (export & import are in task-export.js)
+ *
+ * The same tasks can also be shown as a board with To Do / In Progress /
+ * Done columns - that view lives in todo-board.js, and renderTasks()
+ * hands over to it when it's picked.
+ *
+ * Like the message cards in inbox.js, the list is rebuilt after every
+ * change. So there is ONE click listener on the list: each task says
+ * which one it is with data-id, and its buttons say what they do with
+ * data-action.
+ */
+
+import { getFromStorage, setInStorage, onStorageChange } from './storage.js';
+import { getLocale } from './i18n.js';
+import { escapeHtml } from './html.js';
+import { downloadFile } from './files.js';
+import { canMoveTo, describeFullColumn, renderBoard } from './todo-board.js';
+import { importTasks, tasksToJson, tasksToIcs, isRealDate } from './task-export.js';
+
+const TODO_CONFIG = {
+    storageKey: 'tasks',        // Saved as "kp:tasks" (see storage.js)
+    viewStorageKey: 'taskView', // 'list' or 'board'
+    defaultPriority: 'normal'
+};
+
+// Where a task is, in order - these are also the board's columns
+const TASK_STATUSES = {
+    todo: 'To Do',
+    doing: 'In Progress',
+    done: 'Done'
+};
+
+// Priorities, most urgent first (the labels are shown on each task)
+const TASK_PRIORITIES = {
+    high: 'High',
+    normal: 'Normal',
+    low: 'Low'
+};
+
+// Which tasks each filter button shows
+const TASK_FILTERS = {
+    all: () => true,
+    active: task => !task.completed,
+    completed: task => task.completed
+};
+
+// What the list says when a filter leaves nothing to show
+const TASK_EMPTY_MESSAGES = {
+    all: 'No tasks yet. Add one above!',
+    active: 'Nothing left to do. Nice work!',
+    completed: 'No completed tasks yet.'
+};
+
+
+/* ==========================================================================
+   1. TASKS
+   ==========================================================================
+   Each task is an OBJECT:
+
+       {
+           id: 'lx3k2a9f-4kq1',      // Never changes - see createTaskId()
+           text: 'Buy milk',
+           status: 'todo',           // A key of TASK_STATUSES
+           completed: false,         // Always status === 'done'
+           priority: 'normal',       // A key of TASK_PRIORITIES
+           dueDate: '2026-10-18',    // YYYY-MM-DD, or null for no due date
+           createdAt: '2026-10-15T09:30:00.000Z'
+       }
+
+   Tasks used to be found by their position in the array (data-index).
+   That breaks as soon as the list is filtered, or changed in another
+   tab - position 2 may not be the same task any more. An id always is.
+
+   The order of the array is the order on the page, in both views: the
+   board shows each column's tasks in the order they have here.
+*/
+let tasks = [];
+
+// Which filter button is selected (a key of TASK_FILTERS)
+let taskFilter = 'all';
+
+// The id of the task being edited, or null
+let editingTaskId = null;
+
+// Which view shows the tasks: 'list' or 'board'
+let taskView = 'list';
+
+// What an id may look like - it goes into data-id attributes and selectors
+const TASK_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Make a new task id
+ * ===================
+ * @returns {string} - e.g. 'lx3k2a9f-4kq1'
+ *
+ * The time (in base 36, to keep it short) plus a few random characters,
+ * so two tasks added in the same millisecond still get different ids.
+ */
+function createTaskId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Check a saved task and fill in missing fields
+ * ==============================================
+ * @param {*} value - One entry from localStorage
+ * @returns {object|null} - A complete task, or null if it isn't one
+ *
+ * Saved data can be old, or edited by hand - so every field is checked
+ * instead of trusted. Tasks saved before the board existed have no
+ * status: completed ones go to 'done', the rest to 'todo'.
+ *
+ * Ids are always strings. A number id (7) is turned into '7': the page
+ * finds tasks by their data-id attribute, which is always text, and
+ * 7 === '7' is false - such a task could never be found again.
+ */
+function normalizeTask(value) {
+    if (!value || typeof value.text !== 'string' || value.text.trim() === '') {
+        return null;
+    }
+
+    const status = TASK_STATUSES[value.status] ? value.status : (value.completed === true ? 'done' : 'todo');
+    const id = Number.isInteger(value.id) ? String(value.id) : value.id;
+
+    return {
+        id: typeof id === 'string' && TASK_ID_PATTERN.test(id) ? id : createTaskId(),
+        text: value.text.trim(),
+        status,
+        completed: status === 'done',
+        priority: TASK_PRIORITIES[value.priority] ? value.priority : TODO_CONFIG.defaultPriority,
+        dueDate: isRealDate(value.dueDate) ? value.dueDate : null,
+        createdAt: typeof value.createdAt === 'string' ? value.createdAt : new Date().toISOString()
+    };
+}
+
+/**
+ * Check the saved tasks
+ * ======================
+ * @param {*} saved - What localStorage holds under "kp:tasks"
+ * @returns {Array} - Valid tasks only, each with its own id
+ *
+ * Two tasks with the same id (say, copied by hand) would act as one:
+ * editing or deleting either would change the first. So a repeated id
+ * is swapped for a new one, and both tasks are kept.
+ */
+function loadTasks(saved) {
+    if (!Array.isArray(saved)) {
+        return [];
+    }
+
+    const seenIds = new Set();
+    return saved.map(normalizeTask).filter(Boolean).map(task => {
+        if (seenIds.has(task.id)) {
+            task.id = createTaskId();
+        }
+        seenIds.add(task.id);
+        return task;
+    });
+}
+
+/**
+ * Save the tasks and show the change
+ * ===================================
+ */
+function saveTasks() {
+    setInStorage(TODO_CONFIG.storageKey, tasks);
+    renderTasks();
+}
+
+/**
+ * Replace every task (after an import)
+ * =====================================
+ * @param {Array} newTasks - Complete, checked tasks (see task-export.js)
+ */
+function replaceTasks(newTasks) {
+    tasks = newTasks;
+    editingTaskId = null;
+    saveTasks();
+}
+
+/**
+ * All tasks, in order
+ * ====================
+ * @returns {Array} - The tasks themselves: change them through the
+ *                    functions in this file, so they get saved
+ */
+function getTasks() {
+    return tasks;
+}
+
+/**
+ * Find a task by its id
+ * ======================
+ * @param {string} taskId
+ * @returns {object|undefined}
+ */
+function findTask(taskId) {
+    return tasks.find(task => task.id === taskId);
+}
+
+
+/* ==========================================================================
+   2. CHANGING TASKS
+   ========================================================================== */
+
+/**
+ * Add a new task
+ * ===============
+ * Runs when the "Add Task" button is clicked, or Enter is pressed.
+ */
+function addTask() {
+    // Get the input elements from the page
+    const input = document.getElementById('taskInput');
+    const priority = document.getElementById('taskPriority');
+    const dueDate = document.getElementById('taskDueDate');
+
+    // Get the text the user typed, and remove extra spaces with trim()
+    const taskText = input.value.trim();
+
+    // If the input is empty, don't add anything
+    if (taskText === '') {
+        alert('Please enter a task!');
+        return; // Exit the function early
+    }
+
+    // Add the new task to the end of our array
+    tasks.push(normalizeTask({
+        id: createTaskId(),
+        text: taskText,
+        priority: priority ? priority.value : TODO_CONFIG.defaultPriority,
+        dueDate: dueDate ? dueDate.value : null
+    }));
+
+    // Clear the fields so user can type a new task
+    input.value = '';
+    if (dueDate) {
+        dueDate.value = '';
+    }
+
+    // Save it, and update the display to show the new task
+    saveTasks();
+
+    // Put the cursor back in the input for convenience
+    input.focus();
+}
+
+/**
+ * Change some fields of a task
+ * =============================
+ * @param {string} taskId
+ * @param {object} changes - e.g. { text: 'Buy oat milk' }
+ */
+function updateTask(taskId, changes) {
+    const task = findTask(taskId);
+    if (!task) {
+        return;
+    }
+
+    // normalizeTask() checks the new values just like saved ones
+    const updated = normalizeTask({ ...task, ...changes });
+    if (updated) {
+        Object.assign(task, updated);
+        saveTasks();
+    }
+}
+
+/**
+ * Toggle a task's completed status
+ * =================================
+ * @param {string} taskId - Which task to toggle
+ */
+function toggleComplete(taskId) {
+    const task = findTask(taskId);
+    if (!task) {
+        return;
+    }
+
+    // Done tasks go back to "To Do"; anything else is now done
+    const status = task.completed ? 'todo' : 'done';
+
+    // The board's WIP limits count here too (see todo-board.js)
+    if (!canMoveTo(task, status)) {
+        showTaskNotice(describeFullColumn(status));
+        renderTasks();  // Puts the checkbox back
+        return;
+    }
+    showTaskNotice('');
+    updateTask(taskId, { status });
+}
+
+/**
+ * Show a short notice above the list
+ * ===================================
+ * @param {string} text - '' hides it again
+ */
+function showTaskNotice(text) {
+    const notice = document.getElementById('taskNotice');
+    if (notice) {
+        notice.textContent = text;
+    }
+}
+
+/**
+ * Move a task to a status, at a position
+ * =======================================
+ * @param {string} taskId
+ * @param {string} status - A key of TASK_STATUSES
+ * @param {number} position - Where among that status's OTHER tasks
+ *                            (0 = first; past the end = last)
+ *
+ * Used by the board (todo-board.js) for dragging between and within
+ * columns. The task is taken out of the array and put back in front of
+ * the task that is now at that position - so the list view shows the
+ * new order too.
+ */
+function moveTask(taskId, status, position) {
+    const task = findTask(taskId);
+    if (!task || !TASK_STATUSES[status]) {
+        return;
+    }
+
+    const others = tasks.filter(other => other !== task);
+    const column = others.filter(other => other.status === status);
+
+    let index;
+    if (position < column.length) {
+        index = others.indexOf(column[Math.max(position, 0)]);
+    } else if (column.length > 0) {
+        index = others.indexOf(column[column.length - 1]) + 1;
+    } else {
+        index = others.length;
+    }
+
+    others.splice(index, 0, task);
+    tasks = others;
+    updateTask(taskId, { status });
+}
+
+/**
+ * Delete a task
+ * ==============
+ * @param {string} taskId - Which task to remove
+ */
+function deleteTask(taskId) {
+    // filter() keeps every task except the one with this id
+    tasks = tasks.filter(task => task.id !== taskId);
+    saveTasks();
+}
+
+/**
+ * Delete every completed task
+ * ============================
+ * Called from the "Clear completed" button. There's no trash or Undo
+ * here (unlike the messages in messages.js), so we ask first.
+ */
+function clearCompleted() {
+    const count = tasks.filter(task => task.completed).length;
+    if (count === 0) {
+        return;
+    }
+
+    if (confirm(`Delete ${count} completed task${count !== 1 ? 's' : ''}? This cannot be undone.`)) {
+        tasks = tasks.filter(task => !task.completed);
+        saveTasks();
+    }
+}
+
+/*
+    Inline Editing
+    ===============
+    Double-clicking a task's text (or pressing Enter on it) swaps it for
+    a small form. Enter or "Save" keeps the changes, Escape or "Cancel"
+    drops them. Clicking anywhere outside the form saves too, the way
+    most to-do apps behave.
+*/
+
+/**
+ * Start editing a task
+ * =====================
+ * @param {string} taskId
+ */
+function startEditingTask(taskId) {
+    if (!findTask(taskId)) {
+        return;
+    }
+
+    editingTaskId = taskId;
+    renderTasks();
+
+    const field = document.querySelector('.task-edit-text');
+    if (field) {
+        field.focus();
+        field.select();
+    }
+}
+
+/**
+ * Stop editing, keeping or dropping the changes
+ * ==============================================
+ * @param {boolean} save - true to keep what was typed
+ */
+function finishEditingTask(save) {
+    const taskId = editingTaskId;
+    const editor = document.querySelector('.task-edit');
+    if (!taskId || !editor) {
+        return;
+    }
+
+    editingTaskId = null;
+
+    const text = editor.querySelector('.task-edit-text').value.trim();
+
+    // An emptied text isn't a task - keep the old one instead
+    if (save && text !== '') {
+        updateTask(taskId, {
+            text,
+            priority: editor.querySelector('.task-edit-priority').value,
+            dueDate: editor.querySelector('.task-edit-due').value || null
+        });
+    } else {
+        renderTasks();
+    }
+
+    // Put keyboard focus back on the task that was edited
+    const taskText = document.querySelector(`.task-item[data-id="${taskId}"] .task-text`);
+    if (taskText) {
+        taskText.focus();
+    }
+}
+
+
+/* ==========================================================================
+   3. FILTERS, VIEWS & DUE DATES
+   ========================================================================== */
+
+/**
+ * Show one filter's tasks
+ * ========================
+ * @param {string} filter - 'all', 'active' or 'completed'
+ */
+function setTaskFilter(filter) {
+    if (!TASK_FILTERS[filter]) {
+        return;
+    }
+    taskFilter = filter;
+    renderTasks();
+}
+
+/**
+ * Switch between the list and the board
+ * ======================================
+ * @param {string} view - 'list' or 'board'
+ *
+ * The choice is remembered, like the theme on the main page.
+ */
+function setTaskView(view) {
+    if (view !== 'list' && view !== 'board') {
+        return;
+    }
+    taskView = view;
+    editingTaskId = null;
+    setInStorage(TODO_CONFIG.viewStorageKey, view);
+    renderTasks();
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ * ===========================
+ * In the visitor's own time zone - toISOString() would use UTC, which
+ * can already be tomorrow (or still yesterday).
+ */
+function getTodayKey() {
+    const today = new Date();
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const day = String(today.getDate()).padStart(2, '0');
+    return `${today.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Is a task past its due date?
+ * =============================
+ * @param {object} task
+ * @returns {boolean} - Only unfinished tasks can be overdue
+ *
+ * YYYY-MM-DD strings sort like the dates they stand for, so a plain
+ * string comparison is enough.
+ */
+function isOverdue(task) {
+    return !task.completed && task.dueDate !== null && task.dueDate < getTodayKey();
+}
+
+/**
+ * Describe a due date for the list
+ * =================================
+ * @param {object} task - A task with a dueDate
+ * @returns {string} - e.g. "Due today", "Due Oct 18, 2026" or
+ *                     "Was due Oct 2, 2026" (overdue)
+ */
+function formatDueDate(task) {
+    if (task.dueDate === getTodayKey()) {
+        return 'Due today';
+    }
+
+    // new Date('2026-10-18') would mean midnight UTC - build it locally
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    const dateText = new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' }).format(date);
+
+    return `${isOverdue(task) ? 'Was due' : 'Due'} ${dateText}`;
+}
+
+
+/* ==========================================================================
+   4. RENDERING
+   ========================================================================== */
+
+/**
+ * HTML for a task's priority and due date badges
+ * ===============================================
+ * @param {object} task
+ * @returns {string} - Shared by the list and the board's cards
+ */
+function renderTaskBadges(task) {
+    // Normal priority is the default - only the others get a badge
+    const priorityBadge = task.priority === TODO_CONFIG.defaultPriority
+        ? ''
+        : `<span class="task-badge priority-badge">${TASK_PRIORITIES[task.priority]}</span>`;
+
+    const dueBadge = task.dueDate
+        ? `<span class="task-badge due-badge">${escapeHtml(formatDueDate(task))}</span>`
+        : '';
+
+    return priorityBadge + dueBadge;
+}
+
+/**
+ * HTML for one task
+ * ==================
+ * @param {object} task
+ * @returns {string}
+ */
+function renderTaskItem(task) {
+    const classes = ['task-item', `priority-${task.priority}`];
+    if (task.completed) {
+        classes.push('completed');
+    }
+    if (isOverdue(task)) {
+        classes.push('overdue');
+    }
+
+    // In the list, the checkbox shows done - but not "In Progress"
+    const statusBadge = task.status === 'doing'
+        ? `<span class="task-badge status-badge">${TASK_STATUSES.doing}</span>`
+        : '';
+
+    // The ? : is a "ternary operator" - a short way to write if/else
+    return `
+        <li class="${classes.join(' ')}" data-id="${task.id}">
+            <input type="checkbox" class="task-check" data-action="toggle" ${task.completed ? 'checked' : ''} aria-label="Mark as ${task.completed ? 'not done' : 'done'}">
+            <div class="task-body">
+                <span class="task-text ${task.completed ? 'completed' : ''}" tabindex="0" title="Double-click to edit">${escapeHtml(task.text)}</span>
+                <div class="task-meta">${statusBadge}${renderTaskBadges(task)}</div>
+            </div>
+            <button class="delete-btn" data-action="delete">Delete</button>
+        </li>
+    `;
+}
+
+/**
+ * HTML for the task being edited
+ * ===============================
+ * @param {object} task
+ * @returns {string}
+ *
+ * The text field is left empty here and filled in by renderTasks() -
+ * setting .value is always safe, whatever the task's text contains.
+ */
+function renderTaskEditor(task) {
+    const priorityOptions = Object.keys(TASK_PRIORITIES).map(priority => `
+        <option value="${priority}" ${priority === task.priority ? 'selected' : ''}>${TASK_PRIORITIES[priority]}</option>
+    `).join('');
+
+    return `
+        <li class="task-item editing" data-id="${task.id}">
+            <div class="task-edit">
+                <input type="text" class="task-edit-text" aria-label="Task">
+                <div class="task-edit-row">
+                    <select class="task-edit-priority" aria-label="Priority">${priorityOptions}</select>
+                    <input type="date" class="task-edit-due" value="${task.dueDate || ''}" aria-label="Due date">
+                    <button type="button" class="edit-btn" data-action="save">Save</button>
+                    <button type="button" class="edit-btn secondary" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Update the filter buttons, their counts and the footer
+ * =======================================================
+ */
+function renderTaskCounts() {
+    Object.keys(TASK_FILTERS).forEach(filter => {
+        const button = document.querySelector(`[data-filter="${filter}"]`);
+        if (!button) {
+            return;
+        }
+        button.classList.toggle('active', filter === taskFilter);
+        button.setAttribute('aria-pressed', String(filter === taskFilter));
+        button.querySelector('.filter-count').textContent = tasks.filter(TASK_FILTERS[filter]).length;
+    });
+
+    const activeCount = tasks.filter(TASK_FILTERS.active).length;
+    const completedCount = tasks.length - activeCount;
+
+    const summary = document.getElementById('taskSummary');
+    if (summary) {
+        summary.textContent = `${activeCount} task${activeCount !== 1 ? 's' : ''} left`;
+    }
+
+    const clearButton = document.getElementById('clearCompletedBtn');
+    if (clearButton) {
+        clearButton.disabled = completedCount === 0;
+    }
+}
+
+/**
+ * Show the list or the board, and mark the picked view's button
+ * ==============================================================
+ * @returns {boolean} - true when the board is showing
+ *
+ * The filters only apply to the list: the board always shows every
+ * task, split into its columns.
+ */
+function renderTaskView() {
+    const board = document.getElementById('taskBoard');
+    const showBoard = taskView === 'board' && board !== null;
+
+    document.getElementById('taskList').hidden = showBoard;
+    if (board) {
+        board.hidden = !showBoard;
+    }
+
+    const filters = document.querySelector('.task-filters');
+    if (filters) {
+        filters.hidden = showBoard;
+    }
+
+    // The board needs more room than the list
+    document.querySelector('.container').classList.toggle('board-mode', showBoard);
+
+    document.querySelectorAll('[data-view]').forEach(button => {
+        const active = button.dataset.view === taskView;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+
+    return showBoard;
+}
+
+/**
+ * Display the tasks on the page
+ * ==============================
+ * We call this whenever tasks are added, changed or removed, or another
+ * filter or view is picked.
+ */
+function renderTasks() {
+    // Get the list element from the page
+    const taskList = document.getElementById('taskList');
+
+    renderTaskCounts();
+
+    if (renderTaskView()) {
+        renderBoard();
+        return;
+    }
+
+    // Only the tasks the selected filter shows
+    const visibleTasks = tasks.filter(TASK_FILTERS[taskFilter]);
+
+    // If there are no tasks, show a helpful message
+    if (visibleTasks.length === 0) {
+        taskList.innerHTML = `<li class="empty-message">${TASK_EMPTY_MESSAGES[taskFilter]}</li>`;
+        return;
+    }
+
+    // Build the HTML for all tasks
+    // map() goes through each task and creates HTML for it
+    // join('') combines all the HTML pieces into one string
+    taskList.innerHTML = visibleTasks.map(task => (
+        task.id === editingTaskId ? renderTaskEditor(task) : renderTaskItem(task)
+    )).join('');
+
+    const editField = taskList.querySelector('.task-edit-text');
+    if (editField) {
+        editField.value = findTask(editingTaskId).text;
+    }
+}
+
+
+/* ==========================================================================
+   5. EVENTS
+   ========================================================================== */
+
+/**
+ * Handle a click anywhere in the task list
+ * =========================================
+ * @param {Event} event - The click event
+ *
+ * The checkbox toggles its task, Delete removes it, and Save / Cancel
+ * finish editing.
+ */
+function handleTaskListClick(event) {
+    const item = event.target.closest('.task-item');
+    const button = event.target.closest('[data-action]');
+    if (!item || !button) {
+        return;
+    }
+
+    const taskId = item.dataset.id;
+
+    switch (button.dataset.action) {
+        case 'toggle':
+            toggleComplete(taskId);
+            break;
+        case 'delete':
+            deleteTask(taskId);
+            break;
+        case 'save':
+            finishEditingTask(true);
+            break;
+        case 'cancel':
+            finishEditingTask(false);
+            break;
+    }
+}
+
+/**
+ * Double-click a task's text to edit it
+ * ======================================
+ * @param {Event} event - The dblclick event
+ */
+function handleTaskListDblClick(event) {
+    const text = event.target.closest('.task-text');
+    if (text) {
+        startEditingTask(text.closest('.task-item').dataset.id);
+    }
+}
+
+/**
+ * Keyboard shortcuts in the list
+ * ===============================
+ * @param {KeyboardEvent} event
+ *
+ * Enter on a task's text starts editing (double-clicking needs a mouse);
+ * in the edit form, Enter saves and Escape cancels. Leaving the form
+ * doesn't save: Safari doesn't focus a clicked button, so a save on
+ * focusout would run before the Cancel click could stop it.
+ */
+function handleTaskListKeydown(event) {
+    if (event.target.closest('.task-edit')) {
+        if (event.key === 'Enter' && event.target.tagName !== 'BUTTON') {
+            event.preventDefault();
+            finishEditingTask(true);
+        } else if (event.key === 'Escape') {
+            finishEditingTask(false);
+        }
+        return;
+    }
+
+    if (event.key === 'Enter' && event.target.classList.contains('task-text')) {
+        event.preventDefault();
+        startEditingTask(event.target.closest('.task-item').dataset.id);
+    }
+}
+
+/**
+ * Another tab changed the tasks
+ * ==============================
+ * @param {*} saved - The new saved value
+ *
+ * While a task is being edited we only update the data: re-rendering
+ * would throw away what's being typed. Saving the edit shows the rest.
+ */
+function handleTasksChangedElsewhere(saved) {
+    tasks = loadTasks(saved);
+
+    if (editingTaskId && findTask(editingTaskId)) {
+        return;
+    }
+    editingTaskId = null;
+    renderTasks();
+}
+
+/**
+ * Download the tasks as a file
+ * =============================
+ * @param {string} format - 'json', or 'ics' for a calendar file
+ */
+function exportTasks(format) {
+    const stamp = new Date().toISOString().slice(0, 10);  // YYYY-MM-DD
+
+    if (format === 'json') {
+        downloadFile(tasksToJson(tasks), `tasks-${stamp}.json`, 'application/json');
+        return;
+    }
+
+    // Events or to-dos - see "Calendar Files" in task-export.js
+    const kind = document.getElementById('icsComponent');
+    const calendar = tasksToIcs(tasks, kind ? kind.value : 'VEVENT');
+
+    if (calendar === null) {
+        alert('No tasks with a due date to export. (Finished tasks are only exported as to-dos.)');
+        return;
+    }
+    downloadFile(calendar, `tasks-${stamp}.ics`, 'text/calendar;charset=utf-8');
+}
+
+/**
+ * Handle a file chosen with the "Import" button
+ * ==============================================
+ * @param {Event} event - The file input's change event
+ */
+function handleTaskImportFile(event) {
+    const input = event.target;
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    file.text()
+        .then(text => showTaskImportReport(importTasks(text)))
+        .catch(error => {
+            console.error('Import failed:', error);
+            showTaskImportReport(null, `Could not read ${file.name}: ${error.message}`);
+        })
+        .finally(() => {
+            // Reset so choosing the same file again still fires 'change'
+            input.value = '';
+        });
+}
+
+/**
+ * Show the result of an import under the list
+ * ============================================
+ * @param {object|null} report - From importTasks()
+ * @param {string} [errorText] - Shown instead when the whole file failed
+ */
+function showTaskImportReport(report, errorText) {
+    const status = document.getElementById('taskImportStatus');
+
+    if (!report) {
+        status.className = 'task-import-status error';
+        status.textContent = errorText;
+        return;
+    }
+
+    const rejectedCount = report.rejected.length;
+    const adjustedCount = report.adjusted.length;
+    const reasons = report.rejected.concat(report.adjusted);
+
+    status.className = `task-import-status ${reasons.length > 0 ? 'warning' : 'success'}`;
+    status.textContent = `Import finished: ${report.added} added, ${report.updated} updated, ` +
+        `${report.unchanged} unchanged, ${rejectedCount} rejected, ${adjustedCount} adjusted.`;
+
+    // List the first few reasons so the file can be fixed
+    if (reasons.length > 0) {
+        const list = document.createElement('ul');
+        reasons.slice(0, 5).forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = reason;
+            list.appendChild(item);
+        });
+        if (reasons.length > 5) {
+            const more = document.createElement('li');
+            more.textContent = `...and ${reasons.length - 5} more`;
+            list.appendChild(more);
+        }
+        status.appendChild(list);
+    }
+}
+
+/**
+ * Wire up the to-do list
+ * =======================
+ * Only todo.html has one - other pages skip this.
+ */
+function initTodo() {
+    const taskList = document.getElementById('taskList');
+    const input = document.getElementById('taskInput');
+    if (!taskList || !input) {
+        return;
+    }
+
+    // Keep the checked list, so ids made up for damaged entries stay put
+    const saved = getFromStorage(TODO_CONFIG.storageKey, []);
+    tasks = loadTasks(saved);
+    if (JSON.stringify(saved) !== JSON.stringify(tasks)) {
+        setInStorage(TODO_CONFIG.storageKey, tasks);
+    }
+
+    document.getElementById('addTaskBtn').addEventListener('click', addTask);
+    taskList.addEventListener('click', handleTaskListClick);
+    taskList.addEventListener('dblclick', handleTaskListDblClick);
+    taskList.addEventListener('keydown', handleTaskListKeydown);
+
+    // Allow pressing Enter to add a task (instead of clicking the button)
+    input.addEventListener('keypress', function(event) {
+        if (event.key === 'Enter') {
+            addTask();
+        }
+    });
+
+    document.querySelectorAll('[data-filter]').forEach(button => {
+        button.addEventListener('click', () => setTaskFilter(button.dataset.filter));
+    });
+
+    // List or board (only pages with a board have the buttons)
+    if (document.getElementById('taskBoard')) {
+        taskView = getFromStorage(TODO_CONFIG.viewStorageKey, 'list') === 'board' ? 'board' : 'list';
+    }
+    document.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => setTaskView(button.dataset.view));
+    });
+
+    const clearButton = document.getElementById('clearCompletedBtn');
+    if (clearButton) {
+        clearButton.addEventListener('click', clearCompleted);
+    }
+
+    // Export & import (see task-export.js)
+    const importInput = document.getElementById('taskImportInput');
+    if (importInput) {
+        document.getElementById('exportTasksJsonBtn').addEventListener('click', () => exportTasks('json'));
+        document.getElementById('exportTasksIcsBtn').addEventListener('click', () => exportTasks('ics'));
+        importInput.addEventListener('change', handleTaskImportFile);
+    }
+
+    // Keep every open tab's list up to date (see onStorageChange)
+    onStorageChange(TODO_CONFIG.storageKey, handleTasksChangedElsewhere);
+
+    // Show the saved tasks (or the empty state) when the page loads
+    renderTasks();
+}
+
+export {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    TASK_ID_PATTERN,
+    normalizeTask,
+    replaceTasks,
+    getTasks,
+    findTask,
+    moveTask,
+    deleteTask,
+    isOverdue,
+    formatDueDate,
+    renderTaskBadges,
+    renderTasks,
+    initTodo
+};
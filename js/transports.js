@@ -0,0 +1,228 @@
+/*
+ * ==========================================================================
+ * TRANSPORTS.JS - Contact Transports
+ * ==========================================================================
+ *
+ * The different ways a contact message can be delivered. Both the
+ * contact form (contact.js) and the outbox's retries (outbox.js) send
+ * through getContactTransport().
+ */
+
+/*
+    How Transports Work
+    ===================
+    A "transport" is whatever actually delivers a message. handleSubmit()
+    doesn't know or care which one is in use - it just calls:
+
+        getContactTransport().send(formData)
+
+    and waits for the Promise. Every transport follows the same contract:
+    - send(formData) returns a Promise
+    - It resolves when the message was delivered
+    - It rejects with an Error when delivery failed. If the error has a
+      `fieldErrors` object ({ senderEmail: '...' }), those messages are
+      shown next to the matching fields.
+    - isReady() says whether it can send from this page at all. The
+      outbox checks it first, so a page without the EmailJS SDK (like
+      todo.html) doesn't use up a queued message's attempts.
+
+    Available transports:
+    - 'emailjs' - sends straight from the browser via EmailJS (no backend)
+    - 'local'   - POSTs to our own server (server.js) at /api/contact
+    - 'mock'    - pretends to send; handy for testing the UI offline
+
+    By default ('auto') the form uses 'local' when the page was served by
+    server.js, and 'emailjs' everywhere else - see detectContactTransport().
+    Pick one yourself with the data-transport attribute on the <form> in
+    index.html (contact.js passes it to setContactTransport()), or switch
+    at runtime from the console: kp.setContactTransport('mock').
+*/
+
+/*
+    EmailJS Configuration
+    ======================
+    EmailJS allows sending emails directly from client-side JavaScript.
+
+    HOW IT WORKS:
+    1. EmailJS SDK is loaded in the HTML <head>
+    2. We initialize it with a Public Key (safe to expose) - see
+       initTransports() below
+    3. When form is submitted, we send data to EmailJS servers
+    4. EmailJS uses YOUR email service (Yahoo) to send the email
+    5. The email arrives in your inbox
+
+    SECURITY NOTE:
+    The Public Key is safe to expose - it only allows sending emails
+    through YOUR pre-configured templates. Attackers cannot:
+    - Access your email account
+    - Send emails to arbitrary addresses
+    - Modify the email template
+
+    If you'd rather not have any keys in the browser at all, use the
+    'local' transport instead - the server receives the message directly.
+*/
+const EMAILJS_CONFIG = {
+    serviceId: 'service_4p3l7ij',
+    templateId: 'template_nexpz1u',
+    publicKey: 'Yw0G8w77v-LGyC0a9'
+};
+
+const contactTransports = {
+    /**
+     * EmailJS transport - sends the email from the browser
+     */
+    emailjs: {
+        isReady() {
+            return typeof emailjs !== 'undefined';
+        },
+
+        send(formData) {
+            // The SDK is loaded from a CDN - it may be blocked or offline
+            if (typeof emailjs === 'undefined') {
+                return Promise.reject(new Error('EmailJS SDK is not loaded'));
+            }
+
+            /*
+                EmailJS Template Parameters
+                ============================
+                These must match the variable names in your EmailJS template:
+                {{from_name}}, {{from_email}}, {{phone}}, {{subject}}, {{message}}
+            */
+            const templateParams = {
+                from_name: formData.name,
+                from_email: formData.email,
+                phone: formData.phone || 'not given',
+                subject: formData.subject,
+                message: formData.message
+            };
+
+            /*
+                emailjs.send() returns a Promise:
+                - it resolves if the email was sent successfully
+                - it rejects if there's an error
+            */
+            return emailjs.send(
+                EMAILJS_CONFIG.serviceId,
+                EMAILJS_CONFIG.templateId,
+                templateParams,
+                EMAILJS_CONFIG.publicKey  // Pass public key directly (more reliable than init)
+            );
+        }
+    },
+
+    /**
+     * Local transport - POSTs the message to server.js
+     */
+    local: {
+        endpoint: '/api/contact',
+
+        isReady() {
+            return true;
+        },
+
+        send(formData) {
+            return fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formData)
+            }).then(response => {
+                // The server always answers with JSON: { ok, error, errors }
+                return response.json().catch(() => ({})).then(body => {
+                    if (response.ok && body.ok) {
+                        return;
+                    }
+
+                    const error = new Error(body.error || `HTTP ${response.status}`);
+                    // Field-level errors from the server's validation
+                    if (body.errors) {
+                        error.fieldErrors = body.errors;
+                    }
+                    throw error;
+                });
+            });
+        }
+    },
+
+    /**
+     * Mock transport - nothing leaves the browser
+     * Set contactTransports.mock.shouldFail = true to test the error path.
+     */
+    mock: {
+        delay: 800,
+        shouldFail: false,
+        sent: [],
+
+        isReady() {
+            return true;
+        },
+
+        send(formData) {
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    if (this.shouldFail) {
+                        reject(new Error('Mock transport failure'));
+                        return;
+                    }
+                    this.sent.push(formData);
+                    resolve();
+                }, this.delay);
+            });
+        }
+    }
+};
+
+// The transport in use - EmailJS until detectContactTransport() finds
+// our own server, or the form asks for another one
+let activeTransportName = 'emailjs';
+
+/**
+ * Get the transport handleSubmit() should use
+ * ============================================
+ * @returns {object} - A transport with a send(formData) method
+ */
+function getContactTransport() {
+    return contactTransports[activeTransportName] || contactTransports.emailjs;
+}
+
+/**
+ * Switch to a different transport
+ * ================================
+ * @param {string} name - 'emailjs', 'local' or 'mock'
+ */
+function setContactTransport(name) {
+    if (!contactTransports[name]) {
+        throw new Error(`Unknown contact transport: ${name}`);
+    }
+    activeTransportName = name;
+}
+
+/**
+ * Use our own server when the page came from it
+ * ===============================================
+ * @returns {Promise<string>} - The transport chosen: 'local' or 'emailjs'
+ *
+ * server.js answers GET /api/contact with { ok: true }. Anywhere else
+ * (GitHub Pages, a file:// page) the request fails or gets some other
+ * page back, so the form keeps using EmailJS. Never rejects.
+ */
+function detectContactTransport() {
+    return fetch(contactTransports.local.endpoint)
+        .then(response => (response.ok ? response.json() : {}))
+        .catch(() => ({}))
+        .then(body => {
+            setContactTransport(body && body.ok === true ? 'local' : 'emailjs');
+            return activeTransportName;
+        });
+}
+
+/**
+ * Initialize EmailJS with your public key (only if the SDK loaded)
+ * =================================================================
+ */
+function initTransports() {
+    if (typeof emailjs !== 'undefined') {
+        emailjs.init(EMAILJS_CONFIG.publicKey);
+    }
+}
+
+export { EMAILJS_CONFIG, contactTransports, getContactTransport, setContactTransport, detectContactTransport, initTransports };
@@ -0,0 +1,475 @@
+/*
+ * ==========================================================================
+ * VALIDATION.JS - Contact Form Validation Rules (shared)
+ * ==========================================================================
+ *
+ * The validation rules live in their own file so the SAME rules run in
+ * two places:
+ *
+ * 1. In the browser - imported by js/contact.js, giving instant
+ *    feedback as the visitor types
+ * 2. On the server  - imported by server.js, which re-checks every
+ *    submission (never trust the browser: anyone can bypass client-side
+ *    checks by calling the API directly)
+ *
+ * This file must not touch the DOM, so it works in both environments -
+ * and can be tested under Node without a browser:
+ *
+ *      node -e "import('./js/validation.js').then(v => console.log(v.validateField('senderEmail', 'kp@')))"
+ *
+ * How it's organised:
+ *
+ * 1. validators      - the named checks a rule can use (required, phone, ...)
+ * 2. validationRules - which checks each field runs, in order
+ * 3. The engine      - validateField(), validateFieldAsync(),
+ *                      validateMessage(), validateMessageAsync()
+ */
+
+
+/* ==========================================================================
+   1. VALIDATORS
+   ==========================================================================
+   A validator is a small function that answers one question about a
+   value: "is this OK?". It receives:
+
+   - value:     the trimmed field value
+   - option:    the rule's `value` setting (e.g. 2 for minLength: 2)
+   - allValues: every field's trimmed value, keyed by field ID - this is
+                what makes cross-field rules possible
+
+   and returns true (passes) or false (fails).
+
+   Validators marked `async: true` return a Promise instead. They can do
+   slow work (like downloading a list) so they only run in
+   validateFieldAsync() / validateMessageAsync().
+*/
+
+/**
+ * Disposable Email Domains
+ * =========================
+ * The list lives in disposable-domains.json and is only downloaded the
+ * first time someone types an email address - most visitors never need
+ * it. The Promise is kept so the file is fetched at most once - unless
+ * that failed, so the next check tries again.
+ */
+let disposableDomainsPromise = null;
+
+// The list sits next to index.html, one folder up from this file
+const DISPOSABLE_DOMAINS_URL = new URL('../disposable-domains.json', import.meta.url);
+
+function loadDisposableDomains() {
+    if (!disposableDomainsPromise) {
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            // Node.js (server.js, tests) - read the file straight from disk
+            disposableDomainsPromise = import('node:fs/promises')
+                .then(fs => fs.readFile(DISPOSABLE_DOMAINS_URL, 'utf8'))
+                .then(JSON.parse)
+                .catch(error => {
+                    disposableDomainsPromise = null;
+                    throw error;
+                });
+        } else {
+            // Browser - if the list can't be loaded, don't block the visitor
+            disposableDomainsPromise = fetch(DISPOSABLE_DOMAINS_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(() => {
+                    disposableDomainsPromise = null;
+                    return [];
+                });
+        }
+    }
+    return disposableDomainsPromise;
+}
+
+// Words that aren't welcome in a message (matched as whole words)
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dickhead', 'cunt'];
+
+// Anything that looks like a link: http(s)://..., www.... or a bare domain.com/...
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|ru|xyz|top)\/\S*/gi;
+
+const validators = {
+    required: {
+        test: value => value !== ''
+    },
+
+    minLength: {
+        test: (value, min) => value.length >= min
+    },
+
+    maxLength: {
+        test: (value, max) => value.length <= max
+    },
+
+    pattern: {
+        test: (value, regex) => regex.test(value)
+    },
+
+    // 7-15 digits (the international limit), optionally starting with +,
+    // allowing the usual separators: "+91 98765 43210", "(617) 555-0100"
+    phone: {
+        test: value => {
+            if (!/^\+?[\d\s().-]+$/.test(value)) {
+                return false;
+            }
+            const digits = value.replace(/\D/g, '');
+            return digits.length >= 7 && digits.length <= 15;
+        }
+    },
+
+    // A full http:// or https:// address (URL() does the hard parsing)
+    url: {
+        test: value => {
+            try {
+                const url = new URL(value);
+                return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.');
+            } catch (error) {
+                return false;
+            }
+        }
+    },
+
+    // Cross-field: this value must differ from another field's value
+    notSameAs: {
+        test: (value, otherFieldId, allValues) =>
+            value.toLowerCase() !== String(allValues[otherFieldId] || '').toLowerCase()
+    },
+
+    // Link spam: at most `max` links in the text
+    maxLinks: {
+        test: (value, max) => (value.match(LINK_PATTERN) || []).length <= max
+    },
+
+    noProfanity: {
+        test: value => {
+            const words = value.toLowerCase().split(/[^a-z]+/);
+            return !words.some(word => BLOCKED_WORDS.includes(word));
+        }
+    },
+
+    // Mostly CAPITAL LETTERS reads as shouting (short texts are ignored)
+    notShouting: {
+        test: value => {
+            const letters = value.replace(/[^A-Za-z]/g, '');
+            return letters.length < 20 || letters !== letters.toUpperCase();
+        }
+    },
+
+    // Throwaway inboxes (mailinator.com, ...) - replies would never arrive
+    notDisposableEmail: {
+        async: true,
+        test: value => {
+            const domain = value.split('@').pop().toLowerCase();
+            return loadDisposableDomains().then(domains =>
+                !domains.some(blocked => domain === blocked || domain.endsWith('.' + blocked))
+            );
+        }
+    }
+};
+
+/**
+ * Add a custom validator
+ * =======================
+ * @param {string} name - Name used in validationRules (e.g. 'postcode')
+ * @param {function} test - (value, option, allValues) => boolean or Promise<boolean>
+ * @param {object} [options] - { async: true } if test returns a Promise
+ */
+function registerValidator(name, test, options = {}) {
+    validators[name] = { test, async: Boolean(options.async) };
+}
+
+
+/* ==========================================================================
+   2. VALIDATION RULES
+   ==========================================================================
+   Each field has a list of rules, checked from top to bottom. The first
+   failing rule's message is the one the visitor sees, so put the most
+   basic checks (required, length) first.
+
+   A rule looks like:
+       { rule: 'minLength', value: 2, message: '...', severity: 'error' }
+
+   - rule:     the validator's name (see section 1)
+   - value:    optional setting passed to the validator
+   - message:  shown next to the field when the rule fails (in English -
+               translations use the id 'validation.<fieldId>.<rule>',
+               see setMessageTranslator below)
+   - severity: 'error' (default) blocks sending the form;
+               'warning' is only a hint - the message can still be sent
+
+   Fields WITHOUT a 'required' rule are optional: when left empty, none
+   of their rules run.
+*/
+const validationRules = {
+    senderName: [
+        { rule: 'required', message: 'Please enter your name' },
+        { rule: 'minLength', value: 2, message: 'Name must be at least 2 characters' },
+        { rule: 'maxLength', value: 100, message: 'Name must be less than 100 characters' }
+    ],
+    senderEmail: [
+        { rule: 'required', message: 'Please enter your email address' },
+        { rule: 'pattern', value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Please enter a valid email address (e.g., name@example.com)' },
+        { rule: 'notDisposableEmail', message: 'Please use a permanent email address - replies to disposable inboxes never arrive' }
+    ],
+    senderPhone: [
+        { rule: 'phone', message: 'Please enter a valid phone number (e.g., +91 98765 43210)' }
+    ],
+    subject: [
+        { rule: 'required', message: 'Please enter a subject' },
+        { rule: 'minLength', value: 3, message: 'Subject must be at least 3 characters' },
+        { rule: 'maxLength', value: 200, message: 'Subject must be less than 200 characters' }
+    ],
+    message: [
+        { rule: 'required', message: 'Please enter your message' },
+        { rule: 'minLength', value: 10, message: 'Message must be at least 10 characters' },
+        { rule: 'maxLength', value: 5000, message: 'Message must be less than 5000 characters' },
+        { rule: 'notSameAs', value: 'subject', message: 'Please add some detail beyond the subject line' },
+        { rule: 'maxLinks', value: 3, message: 'Please include no more than 3 links' },
+        { rule: 'noProfanity', message: 'Please keep your message free of offensive language' },
+        { rule: 'notShouting', severity: 'warning', message: 'Tip: writing in ALL CAPITALS can come across as shouting' }
+    ]
+};
+
+/**
+ * Form field IDs mapped to formData property names
+ * ==================================================
+ * The form inputs are named senderName, senderEmail, ... while the stored
+ * message object uses name, email, ... This map connects the two.
+ */
+const messageFieldMap = {
+    senderName: 'name',
+    senderEmail: 'email',
+    senderPhone: 'phone',
+    subject: 'subject',
+    message: 'message'
+};
+
+
+/* ==========================================================================
+   3. THE ENGINE
+   ========================================================================== */
+
+/*
+    Message Translation
+    ===================
+    The messages above are English. In the browser, js/i18n.js registers a
+    translator so visitors see them in their own language; the server
+    never does, so its error responses stay in English.
+*/
+let translateMessage = (messageId, message) => message;
+
+/**
+ * Show rule messages in another language
+ * =======================================
+ * @param {function} translator - (messageId, englishMessage) => string
+ *   messageId is 'validation.<fieldId>.<rule>', e.g.
+ *   'validation.senderEmail.pattern'
+ */
+function setMessageTranslator(translator) {
+    translateMessage = translator;
+}
+
+// A failing rule's message, in the current language
+function getRuleMessage(fieldId, rule) {
+    return translateMessage(`validation.${fieldId}.${rule.rule}`, rule.message);
+}
+
+// Trim a value (String() guards against non-string values sent to the server)
+function normalizeValue(value) {
+    return String(value == null ? '' : value).trim();
+}
+
+/**
+ * Pick the rules that apply to a value
+ * =====================================
+ * @returns {array} - Empty for optional fields left blank
+ */
+function getApplicableRules(fieldId, value) {
+    const rules = validationRules[fieldId] || [];
+    const isOptional = !rules.some(rule => rule.rule === 'required');
+    return isOptional && value === '' ? [] : rules;
+}
+
+/**
+ * Build a validation result
+ * ==========================
+ * @param {string} fieldId - The field the rules belong to
+ * @param {object|null} error - The failing error rule (if any)
+ * @param {array} warnings - Failing warning rules
+ * @param {boolean} pending - Are async rules still to run?
+ * @returns {object} - {
+ *     isValid:      false if an error rule failed (warnings don't count)
+ *     errorMessage: the first error's message ('' if none)
+ *     warnings:     messages of the warning rules that failed
+ *     pending:      true if async rules were skipped (see validateField)
+ * }
+ */
+function buildResult(fieldId, error, warnings, pending) {
+    return {
+        isValid: !error,
+        errorMessage: error ? getRuleMessage(fieldId, error) : '',
+        warnings: warnings.map(rule => getRuleMessage(fieldId, rule)),
+        pending
+    };
+}
+
+/**
+ * Validate a single field against its rules (sync rules only)
+ * ============================================================
+ * @param {string} fieldId - The ID of the input field
+ * @param {string} value - The current value of the field
+ * @param {object} [allValues] - Every field's value, for cross-field rules
+ * @returns {object} - See buildResult()
+ *
+ * Checks the rules in order and stops at the first failing error.
+ * Async rules are skipped - `pending: true` tells the caller that
+ * validateFieldAsync() still has more to check.
+ */
+function validateField(fieldId, value, allValues = {}) {
+    const trimmedValue = normalizeValue(value);
+    const warnings = [];
+    let pending = false;
+
+    for (const rule of getApplicableRules(fieldId, trimmedValue)) {
+        const validator = validators[rule.rule];
+
+        if (validator.async) {
+            pending = true;
+            continue;
+        }
+
+        if (!validator.test(trimmedValue, rule.value, allValues)) {
+            if (rule.severity === 'warning') {
+                warnings.push(rule);
+            } else {
+                return buildResult(fieldId, rule, warnings, false);
+            }
+        }
+    }
+
+    return buildResult(fieldId, null, warnings, pending);
+}
+
+/**
+ * Validate a single field, including async rules
+ * ===============================================
+ * @returns {Promise<object>} - See buildResult() (pending is always false)
+ *
+ * The sync rules run first; the slower async ones only run if those
+ * pass, so we never download anything for a value that's already wrong.
+ */
+function validateFieldAsync(fieldId, value, allValues = {}) {
+    const syncResult = validateField(fieldId, value, allValues);
+    if (!syncResult.isValid || !syncResult.pending) {
+        return Promise.resolve(syncResult);
+    }
+
+    const trimmedValue = normalizeValue(value);
+    const asyncRules = getApplicableRules(fieldId, trimmedValue)
+        .filter(rule => validators[rule.rule].async);
+
+    return Promise.all(asyncRules.map(rule =>
+        Promise.resolve(validators[rule.rule].test(trimmedValue, rule.value, allValues))
+    )).then(outcomes => {
+        const failed = asyncRules.filter((rule, index) => !outcomes[index]);
+        const error = failed.find(rule => rule.severity !== 'warning') || null;
+        const warnings = failed.filter(rule => rule.severity === 'warning');
+        return {
+            ...buildResult(fieldId, error, [], false),
+            warnings: syncResult.warnings.concat(warnings.map(rule => getRuleMessage(fieldId, rule)))
+        };
+    });
+}
+
+/**
+ * Collect every field's value, keyed by field ID
+ * ===============================================
+ * @param {object} formData - { name, email, ... }
+ * @returns {object} - { senderName, senderEmail, ... } (trimmed)
+ */
+function getFieldValues(formData) {
+    const data = formData || {};
+    const values = {};
+    Object.keys(messageFieldMap).forEach(fieldId => {
+        values[fieldId] = normalizeValue(data[messageFieldMap[fieldId]]);
+    });
+    return values;
+}
+
+// Turn per-field results into { isValid, errors, warnings, values }
+function summarizeResults(fieldIds, results, fieldValues) {
+    const errors = {};
+    const warnings = {};
+    const values = {};
+
+    fieldIds.forEach((fieldId, index) => {
+        const result = results[index];
+        if (!result.isValid) {
+            errors[fieldId] = result.errorMessage;
+        }
+        if (result.warnings.length > 0) {
+            warnings[fieldId] = result.warnings;
+        }
+        values[messageFieldMap[fieldId]] = fieldValues[fieldId];
+    });
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        warnings,
+        values
+    };
+}
+
+/**
+ * Validate a complete message object (sync rules only)
+ * =====================================================
+ * @param {object} formData - { name, email, subject, message, ... }
+ * @returns {object} - {
+ *     isValid: boolean,
+ *     errors:   { fieldId: errorMessage },
+ *     warnings: { fieldId: [warningMessage, ...] },
+ *     values:   { name, email, phone, subject, message }
+ * }
+ *
+ * Runs validateField() for every form field. The errors object is keyed
+ * by form field ID (e.g. "senderEmail") so the browser can show each
+ * error next to the matching input.
+ *
+ * `values` holds the text that was actually checked - always a trimmed
+ * string, even when formData had a number or nothing at all. Store
+ * these, not formData's own fields (see server.js).
+ */
+function validateMessage(formData) {
+    const values = getFieldValues(formData);
+    const fieldIds = Object.keys(values);
+    return summarizeResults(fieldIds, fieldIds.map(fieldId => validateField(fieldId, values[fieldId], values)), values);
+}
+
+/**
+ * Validate a complete message object, including async rules
+ * ==========================================================
+ * @returns {Promise<object>} - Same shape as validateMessage()
+ */
+function validateMessageAsync(formData) {
+    const values = getFieldValues(formData);
+    const fieldIds = Object.keys(values);
+    return Promise.all(fieldIds.map(fieldId => validateFieldAsync(fieldId, values[fieldId], values)))
+        .then(results => summarizeResults(fieldIds, results, values));
+}
+
+export {
+    validators,
+    registerValidator,
+    setMessageTranslator,
+    validationRules,
+    messageFieldMap,
+    validateField,
+    validateFieldAsync,
+    validateMessage,
+    validateMessageAsync
+};
@@ -0,0 +1,315 @@
+/*
+ * ==========================================================================
+ * SERVER.JS - Local Development Server & Contact Form Backend
+ * ==========================================================================
+ *
+ * A small Node.js server with NO dependencies (only built-in modules).
+ * It does two jobs:
+ *
+ * 1. Serves the site's static files (index.html, styles.css, ...)
+ * 2. Provides a contact form endpoint:
+ *
+ *      GET /api/contact    - answers { ok: true }, so the page knows the
+ *                            endpoint is here (see js/transports.js)
+ *      POST /api/contact
+ *      Body: the same formData object js/contact.js builds
+ *            { id, name, email, phone, subject, message, date }
+ *
+ *    The submission is validated again with the rules from
+ *    js/validation.js, then appended to data/messages.json.
+ *
+ * Usage:
+ *      node server.js              # http://localhost:8000
+ *      PORT=3000 node server.js    # custom port
+ *
+ * Responses are always JSON:
+ *      201 { ok: true, message: {...} }
+ *      400 { ok: false, error: 'validation_failed', errors: { senderEmail: '...' } }
+ *      400 { ok: false, error: 'invalid_json' }
+ *      413 { ok: false, error: 'payload_too_large' }
+ *      500 { ok: false, error: 'storage_failed' | 'internal_error' }
+ *
+ * Only the site's public files are served (see PUBLIC_FILES) - never
+ * .git/, data/ or anything else that happens to be in the folder.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.PORT || 8000;
+const ROOT_DIR = __dirname;
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
+
+// Reject request bodies larger than this (a 5000-character message is ~20KB)
+const MAX_BODY_BYTES = 100 * 1024;
+
+// The files a visitor may load. Anything else gets a 404 - the project
+// folder also holds .git/, data/ and notes that aren't part of the site.
+const PUBLIC_FILES = [
+    'index.html',
+    'portfolio.html',
+    'todo.html',
+    'styles.css',
+    'script.js',
+    'profile.json',
+    'disposable-domains.json'
+];
+
+// Folders whose files are all public (only the file types listed here)
+const PUBLIC_FOLDERS = {
+    'js/': ['.js']
+};
+
+// Content types for the static files we serve
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon'
+};
+
+
+/* ==========================================================================
+   HELPERS
+   ========================================================================== */
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status code
+ * @param {object} body - Will be serialized with JSON.stringify
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>} - Rejects with an Error whose `code` is
+ *                              'payload_too_large' or 'invalid_json'
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', function onData(chunk) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Stop reading, but leave the connection open: the caller
+                // still has to send the 413 (see handleContact)
+                req.removeListener('data', onData);
+                req.pause();
+
+                const error = new Error('Request body too large');
+                error.code = 'payload_too_large';
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (parseError) {
+                const error = new Error('Request body is not valid JSON');
+                error.code = 'invalid_json';
+                reject(error);
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Load all stored messages (newest first)
+ * @returns {array}
+ */
+function readMessages() {
+    try {
+        return JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
+    } catch (error) {
+        // File doesn't exist yet (first message) - start with an empty list
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Store a message, newest first (same order as saveMessageToStorage())
+ * @param {object} message
+ */
+function saveMessage(message) {
+    const messages = readMessages();
+    messages.unshift(message);
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
+}
+
+
+/* ==========================================================================
+   ROUTES
+   ========================================================================== */
+
+/**
+ * POST /api/contact - validate and store a contact form submission
+ * (GET just says the endpoint exists)
+ */
+async function handleContact(req, res) {
+    if (req.method === 'GET') {
+        return sendJson(res, 200, { ok: true });
+    }
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return sendJson(res, 405, { ok: false, error: 'method_not_allowed' });
+    }
+
+    let formData;
+    try {
+        formData = await readJsonBody(req);
+    } catch (error) {
+        if (error.code === 'payload_too_large') {
+            // Answer first, then drop the rest of the upload
+            res.setHeader('Connection', 'close');
+            res.on('finish', () => req.destroy());
+            return sendJson(res, 413, { ok: false, error: error.code });
+        }
+        return sendJson(res, 400, { ok: false, error: error.code || 'bad_request' });
+    }
+
+    // Re-run the browser's validation rules (async ones included, like the
+    // disposable email check) - the client can't be trusted.
+    // js/validation.js is an ES module, so it's loaded with import()
+    // rather than require() (only the first call actually loads it).
+    const { validateMessageAsync } = await import('./js/validation.js');
+    const result = await validateMessageAsync(formData);
+    if (!result.isValid) {
+        return sendJson(res, 400, {
+            ok: false,
+            error: 'validation_failed',
+            errors: result.errors
+        });
+    }
+
+    // Only keep the fields we know about (ignore anything extra in the body).
+    // The text fields come from result.values - the same trimmed strings
+    // that were validated - because the body may hold numbers, arrays, ...
+    const { values } = result;
+    const isValidDate = typeof formData.date === 'string' && !isNaN(Date.parse(formData.date));
+    const message = {
+        id: Number.isFinite(formData.id) ? formData.id : Date.now(),
+        name: values.name,
+        email: values.email,
+        phone: values.phone,
+        subject: values.subject,
+        message: values.message,
+        date: isValidDate ? formData.date : new Date().toISOString(),
+        receivedAt: new Date().toISOString()
+    };
+
+    try {
+        saveMessage(message);
+    } catch (error) {
+        console.error('Could not store message:', error);
+        return sendJson(res, 500, { ok: false, error: 'storage_failed' });
+    }
+
+    // Who wrote and what they said stays in data/messages.json, not the log
+    console.log(`Message ${message.id} received (${message.message.length} characters)`);
+    sendJson(res, 201, { ok: true, message });
+}
+
+/**
+ * Is this file part of the public site?
+ * @param {string} relativePath - e.g. 'js/contact.js' (forward slashes)
+ * @returns {boolean}
+ */
+function isPublicFile(relativePath) {
+    if (PUBLIC_FILES.includes(relativePath)) {
+        return true;
+    }
+    return Object.keys(PUBLIC_FOLDERS).some(folder => (
+        relativePath.startsWith(folder) &&
+        !relativePath.slice(folder.length).includes('/') &&
+        PUBLIC_FOLDERS[folder].includes(path.extname(relativePath))
+    ));
+}
+
+/**
+ * Serve a static file from the project folder
+ */
+function serveStatic(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendJson(res, 405, { ok: false, error: 'method_not_allowed' });
+    }
+
+    // Strip the query string (e.g. script.js?v=24) and map "/" to index.html
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (error) {
+        // Malformed %-encoding in the URL
+        return sendJson(res, 400, { ok: false, error: 'bad_request' });
+    }
+    const filePath = path.normalize(path.join(ROOT_DIR, urlPath === '/' ? 'index.html' : urlPath));
+
+    // Never serve files outside the project folder
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+        return sendJson(res, 403, { ok: false, error: 'forbidden' });
+    }
+
+    // ...and inside it, only the site's own files (a 404, so we don't
+    // reveal which private files exist)
+    if (!isPublicFile(path.relative(ROOT_DIR, filePath).split(path.sep).join('/'))) {
+        return sendJson(res, 404, { ok: false, error: 'not_found' });
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            return sendJson(res, 404, { ok: false, error: 'not_found' });
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+
+/* ==========================================================================
+   START THE SERVER
+   ========================================================================== */
+
+const server = http.createServer((req, res) => {
+    if (req.url.split('?')[0] === '/api/contact') {
+        // handleContact() is async: a bug in it must become a 500 for this
+        // request, not an unhandled rejection that stops the whole server
+        handleContact(req, res).catch(error => {
+            console.error('Contact request failed:', error);
+            if (res.headersSent) {
+                res.end();
+            } else {
+                sendJson(res, 500, { ok: false, error: 'internal_error' });
+            }
+        });
+    } else {
+        serveStatic(req, res);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,40 @@
+/*
+ * ==========================================================================
+ * DOM.MJS - A Browser Window for the Tests
+ * ==========================================================================
+ *
+ * The modules in js/ are written for the browser, but importing one never
+ * touches the page (see script.js) - so most of them only need `window`
+ * and `document` to exist. jsdom provides both, with a working
+ * localStorage.
+ *
+ * Call setUpDom() BEFORE importing a module: storage.js checks whether
+ * localStorage works the moment it's imported. Each test file runs in
+ * its own process, so every file starts with a fresh window.
+ */
+
+import { JSDOM } from 'jsdom';
+
+/**
+ * Create a window and make it global
+ * ===================================
+ * @param {object} [savedData] - localStorage contents to start with,
+ *                               e.g. { 'kp:theme': '"dark"' }
+ * @returns {Window}
+ */
+function setUpDom(savedData = {}) {
+    // localStorage needs a real origin, so the page gets a URL
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'http://localhost/' });
+
+    Object.keys(savedData).forEach(key => {
+        dom.window.localStorage.setItem(key, savedData[key]);
+    });
+
+    globalThis.window = dom.window;
+    globalThis.document = dom.window.document;
+    // Node 20 has no navigator of its own (outbox.js reads navigator.onLine)
+    globalThis.navigator = dom.window.navigator;
+    return dom.window;
+}
+
+export { setUpDom };
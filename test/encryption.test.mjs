@@ -0,0 +1,74 @@
+/*
+ * Tests for js/encryption.js - encrypting with the shipped keys, and
+ * changing the admin passphrase
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+const window = setUpDom();
+// jsdom's crypto has no `subtle` - lend it Node's WebCrypto
+Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+
+const {
+    ENCRYPTION_CONFIG, createOwnerKeys, setOwnerPrivateKey, forgetOwnerKey, unwrapPrivateKey, getKeyring,
+    decryptAllMessages, changeAdminPassphrase
+} = await import('../js/encryption.js');
+const { saveMessageToStorage, getMessagesFromStorage, setMessagesInStorage } = await import('../js/messages.js');
+const { getFromStorage } = await import('../js/storage.js');
+
+function message(id) {
+    return { id, name: 'Asha', email: 'asha@example.com', subject: `Message ${id}`, message: 'Hello', date: '2026-10-18' };
+}
+
+// Lock, then unlock with a passphrase - like reloading the page
+async function relock(passphrase) {
+    forgetOwnerKey();
+    setOwnerPrivateKey(await unwrapPrivateKey(passphrase, getKeyring()));
+}
+
+// Like pasting the output of kp.createOwnerKeys() into the config
+ENCRYPTION_CONFIG.ownerKeys = JSON.parse(await createOwnerKeys('first passphrase'));
+
+test('a visitor\'s browser encrypts with the shipped public key', async () => {
+    // Locked - no private key here, only the config
+    await saveMessageToStorage(message(1));
+
+    const [stored] = getFromStorage('messages');
+    assert.ok(stored.encrypted);
+    assert.equal(stored.name, undefined);
+    assert.equal(stored.message, undefined);
+    assert.equal(getFromStorage('keyring'), null);
+});
+
+test('a message saved during the change is encrypted with the new key', async () => {
+    await relock('first passphrase');
+
+    const changing = changeAdminPassphrase('first passphrase', 'second passphrase');
+    const saving = saveMessageToStorage(message(2));
+    const [newKeys] = await Promise.all([changing, saving]);
+
+    // The new keys are kept here, and handed out for the config
+    assert.deepEqual(JSON.parse(newKeys), getFromStorage('keyring'));
+
+    await relock('second passphrase');
+    await decryptAllMessages();
+
+    assert.deepEqual(getMessagesFromStorage().map(msg => msg.subject), ['Message 2', 'Message 1']);
+});
+
+test('the passphrase isn\'t changed while a message can\'t be decrypted', async () => {
+    const stored = getFromStorage('messages');
+    // Damage the first message's ciphertext
+    stored[0].encrypted = { ...stored[0].encrypted, data: stored[1].encrypted.data };
+    setMessagesInStorage(stored);
+    const keyringBefore = getKeyring();
+
+    forgetOwnerKey();
+    await assert.rejects(
+        changeAdminPassphrase('second passphrase', 'third passphrase'),
+        /could not be decrypted/
+    );
+    assert.deepEqual(getKeyring(), keyringBefore);
+});
@@ -0,0 +1,27 @@
+/*
+ * Tests for js/messages.js - saved messages and the trash
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+setUpDom();
+
+const { getMessagesFromStorage, setMessagesInStorage, saveTrash, restoreFromTrash } = await import('../js/messages.js');
+
+function savedMessage(id, date) {
+    return { id, name: 'Asha', email: 'asha@example.com', subject: 'Hello', message: 'Hi', date };
+}
+
+test('a restored message goes back to its place by date', () => {
+    setMessagesInStorage([
+        savedMessage(3, '2026-03-01T10:00:00.000Z'),
+        savedMessage(1, '2026-01-01T10:00:00.000Z')
+    ]);
+    saveTrash([{ ...savedMessage(2, '2026-02-01T10:00:00.000Z'), deletedAt: new Date().toISOString(), deletedFrom: 'messages' }]);
+
+    restoreFromTrash([2]);
+
+    assert.deepEqual(getMessagesFromStorage().map(msg => msg.id), [3, 2, 1]);
+});
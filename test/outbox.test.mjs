@@ -0,0 +1,96 @@
+/*
+ * Tests for js/outbox.js - retrying undelivered messages
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+setUpDom();
+
+const { getOutbox, saveOutbox, processOutbox, scheduleOutboxRetry } = await import('../js/outbox.js');
+const { contactTransports, setContactTransport } = await import('../js/transports.js');
+const { getFromStorage, setInStorage } = await import('../js/storage.js');
+
+function pendingEntry(id) {
+    return {
+        id,
+        name: 'Asha',
+        email: 'asha@example.com',
+        subject: 'Hello',
+        message: 'Just saying hi',
+        date: new Date().toISOString(),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: 'Offline'
+    };
+}
+
+test('a page that can\'t send leaves the outbox alone', async () => {
+    // The EmailJS SDK isn't loaded here - just like on todo.html
+    setContactTransport('emailjs');
+    saveOutbox([pendingEntry(1)]);
+
+    await processOutbox();
+
+    const [entry] = getOutbox();
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.attempts, 0);
+});
+
+test('a failed send counts as an attempt', async () => {
+    setContactTransport('mock');
+    contactTransports.mock.delay = 0;
+    contactTransports.mock.shouldFail = true;
+    saveOutbox([pendingEntry(2)]);
+
+    await processOutbox();
+
+    const [entry] = getOutbox();
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, 'Mock transport failure');
+
+    // Empty the outbox so no retry timer keeps the test running
+    saveOutbox([]);
+    scheduleOutboxRetry();
+});
+
+test('a delivered message keeps the flags set while it waited', async () => {
+    setContactTransport('mock');
+    contactTransports.mock.delay = 0;
+    contactTransports.mock.shouldFail = false;
+    saveOutbox([{ ...pendingEntry(5), read: true, starred: true }]);
+
+    await processOutbox();
+
+    assert.deepEqual(getOutbox(), []);
+    const saved = getFromStorage('messages').find(msg => msg.id === 5);
+    assert.equal(saved.status, 'sent');
+    assert.equal(saved.read, true);
+    assert.equal(saved.starred, true);
+    assert.equal(saved.archived, false);
+});
+
+test('no message is sent while another tab holds the outbox lease', async () => {
+    setContactTransport('mock');
+    contactTransports.mock.shouldFail = false;
+    contactTransports.mock.sent = [];
+    saveOutbox([pendingEntry(3)]);
+    setInStorage('outboxLease', { owner: 'another-tab', expiresAt: Date.now() + 60000 });
+
+    await processOutbox();
+
+    assert.equal(contactTransports.mock.sent.length, 0);
+    assert.equal(getOutbox()[0].attempts, 0);
+});
+
+test('a lease that ran out is taken over, then given back', async () => {
+    setInStorage('outboxLease', { owner: 'closed-tab', expiresAt: Date.now() - 1 });
+
+    await processOutbox();
+
+    assert.equal(contactTransports.mock.sent.length, 1);
+    assert.deepEqual(getOutbox(), []);
+    assert.equal(getFromStorage('outboxLease'), null);
+});
@@ -0,0 +1,78 @@
+/*
+ * Tests for js/storage.js - migrations and damaged data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+// Saved by a version of the site from before "kp:" keys existed
+const window = setUpDom({
+    contactMessages: JSON.stringify([{ id: 1, name: 'Asha' }]),
+    contactDraft: JSON.stringify({ subject: 'Hi' }),
+    theme: 'dark',
+    unrelated: 'left alone'
+});
+
+const { initStorage, getFromStorage, setInStorage, onStorageWarning } = await import('../js/storage.js');
+
+const warnings = [];
+onStorageWarning(warning => warnings.push(warning));
+
+initStorage();
+
+test('migration 1 moves the old keys to kp:<name>', () => {
+    assert.deepEqual(getFromStorage('messages'), [{ id: 1, name: 'Asha' }]);
+    assert.deepEqual(getFromStorage('draft'), { subject: 'Hi' });
+    assert.equal(window.localStorage.getItem('contactMessages'), null);
+    assert.equal(window.localStorage.getItem('contactDraft'), null);
+});
+
+test('the plain-text theme becomes JSON', () => {
+    assert.equal(window.localStorage.getItem('kp:theme'), '"dark"');
+    assert.equal(getFromStorage('theme'), 'dark');
+});
+
+test('keys that aren\'t ours are not touched', () => {
+    assert.equal(window.localStorage.getItem('unrelated'), 'left alone');
+});
+
+test('the schema version is saved, so migrations run only once', () => {
+    assert.equal(getFromStorage('schemaVersion'), 1);
+
+    // A later run must not move anything again
+    window.localStorage.setItem('contactMessages', '[]');
+    initStorage();
+    assert.equal(window.localStorage.getItem('contactMessages'), '[]');
+});
+
+test('damaged JSON is quarantined and the fallback returned', () => {
+    window.localStorage.setItem('kp:outbox', '{not json');
+
+    assert.deepEqual(getFromStorage('outbox', []), []);
+    assert.equal(window.localStorage.getItem('kp:outbox'), null);
+
+    const quarantined = Object.keys(window.localStorage).filter(key => key.startsWith('kp:quarantine:outbox:'));
+    assert.equal(quarantined.length, 1);
+    assert.equal(window.localStorage.getItem(quarantined[0]), '{not json');
+    assert.equal(warnings.at(-1).type, 'corrupt');
+});
+
+test('valid JSON of the wrong type is quarantined too', async () => {
+    window.localStorage.setItem('kp:messages', '{}');
+
+    const { getMessagesFromStorage } = await import('../js/messages.js');
+    assert.deepEqual(getMessagesFromStorage(), []);
+    assert.equal(window.localStorage.getItem('kp:messages'), null);
+
+    const quarantined = Object.keys(window.localStorage).filter(key => key.startsWith('kp:quarantine:messages:'));
+    assert.equal(quarantined.length, 1);
+    assert.equal(window.localStorage.getItem(quarantined[0]), '{}');
+    assert.equal(warnings.at(-1).type, 'corrupt');
+});
+
+test('values round-trip through JSON', () => {
+    assert.equal(setInStorage('draft', { name: 'Ravi', tags: ['a'] }), true);
+    assert.deepEqual(getFromStorage('draft'), { name: 'Ravi', tags: ['a'] });
+    assert.equal(getFromStorage('missing', 'fallback'), 'fallback');
+});
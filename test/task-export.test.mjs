@@ -0,0 +1,175 @@
+/*
+ * Tests for js/task-export.js - JSON import checks and calendar files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+setUpDom();
+
+const { isRealDate, normalizeImportedTask, mergeTasks, escapeIcsText, foldIcsLine, tasksToIcs } = await import('../js/task-export.js');
+const { normalizeTask } = await import('../js/todo.js');
+
+// Bytes a line takes up in the (UTF-8) file
+function byteLength(line) {
+    return new TextEncoder().encode(line).length;
+}
+
+test('isRealDate() rejects dates that don\'t exist', () => {
+    assert.equal(isRealDate('2026-10-18'), true);
+    assert.equal(isRealDate('2028-02-29'), true);
+    assert.equal(isRealDate('2026-02-29'), false);
+    assert.equal(isRealDate('2026-02-31'), false);
+    assert.equal(isRealDate('18/10/2026'), false);
+});
+
+test('imported records are checked field by field', () => {
+    assert.ok(normalizeImportedTask({ id: 'a', text: 'Fine' }).task);
+    assert.match(normalizeImportedTask({ id: 'a', text: '' }).error, /missing text/);
+    assert.match(normalizeImportedTask({ id: 'a', text: 'x', priority: 'urgent' }).error, /unknown priority/);
+    assert.match(normalizeImportedTask({ id: 'a', text: 'x', dueDate: '2026-02-31' }).error, /invalid due date/);
+    assert.match(normalizeImportedTask({ id: 'a', text: 'x', completed: 'yes' }).error, /true or false/);
+    assert.match(normalizeImportedTask([]).error, /not a task object/);
+});
+
+test('imported records need a string id', () => {
+    assert.match(normalizeImportedTask({ text: 'No id' }).error, /missing id/);
+    assert.match(normalizeImportedTask({ id: 7, text: 'Number id' }).error, /invalid id/);
+    assert.match(normalizeImportedTask({ id: 'a b', text: 'Space in id' }).error, /invalid id/);
+});
+
+test('a record whose status and completed disagree is reported as adjusted', () => {
+    const result = normalizeImportedTask({ id: 'a', text: 'x', status: 'todo', completed: true });
+
+    assert.equal(result.task.status, 'todo');
+    assert.equal(result.task.completed, false);
+    assert.match(result.adjusted, /kept the status/);
+    assert.equal(normalizeImportedTask({ id: 'a', text: 'x', completed: true }).adjusted, undefined);
+});
+
+test('mergeTasks() adds new ids and updates changed ones', () => {
+    const current = [normalizeTask({ id: 'a', text: 'Old', createdAt: '2026-01-01T00:00:00.000Z' })];
+    const imported = [
+        normalizeTask({ id: 'a', text: 'New' }),
+        normalizeTask({ id: 'b', text: 'Another' })
+    ];
+    const result = mergeTasks(current, imported);
+
+    assert.equal(result.added, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.tasks[0].text, 'New');
+    // The task keeps the createdAt it had here
+    assert.equal(result.tasks[0].createdAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(current[0].text, 'Old');
+});
+
+test('mergeTasks() counts a re-import without createdAt as unchanged', () => {
+    const current = [normalizeTask({ id: 'a', text: 'Same', createdAt: '2026-01-01T00:00:00.000Z' })];
+    const result = mergeTasks(current, [normalizeTask({ id: 'a', text: 'Same' })]);
+
+    assert.equal(result.unchanged, 1);
+    assert.equal(result.updated, 0);
+    assert.equal(result.tasks[0].createdAt, '2026-01-01T00:00:00.000Z');
+});
+
+test('mergeTasks() reports ids that appear twice in the file', () => {
+    const imported = [normalizeTask({ id: 'a', text: 'One' }), normalizeTask({ id: 'a', text: 'Two' })];
+    const result = mergeTasks([], imported);
+
+    assert.equal(result.tasks.length, 1);
+    assert.equal(result.repeated.length, 1);
+});
+
+test('mergeTasks() keeps to the WIP limits (3 in progress by default)', () => {
+    const current = [1, 2].map(n => normalizeTask({ id: `d${n}`, text: 'Busy', status: 'doing' }));
+    current.push(normalizeTask({ id: 'waiting', text: 'Not started' }));
+    const imported = [
+        normalizeTask({ id: 'new', text: 'Fills the column', status: 'doing' }),
+        normalizeTask({ id: 'waiting', text: 'Not started', status: 'doing' })
+    ];
+    const result = mergeTasks(current, imported);
+
+    assert.equal(result.added, 1);
+    assert.equal(result.updated, 0);
+    assert.equal(result.tasks.find(task => task.id === 'waiting').status, 'todo');
+    assert.match(result.full[0], /task waiting: In Progress is full - its limit is 3 tasks/);
+});
+
+test('escapeIcsText() escapes backslashes first, then ; , and line breaks', () => {
+    assert.equal(escapeIcsText('a\\b'), 'a\\\\b');
+    assert.equal(escapeIcsText('Call Sam, then Alex; bring snacks'), 'Call Sam\\, then Alex\\; bring snacks');
+    assert.equal(escapeIcsText('one\r\ntwo\nthree'), 'one\\ntwo\\nthree');
+    assert.equal(escapeIcsText('C:\\new'), 'C:\\\\new');
+});
+
+test('foldIcsLine() keeps every line within 75 bytes', () => {
+    const folded = foldIcsLine('SUMMARY:' + 'x'.repeat(200));
+    const lines = folded.split('\r\n');
+
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(byteLength(line) <= 75));
+    lines.slice(1).forEach(line => assert.equal(line[0], ' '));
+
+    // Unfolding (removing CRLF + space) gives the original line back
+    assert.equal(folded.replace(/\r\n /g, ''), 'SUMMARY:' + 'x'.repeat(200));
+});
+
+test('foldIcsLine() counts bytes and never splits a character', () => {
+    const line = 'SUMMARY:' + 'मराठी मजकूर '.repeat(12) + '😀'.repeat(20);
+    const folded = foldIcsLine(line);
+
+    folded.split('\r\n').forEach(part => {
+        assert.ok(byteLength(part) <= 75);
+        assert.ok(!/\uFFFD/.test(part));
+        // No lone halves of an emoji's surrogate pair
+        assert.ok(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(part));
+    });
+    assert.equal(folded.replace(/\r\n /g, ''), line);
+});
+
+test('short lines are left alone', () => {
+    assert.equal(foldIcsLine('VERSION:2.0'), 'VERSION:2.0');
+});
+
+test('tasksToIcs() writes all-day events with CRLF line endings', () => {
+    const tasks = [
+        normalizeTask({ id: 'a', text: 'Pay rent, on time', dueDate: '2026-12-31', priority: 'high' }),
+        normalizeTask({ id: 'b', text: 'No date' }),
+        normalizeTask({ id: 'c', text: 'Finished', dueDate: '2026-10-01', status: 'done' })
+    ];
+    const calendar = tasksToIcs(tasks);
+    const lines = calendar.split('\r\n');
+
+    assert.ok(calendar.endsWith('\r\n'));
+    assert.ok(!/[^\r]\n/.test(calendar));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('VERSION:2.0'));
+
+    // Only the open task with a due date
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+    assert.ok(lines.includes('UID:a@kedarphadke.cloud'));
+    assert.ok(lines.includes('SUMMARY:Pay rent\\, on time'));
+    assert.ok(lines.includes('PRIORITY:1'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261231'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+    assert.ok(lines.some(line => /^DTSTAMP:\d{8}T\d{6}Z$/.test(line)));
+});
+
+test('tasksToIcs() writes to-dos with their status, done ones included', () => {
+    const tasks = [
+        normalizeTask({ id: 'a', text: 'Started', dueDate: '2026-12-31', status: 'doing' }),
+        normalizeTask({ id: 'c', text: 'Finished', dueDate: '2026-10-01', status: 'done' })
+    ];
+    const lines = tasksToIcs(tasks, 'VTODO').split('\r\n');
+
+    assert.equal(lines.filter(line => line === 'BEGIN:VTODO').length, 2);
+    assert.ok(lines.includes('DUE;VALUE=DATE:20261231'));
+    assert.ok(lines.includes('STATUS:IN-PROCESS'));
+    assert.ok(lines.includes('STATUS:COMPLETED'));
+    assert.ok(lines.includes('PERCENT-COMPLETE:100'));
+});
+
+test('no calendar when no task has a due date', () => {
+    assert.equal(tasksToIcs([normalizeTask({ id: 'b', text: 'No date' })]), null);
+});
@@ -0,0 +1,33 @@
+/*
+ * Tests for js/theme.js - following the system setting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+const window = setUpDom();
+
+// An older browser: matchMedia() results only have addListener()
+const systemQuery = {
+    matches: false,
+    listeners: [],
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+};
+window.matchMedia = () => systemQuery;
+
+const { initTheme } = await import('../js/theme.js');
+
+initTheme();
+
+test('"System" follows the OS with the older addListener()', () => {
+    assert.equal(document.documentElement.dataset.theme, 'light');
+
+    systemQuery.matches = true;
+    systemQuery.listeners.forEach(listener => listener());
+
+    assert.equal(document.documentElement.dataset.theme, 'dark');
+    assert.equal(document.body.classList.contains('dark-mode'), true);
+});
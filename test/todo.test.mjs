@@ -0,0 +1,62 @@
+/*
+ * Tests for js/todo.js - the task data model
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpDom } from './dom.mjs';
+
+setUpDom();
+
+const { normalizeTask } = await import('../js/todo.js');
+
+test('missing fields get their defaults', () => {
+    const task = normalizeTask({ id: 'a1', text: '  Buy milk  ' });
+
+    assert.equal(task.id, 'a1');
+    assert.equal(task.text, 'Buy milk');
+    assert.equal(task.status, 'todo');
+    assert.equal(task.completed, false);
+    assert.equal(task.priority, 'normal');
+    assert.equal(task.dueDate, null);
+    assert.equal(typeof task.createdAt, 'string');
+});
+
+test('a task without text isn\'t a task', () => {
+    assert.equal(normalizeTask({ id: 'a1', text: '   ' }), null);
+    assert.equal(normalizeTask({ id: 'a1' }), null);
+    assert.equal(normalizeTask(null), null);
+});
+
+test('old tasks without a status get one from completed', () => {
+    assert.equal(normalizeTask({ text: 'x', completed: true }).status, 'done');
+    assert.equal(normalizeTask({ text: 'x', completed: false }).status, 'todo');
+});
+
+test('completed always follows the status', () => {
+    assert.equal(normalizeTask({ text: 'x', status: 'done' }).completed, true);
+    assert.equal(normalizeTask({ text: 'x', status: 'doing', completed: true }).completed, false);
+});
+
+test('unknown values are replaced, not kept', () => {
+    const task = normalizeTask({ id: 'has spaces', text: 'x', priority: 'urgent', dueDate: 'tomorrow' });
+
+    assert.notEqual(task.id, 'has spaces');
+    assert.match(task.id, /^[\w-]+$/);
+    assert.equal(task.priority, 'normal');
+    assert.equal(task.dueDate, null);
+});
+
+test('a due date has to be a real day', () => {
+    assert.equal(normalizeTask({ text: 'x', dueDate: '2026-02-28' }).dueDate, '2026-02-28');
+    assert.equal(normalizeTask({ text: 'x', dueDate: '2026-02-31' }).dueDate, null);
+    assert.equal(normalizeTask({ text: 'x', dueDate: '2026-13-01' }).dueDate, null);
+});
+
+test('ids are always strings - a number id becomes text', () => {
+    assert.equal(normalizeTask({ id: 7, text: 'x' }).id, '7');
+    assert.equal(typeof normalizeTask({ id: 1.5, text: 'x' }).id, 'string');
+    assert.notEqual(normalizeTask({ id: 1.5, text: 'x' }).id, '1.5');
+    assert.equal(typeof normalizeTask({ id: ['a'], text: 'x' }).id, 'string');
+    assert.notEqual(normalizeTask({ id: ['a'], text: 'x' }).id, 'a');
+});
@@ -0,0 +1,61 @@
+/*
+ * Tests for js/validation.js - the contact form rules (also used by
+ * server.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateField, validateMessage, validateMessageAsync } from '../js/validation.js';
+
+const validMessage = {
+    name: 'Asha Rao',
+    email: 'asha@example.com',
+    phone: '',
+    subject: 'Hello there',
+    message: 'A message that is long enough to pass.'
+};
+
+test('a complete message is valid', () => {
+    const result = validateMessage(validMessage);
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.errors, {});
+});
+
+test('errors are keyed by form field id', () => {
+    const result = validateMessage({ ...validMessage, email: 'me@example', subject: '' });
+    assert.equal(result.isValid, false);
+    assert.deepEqual(Object.keys(result.errors).sort(), ['senderEmail', 'subject']);
+    assert.equal(result.errors.subject, 'Please enter a subject');
+});
+
+test('optional fields may be empty, but not wrong', () => {
+    assert.equal(validateField('senderPhone', '').isValid, true);
+    assert.equal(validateField('senderPhone', '+91 98765 43210').isValid, true);
+    assert.equal(validateField('senderPhone', 'call me').isValid, false);
+});
+
+test('warnings don\'t make a message invalid', () => {
+    const result = validateMessage({ ...validMessage, message: 'THIS IS ALL IN CAPITALS, SORRY ABOUT THAT' });
+    assert.equal(result.isValid, true);
+    assert.equal(result.warnings.message.length, 1);
+});
+
+test('the message must say more than the subject', () => {
+    const result = validateMessage({ ...validMessage, subject: 'Project question', message: 'project question' });
+    assert.equal(result.errors.message, 'Please add some detail beyond the subject line');
+});
+
+test('values holds the checked text as trimmed strings, whatever was sent', () => {
+    const result = validateMessage({ ...validMessage, name: 12345, subject: '  Hello there  ', phone: undefined });
+    assert.equal(result.values.name, '12345');
+    assert.equal(result.values.subject, 'Hello there');
+    assert.equal(result.values.phone, '');
+});
+
+test('disposable email addresses are rejected by the async rules', async () => {
+    const result = await validateMessageAsync({ ...validMessage, email: 'someone@10minutemail.com' });
+    assert.equal(result.isValid, false);
+    assert.match(result.errors.senderEmail, /permanent email address/);
+
+    assert.equal((await validateMessageAsync(validMessage)).isValid, true);
+});